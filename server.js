@@ -19,6 +19,10 @@ const server = app.listen(PORT,'0.0.0.0', () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Start background jobs (subscription expiry, ...)
+const { startJobs } = require('./src/jobs');
+startJobs();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
@@ -3,6 +3,8 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { initializeFirebaseAdmin } = require('./config/firebaseAdmin');
+const { requestContext } = require('./utils/requestContext');
+const { isAllowedOrigin } = require('./utils/tenantResolver');
 
 // Create Express app
 const app = express();
@@ -10,25 +12,33 @@ const app = express();
 // Body parser middleware
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
+
+// Make the current request available to model hooks (audit log)
+app.use(requestContext);
 // In your app.js or server.js
 
 
 // Initialize Firebase Admin
 initializeFirebaseAdmin();
 
-// Enable CORS
+// Enable CORS for school subdomains, registered custom domains, CORS_ORIGINS
+// and (outside production) localhost. Requests without Origin (mobile app) pass.
 app.use(cors({
-  origin: [
-    'http://localhost:3000',
-    'http://localhost:8080',
-    'http://localhost:4200',
-    'http://localhost:5173',
-    'http://localhost:52569', // Flutter web default port
-    /^http:\/\/localhost:\d+$/ // Allow any localhost port
-  ],
+  origin: (origin, callback) => {
+    if (!origin) {
+      return callback(null, true);
+    }
+    isAllowedOrigin(origin)
+      .then(allowed => callback(null, allowed))
+      .catch(error => {
+        // Refuse the origin instead of failing the request when the domain lookup fails
+        console.error('Error checking CORS origin:', error.message);
+        callback(null, false);
+      });
+  },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Import routes
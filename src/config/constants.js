@@ -3,10 +3,201 @@
 // User roles
 const USER_ROLES = {
   ADMIN: 'admin',
+  PRINCIPAL: 'principal',
+  ACCOUNTANT: 'accountant',
+  CLERK: 'clerk',
   TEACHER: 'teacher',
+  USTADH: 'ustadh', // hifz-only teacher
+  STAFF: 'staff', // no built-in permissions, access comes from a custom role
   PARENT: 'parent'
 };
 
+// Permissions checked by authorize()
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  TEACHERS_VIEW: 'teachers.view',
+  TEACHERS_MANAGE: 'teachers.manage',
+  CLASSES_VIEW: 'classes.view',
+  CLASSES_MANAGE: 'classes.manage',
+  STUDENTS_VIEW: 'students.view',
+  STUDENTS_EDIT: 'students.edit',
+  USERS_MANAGE: 'users.manage',
+  ROLES_MANAGE: 'roles.manage',
+  SECURITY_VIEW: 'security.view',
+  SETTINGS_MANAGE: 'settings.manage',
+  FEES_VIEW: 'fees.view',
+  FEES_MANAGE: 'fees.manage',
+  FEES_COLLECT: 'fees.collect',
+  NOTIFICATIONS_SEND: 'notifications.send',
+  ANNOUNCEMENTS_MANAGE: 'announcements.manage',
+  HOMEWORK_WRITE: 'homework.write',
+  NOTES_WRITE: 'notes.write',
+  ATTENDANCE_MARK: 'attendance.mark',
+  LEAVES_REVIEW: 'leaves.review',
+  HIFZ_READ: 'hifz.read',
+  HIFZ_WRITE: 'hifz.write',
+  HIFZ_VIEW_ALL: 'hifz.view_all',
+  API_KEYS_MANAGE: 'api_keys.manage',
+  AUDIT_VIEW: 'audit.view',
+  SUBJECTS_MANAGE: 'subjects.manage',
+  ROLLOVER_MANAGE: 'rollover.manage'
+};
+
+// Permissions that come with each built-in role
+// (a tenant custom role assigned to the user adds to these)
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [USER_ROLES.PRINCIPAL]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.TEACHERS_VIEW,
+    PERMISSIONS.TEACHERS_MANAGE,
+    PERMISSIONS.CLASSES_VIEW,
+    PERMISSIONS.CLASSES_MANAGE,
+    PERMISSIONS.SUBJECTS_MANAGE,
+    PERMISSIONS.STUDENTS_VIEW,
+    PERMISSIONS.STUDENTS_EDIT,
+    PERMISSIONS.SECURITY_VIEW,
+    PERMISSIONS.FEES_VIEW,
+    PERMISSIONS.NOTIFICATIONS_SEND,
+    PERMISSIONS.ANNOUNCEMENTS_MANAGE,
+    PERMISSIONS.ATTENDANCE_MARK,
+    PERMISSIONS.LEAVES_REVIEW,
+    PERMISSIONS.HIFZ_READ,
+    PERMISSIONS.HIFZ_VIEW_ALL
+  ],
+  [USER_ROLES.ACCOUNTANT]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.CLASSES_VIEW,
+    PERMISSIONS.STUDENTS_VIEW,
+    PERMISSIONS.FEES_VIEW,
+    PERMISSIONS.FEES_MANAGE,
+    PERMISSIONS.FEES_COLLECT
+  ],
+  [USER_ROLES.CLERK]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.TEACHERS_VIEW,
+    PERMISSIONS.CLASSES_VIEW,
+    PERMISSIONS.STUDENTS_VIEW,
+    PERMISSIONS.STUDENTS_EDIT,
+    PERMISSIONS.FEES_VIEW,
+    PERMISSIONS.FEES_COLLECT,
+    PERMISSIONS.ANNOUNCEMENTS_MANAGE
+  ],
+  [USER_ROLES.TEACHER]: [
+    PERMISSIONS.HOMEWORK_WRITE,
+    PERMISSIONS.NOTES_WRITE,
+    PERMISSIONS.ATTENDANCE_MARK,
+    PERMISSIONS.LEAVES_REVIEW,
+    PERMISSIONS.HIFZ_READ,
+    PERMISSIONS.HIFZ_WRITE
+  ],
+  [USER_ROLES.USTADH]: [
+    PERMISSIONS.HIFZ_READ,
+    PERMISSIONS.HIFZ_WRITE
+  ],
+  [USER_ROLES.STAFF]: [],
+  [USER_ROLES.PARENT]: []
+};
+
+// Scopes that can be given to a tenant API key, and the permissions each grants
+// (a key never gets more than the admin who created it currently has)
+const API_KEY_SCOPES = {
+  'students:read': [PERMISSIONS.STUDENTS_VIEW, PERMISSIONS.CLASSES_VIEW],
+  'students:write': [PERMISSIONS.STUDENTS_EDIT],
+  'teachers:read': [PERMISSIONS.TEACHERS_VIEW],
+  'classes:read': [PERMISSIONS.CLASSES_VIEW],
+  'attendance:write': [PERMISSIONS.ATTENDANCE_MARK],
+  'fees:read': [PERMISSIONS.FEES_VIEW],
+  'fees:write': [PERMISSIONS.FEES_MANAGE, PERMISSIONS.FEES_COLLECT],
+  'hifz:read': [PERMISSIONS.HIFZ_READ, PERMISSIONS.HIFZ_VIEW_ALL]
+};
+
+// Subscription plans
+const SUBSCRIPTION_PLANS = {
+  BASIC: 'basic',
+  STANDARD: 'standard',
+  PREMIUM: 'premium'
+};
+
+// Subscription lifecycle: active -> grace (read-only) after the end date -> suspended
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  GRACE: 'grace',
+  SUSPENDED: 'suspended'
+};
+
+const SUBSCRIPTION_LIFECYCLE = {
+  WARNING_DAYS: [30, 7, 1], // admins are emailed this many days before the end date
+  GRACE_DAYS: 14
+};
+
+// Recorded subscription changes (see models/SubscriptionEvent.js)
+const SUBSCRIPTION_EVENTS = {
+  EXPIRY_WARNING: 'expiry_warning',
+  GRACE_STARTED: 'grace_started',
+  SUSPENDED: 'suspended',
+  EXTENDED: 'extended',
+  RENEWED: 'renewed',
+  REACTIVATED: 'reactivated',
+  PLAN_CHANGED: 'plan_changed'
+};
+
+// Modules that can be included in or left out of a plan
+const FEATURES = {
+  FEES: 'fees',
+  NOTIFICATIONS: 'notifications',
+  HIFZ: 'hifz',
+  API_ACCESS: 'api_access',
+  AUDIT_LOG: 'audit_log'
+};
+
+// Plan catalogue used until a super admin edits a plan (see models/Plan.js)
+const DEFAULT_PLANS = {
+  [SUBSCRIPTION_PLANS.BASIC]: {
+    name: 'Basic',
+    features: [FEATURES.FEES],
+    quotas: { maxStudents: 100, maxTeachers: 10 },
+    pricing: { monthlyPrice: 999, yearlyPrice: 9990, pricePerStudent: 0 }
+  },
+  [SUBSCRIPTION_PLANS.STANDARD]: {
+    name: 'Standard',
+    features: [FEATURES.FEES, FEATURES.NOTIFICATIONS, FEATURES.HIFZ],
+    quotas: { maxStudents: 500, maxTeachers: 50 },
+    pricing: { monthlyPrice: 1999, yearlyPrice: 19990, pricePerStudent: 5 }
+  },
+  [SUBSCRIPTION_PLANS.PREMIUM]: {
+    name: 'Premium',
+    features: Object.values(FEATURES),
+    quotas: { maxStudents: 2000, maxTeachers: 200 },
+    pricing: { monthlyPrice: 3999, yearlyPrice: 39990, pricePerStudent: 5 }
+  }
+};
+
+// Billing of schools by the platform (not the fees schools charge students)
+const BILLING_CYCLES = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+}; // months per cycle
+
+const PLATFORM_BILLING = {
+  CURRENCY: 'INR',
+  TAX_PERCENT: 18, // GST
+  PAYMENT_TERMS_DAYS: 14, // invoice due date after issue
+  INVOICE_DAYS_BEFORE_END: 14, // next invoice is generated this long before the period ends
+  INVOICE_NUMBER_PREFIX: 'AF'
+};
+
+const INVOICE_STATUS = {
+  ISSUED: 'issued',
+  PARTIALLY_PAID: 'partially_paid',
+  PAID: 'paid',
+  OVERDUE: 'overdue',
+  VOID: 'void'
+};
+
+const PLATFORM_PAYMENT_METHODS = ['bank_transfer', 'upi', 'card', 'cheque', 'cash', 'other'];
+
 // Fee status
 const FEE_STATUS = {
   PAID: 'paid',
@@ -21,6 +212,24 @@ const LEAVE_STATUS = {
   REJECTED: 'rejected'
 };
 
+// Relationship of a guardian to the student
+const GUARDIAN_RELATIONSHIPS = {
+  FATHER: 'father',
+  MOTHER: 'mother',
+  GUARDIAN: 'guardian',
+  GRANDPARENT: 'grandparent',
+  SIBLING: 'sibling',
+  OTHER: 'other'
+};
+
+// What a guardian may do for the student (all granted by default)
+const GUARDIAN_RIGHTS = {
+  VIEW_FEES: 'viewFees',
+  PAY_FEES: 'payFees',
+  APPLY_LEAVE: 'applyLeave',
+  ACKNOWLEDGE_HIFZ: 'acknowledgeHifz'
+};
+
 // Attendance status
 const ATTENDANCE_STATUS = {
   PRESENT: 'present',
@@ -44,11 +253,187 @@ const FILE_UPLOAD = {
   ALLOWED_TYPES: ['pdf', 'doc', 'docx', 'jpg', 'jpeg', 'png', 'xlsx', 'xls']
 };
 
+// Phone OTP login limits
+const OTP = {
+  LENGTH: 6,
+  EXPIRY_MINUTES: 5,
+  MAX_ATTEMPTS: 5,
+  RESEND_INTERVAL_SECONDS: 60,
+  MAX_REQUESTS_PER_PHONE: 5, // per window
+  MAX_REQUESTS_PER_IP: 20, // per window
+  WINDOW_MINUTES: 60
+};
+
+// Password policy defaults (tenants can override in settings.passwordPolicy)
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 6,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  expiryDays: 0, // 0 = passwords never expire
+  historyCount: 0, // number of previous passwords that cannot be reused
+  forceChangeOnFirstLogin: false // for passwords chosen by an admin; generated ones always must be changed
+};
+
+// Bounds for tenant password policy values
+const PASSWORD_POLICY_LIMITS = {
+  MIN_LENGTH: 6,
+  MAX_LENGTH: 64,
+  MAX_EXPIRY_DAYS: 365,
+  MAX_HISTORY: 24,
+  GENERATED_LENGTH: 12
+};
+
+// Login brute-force protection
+const LOGIN_PROTECTION = {
+  MAX_FAILED_ATTEMPTS: 5, // per account, then the account is locked
+  LOCK_MINUTES: 30,
+  DELAY_AFTER_ATTEMPTS: 2, // failures before delays start
+  BASE_DELAY_SECONDS: 2, // doubled after every further failure
+  MAX_FAILED_PER_IP: 20, // per tenant and IP within the window
+  IP_WINDOW_MINUTES: 15
+};
+
+// Security event types
+const SECURITY_EVENTS = {
+  ACCOUNT_LOCKED: 'account_locked',
+  ACCOUNT_UNLOCKED: 'account_unlocked',
+  IP_BLOCKED: 'ip_blocked',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'two_factor_disabled',
+  TWO_FACTOR_RECOVERY_CODE_USED: 'two_factor_recovery_code_used',
+  TWO_FACTOR_POLICY_CHANGED: 'two_factor_policy_changed',
+  IMPERSONATION_STARTED: 'impersonation_started',
+  IMPERSONATION_ENDED: 'impersonation_ended',
+  API_KEY_CREATED: 'api_key_created',
+  API_KEY_REVOKED: 'api_key_revoked',
+  TENANT_EXPORTED: 'tenant_exported',
+  TENANT_IMPORTED: 'tenant_imported'
+};
+
+// Super admin impersonation (support access)
+const IMPERSONATION = {
+  TOKEN_EXPIRE_MINUTES: 15,
+  MAX_REASON_LENGTH: 500
+};
+
+// Tenant API keys for integrations
+const API_KEY = {
+  PREFIX: 'afk_',
+  DEFAULT_RATE_LIMIT: 60, // requests per window
+  MAX_RATE_LIMIT: 1000,
+  RATE_LIMIT_WINDOW_SECONDS: 60,
+  MAX_KEYS_PER_TENANT: 20,
+  // API keys are only accepted on these routes
+  ALLOWED_PATH_PREFIXES: ['/api/admin/', '/api/teacher/', '/api/hifz/']
+};
+
+// Audit log
+const AUDIT = {
+  MAX_EXPORT_ROWS: 10000
+};
+
+// Deleted schools are kept this long (restorable) before the purge job removes their data.
+// The default can be changed with TENANT_RETENTION_DAYS.
+const TENANT_DELETION = {
+  DEFAULT_RETENTION_DAYS: 30,
+  MAX_RETENTION_DAYS: 365,
+  CERTIFICATE_NUMBER_PREFIX: 'DEL'
+};
+
+// Academic calendar defaults (tenant settings override them)
+const ACADEMIC_CALENDAR = {
+  DEFAULT_START_MONTH: 4, // April
+  DEFAULT_END_MONTH: 3, // March
+  DEFAULT_TERMS_PER_YEAR: 2,
+  MAX_TERMS_PER_YEAR: 4,
+  DEFAULT_TIME_ZONE: 'Asia/Kolkata'
+};
+
+// Subject catalogue
+const SUBJECT = {
+  CATEGORIES: ['academic', 'islamic', 'language'],
+  CODE_PATTERN: /^[A-Z0-9-]{2,10}$/
+};
+
+// Class timetables
+const TIMETABLE = {
+  DAYS: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+  DEFAULT_WORKING_DAYS: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+  MAX_PERIODS_PER_DAY: 12
+};
+
+// Substitute teachers for absent staff
+const SUBSTITUTION = {
+  ABSENCE_TYPES: ['sick', 'personal', 'emergency', 'training', 'official', 'other'],
+  MAX_ABSENCE_DAYS: 60,
+  // Substitutions counted when balancing load between teachers
+  LOAD_WINDOW_DAYS: 30,
+  MAX_SUGGESTIONS: 5
+};
+
+// Academic year rollover (class cloning and student promotion)
+const ROLLOVER = {
+  UNDO_HOURS: 72,
+  STUDENT_ACTIONS: ['promoted', 'held', 'graduated']
+};
+
+// Schools reached at <code>.<APP_BASE_DOMAIN> or at their own custom domains
+const TENANT_DOMAINS = {
+  // Subdomains of the base domain that never belong to a school
+  RESERVED_SUBDOMAINS: ['www', 'api', 'app', 'admin', 'mail'],
+  MAX_CUSTOM_DOMAINS: 5,
+  CACHE_SECONDS: 60,
+  // Host names are sent by clients, so the lookup cache is capped
+  CACHE_MAX_ENTRIES: 1000
+};
+
+// Tenant export/import archives (gzipped Extended JSON)
+const TENANT_ARCHIVE = {
+  FORMAT: 'alfithra-tenant-archive',
+  // Bump when the archive layout or an exported model changes incompatibly
+  SCHEMA_VERSION: 4,
+  MAX_UPLOAD_SIZE: 100 * 1024 * 1024, // 100MB compressed
+  MAX_UNCOMPRESSED_SIZE: 1024 * 1024 * 1024 // 1GB
+};
+
 module.exports = {
   USER_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  SUBSCRIPTION_PLANS,
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_LIFECYCLE,
+  SUBSCRIPTION_EVENTS,
+  FEATURES,
+  DEFAULT_PLANS,
+  BILLING_CYCLES,
+  PLATFORM_BILLING,
+  INVOICE_STATUS,
+  PLATFORM_PAYMENT_METHODS,
   FEE_STATUS,
   LEAVE_STATUS,
+  GUARDIAN_RELATIONSHIPS,
+  GUARDIAN_RIGHTS,
   ATTENDANCE_STATUS,
   NOTIFICATION_TARGET,
-  FILE_UPLOAD
+  FILE_UPLOAD,
+  OTP,
+  DEFAULT_PASSWORD_POLICY,
+  PASSWORD_POLICY_LIMITS,
+  LOGIN_PROTECTION,
+  SECURITY_EVENTS,
+  IMPERSONATION,
+  API_KEY,
+  AUDIT,
+  ACADEMIC_CALENDAR,
+  SUBJECT,
+  TIMETABLE,
+  SUBSTITUTION,
+  ROLLOVER,
+  TENANT_DELETION,
+  TENANT_DOMAINS,
+  TENANT_ARCHIVE
 };
\ No newline at end of file
@@ -1,13 +1,34 @@
 // src/controllers/adminController.js
 const User = require('../models/User');
+const Tenant = require('../models/Tenant');
 const Student = require('../models/Student');
 const Class = require('../models/Class');
 const { FeeAssignment, FeePayment } = require('../models/Fee');
 const Leave = require('../models/Leave');
-const { generateRandomPassword } = require('../utils/passwordUtils');
+const SecurityEvent = require('../models/SecurityEvent');
+const { USER_ROLES, SECURITY_EVENTS, GUARDIAN_RIGHTS, DEFAULT_PASSWORD_POLICY } = require('../config/constants');
+const {
+  validatePasswordStrength,
+  generatePolicyPassword,
+  getPasswordPolicy
+} = require('../utils/passwordUtils');
 const mongoose = require('mongoose');
 const { autoAssignClassFees } = require('./feeController');
+const { sendEmailVerification } = require('./authController');
+const { syncUserTopics } = require('../utils/fcmTopics');
+const { revokeSessions } = require('../utils/tokenGenerator');
+const {
+  getAcademicYear,
+  getCurrentTerm,
+  getToday,
+  getStartOfMonth,
+  getAcademicYearByLabel,
+  getTerms,
+  getPeriods,
+  getCalendarSummary
+} = require('../utils/academicCalendar');
 const { FeeStructure } = require('../models/Fee');
+const { resolveSubjects, subjectFilter: getSubjectFilter, checkGrades } = require('../utils/subjectCatalogue');
 
 // @desc    Create a new teacher
 // @route   POST /api/admin/teachers
@@ -36,8 +57,11 @@ const createTeacher = async (req, res) => {
       });
     }
     
-    // Generate password if not provided
-    const teacherPassword = password || generateRandomPassword(8);
+    // Validate the given password or generate a temporary one
+    const initialPassword = resolveInitialPassword(password, req.user.tenant);
+    
+    // Subjects from the school's catalogue (ids, codes or names)
+    const teacherSubjects = await resolveSubjects(req.user.tenant._id, subjects || []);
     
     // Create teacher
     const teacher = await User.create({
@@ -46,25 +70,28 @@ const createTeacher = async (req, res) => {
       lastName,
       email,
       phone,
-      password: teacherPassword,
+      password: initialPassword.password,
+      mustChangePassword: initialPassword.mustChangePassword,
       role: 'teacher',
       teacherInfo: {
         employeeId: employeeId || `TCH${Date.now()}`,
-        subjects,
+        subjects: teacherSubjects.map(subject => subject._id),
         qualification,
         experience,
         joiningDate: joiningDate || Date.now()
-      },
-      isEmailVerified: true
+      }
     });
     
+    const verificationEmailSent = await trySendEmailVerification(teacher, req.user.tenant);
+    
     res.status(201).json({
       success: true,
       data: teacher,
-      temporaryPassword: password ? undefined : teacherPassword // Only send if auto-generated
+      verificationEmailSent,
+      temporaryPassword: initialPassword.generated ? initialPassword.password : undefined // Only send if auto-generated
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: 'Error creating teacher',
       error: error.message
@@ -81,7 +108,9 @@ const getTeachers = async (req, res) => {
       tenant: req.user.tenant._id,
       role: 'teacher',
       isActive: true
-    }).select('-password');
+    })
+      .select('-password')
+      .populate('teacherInfo.subjects', 'name code');
     
     res.status(200).json({
       success: true,
@@ -102,13 +131,35 @@ const getTeachers = async (req, res) => {
 // @access  Private/Admin
 const updateTeacher = async (req, res) => {
   try {
+    // Email changes must be verified again
+    const emailChanged = req.body.email
+      ? !(await User.exists({
+          _id: req.params.id,
+          tenant: req.user.tenant._id,
+          email: req.body.email.toLowerCase()
+        }))
+      : false;
+    
+    // Subjects from the school's catalogue (ids, codes or names)
+    const update = { ...req.body };
+    const subjects = update.subjects || (update.teacherInfo && update.teacherInfo.subjects);
+    if (subjects) {
+      const teacherSubjects = await resolveSubjects(req.user.tenant._id, subjects);
+      delete update.subjects;
+      if (update.teacherInfo) {
+        update.teacherInfo = { ...update.teacherInfo };
+        delete update.teacherInfo.subjects;
+      }
+      update['teacherInfo.subjects'] = teacherSubjects.map(subject => subject._id);
+    }
+    
     const teacher = await User.findOneAndUpdate(
       {
         _id: req.params.id,
         tenant: req.user.tenant._id,
         role: 'teacher'
       },
-      req.body,
+      update,
       {
         new: true,
         runValidators: true
@@ -122,12 +173,24 @@ const updateTeacher = async (req, res) => {
       });
     }
     
+    if (req.body.isActive === false) {
+      await revokeSessions(teacher._id, 'user_deactivated');
+    }
+    
+    if (typeof req.body.isActive === 'boolean') {
+      await trySyncTopics([teacher._id]);
+    }
+    
+    if (emailChanged) {
+      await trySendEmailVerification(teacher, req.user.tenant);
+    }
+    
     res.status(200).json({
       success: true,
       data: teacher
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: 'Error updating teacher',
       error: error.message
@@ -157,6 +220,10 @@ const deleteTeacher = async (req, res) => {
       });
     }
     
+    // Sign the teacher out everywhere
+    await revokeSessions(teacher._id, 'user_deactivated');
+    await trySyncTopics([teacher._id]);
+    
     res.status(200).json({
       success: true,
       message: 'Teacher deactivated successfully'
@@ -232,39 +299,29 @@ const createClass = async (req, res) => {
     }
 
     // Validate subjects are provided for all subject teachers
-    const invalidSubjects = subjectTeachers.filter(st => !st.subject || st.subject.trim() === '');
+    const invalidSubjects = subjectTeachers.filter(st => !st.subject || st.subject.toString().trim() === '');
     if (invalidSubjects.length > 0) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: 'Subject name is required for all subject teachers'
+        message: 'Subject is required for all subject teachers'
       });
     }
 
-    // Generate academic year if not provided
-    let finalAcademicYear = academicYear;
-    if (!finalAcademicYear) {
-      const currentDate = new Date();
-      const currentYear = currentDate.getFullYear();
-      const currentMonth = currentDate.getMonth();
-      
-      if (currentMonth >= 3) { // April onwards
-        finalAcademicYear = `${currentYear}-${currentYear + 1}`;
-      } else {
-        finalAcademicYear = `${currentYear - 1}-${currentYear}`;
-      }
-    }
+    // Subjects must be in the catalogue and taught in this grade
+    const subjects = await resolveSubjects(req.user.tenant._id, subjectTeachers.map(st => st.subject), { session });
+    checkGrades(subjects, name);
 
     // Create the class
     const classData = {
       tenant: req.user.tenant._id,
       name,
       section,
-      academicYear: finalAcademicYear,
+      academicYear: academicYear || getAcademicYear(req.user.tenant).label,
       classTeacher,
-      subjectTeachers: subjectTeachers.map(st => ({
+      subjectTeachers: subjectTeachers.map((st, index) => ({
         teacher: st.teacher,
-        subject: st.subject.trim()
+        subject: subjects[index]._id
       })),
       room,
       maxStudents: maxStudents || 40,
@@ -281,7 +338,8 @@ const createClass = async (req, res) => {
     // Populate the created class for response
     const populatedClass = await Class.findById(newClass[0]._id)
       .populate('classTeacher', 'firstName lastName email')
-      .populate('subjectTeachers.teacher', 'firstName lastName email');
+      .populate('subjectTeachers.teacher', 'firstName lastName email')
+      .populate('subjectTeachers.subject', 'name code category');
     
     res.status(201).json({
       success: true,
@@ -290,7 +348,7 @@ const createClass = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: 'Error creating class',
       error: error.message
@@ -310,7 +368,8 @@ const getClasses = async (req, res) => {
       isActive: true
     })
     .populate('classTeacher', 'firstName lastName email')
-    .populate('subjectTeachers.teacher', 'firstName lastName email');
+    .populate('subjectTeachers.teacher', 'firstName lastName email')
+    .populate('subjectTeachers.subject', 'name code category');
     
     res.status(200).json({
       success: true,
@@ -335,6 +394,7 @@ const updateClass = async (req, res) => {
 
   try {
     const { classTeacher, subjectTeachers } = req.body;
+    const update = { ...req.body };
 
     // If updating teachers, validate them
     if (classTeacher) {
@@ -372,14 +432,25 @@ const updateClass = async (req, res) => {
       }
 
       // Validate subjects
-      const invalidSubjects = subjectTeachers.filter(st => !st.subject || st.subject.trim() === '');
+      const invalidSubjects = subjectTeachers.filter(st => !st.subject || st.subject.toString().trim() === '');
       if (invalidSubjects.length > 0) {
         await session.abortTransaction();
         return res.status(400).json({
           success: false,
-          message: 'Subject name is required for all subject teachers'
+          message: 'Subject is required for all subject teachers'
         });
       }
+      
+      // Subjects must be in the catalogue and taught in this grade
+      const existing = await Class.findOne({ _id: req.params.id, tenant: req.user.tenant._id }).session(session);
+      const subjects = await resolveSubjects(req.user.tenant._id, subjectTeachers.map(st => st.subject), { session });
+      checkGrades(subjects, req.body.name || (existing ? existing.name : ''));
+      
+      update.subjectTeachers = subjectTeachers.map((st, index) => ({
+        teacher: st.teacher,
+        subject: subjects[index]._id
+      }));
+      update.subjects = [...new Set(subjects.map(subject => subject._id.toString()))];
     }
 
     const classData = await Class.findOneAndUpdate(
@@ -387,7 +458,7 @@ const updateClass = async (req, res) => {
         _id: req.params.id,
         tenant: req.user.tenant._id
       },
-      req.body,
+      update,
       {
         new: true,
         runValidators: true,
@@ -395,7 +466,8 @@ const updateClass = async (req, res) => {
       }
     )
     .populate('classTeacher', 'firstName lastName email')
-    .populate('subjectTeachers.teacher', 'firstName lastName email');
+    .populate('subjectTeachers.teacher', 'firstName lastName email')
+    .populate('subjectTeachers.subject', 'name code category');
     
     if (!classData) {
       await session.abortTransaction();
@@ -413,7 +485,7 @@ const updateClass = async (req, res) => {
     });
   } catch (error) {
     await session.abortTransaction();
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: 'Error updating class',
       error: error.message
@@ -438,13 +510,12 @@ const getAvailableTeachers = async (req, res) => {
     
     // If subject filter is provided, find teachers who teach that subject
     if (subjectFilter) {
-      query['teacherInfo.subjects'] = { 
-        $in: [new RegExp(subjectFilter, 'i')] 
-      };
+      query['teacherInfo.subjects'] = await getSubjectFilter(req.user.tenant._id, subjectFilter);
     }
     
     const teachers = await User.find(query)
       .select('firstName lastName email teacherInfo.subjects teacherInfo.employeeId')
+      .populate('teacherInfo.subjects', 'name code')
       .sort('firstName');
     
     res.status(200).json({
@@ -494,6 +565,7 @@ const createStudent = async (req, res) => {
       parentPhone,
       parentOccupation,
       parentPassword,
+      parentRelationship,
       // Fee discount (optional)
       feeDiscount
     } = req.body;
@@ -538,11 +610,12 @@ const createStudent = async (req, res) => {
     }).session(session);
     
     let parentIsNew = false;
+    let initialPassword = null;
     
     // Create parent if doesn't exist
     if (!parent) {
       parentIsNew = true;
-      const generatedPassword = parentPassword || generateRandomPassword(8);
+      initialPassword = resolveInitialPassword(parentPassword, req.user.tenant);
       
       const parentArray = await User.create([{
         tenant: req.user.tenant._id,
@@ -550,12 +623,12 @@ const createStudent = async (req, res) => {
         lastName: parentLastName,
         email: parentEmail,
         phone: parentPhone,
-        password: generatedPassword,
+        password: initialPassword.password,
+        mustChangePassword: initialPassword.mustChangePassword,
         role: 'parent',
         parentInfo: {
           occupation: parentOccupation
-        },
-        isEmailVerified: true
+        }
       }], { session });
       
       parent = parentArray[0];
@@ -573,7 +646,12 @@ const createStudent = async (req, res) => {
       class: classId,
       rollNumber,
       admissionNumber,
-      parent: parent._id
+      parent: parent._id,
+      guardians: [{
+        user: parent._id,
+        relationship: parentRelationship,
+        isPrimary: true
+      }]
     }], { session });
     
     const createdStudent = studentArray[0];
@@ -624,6 +702,14 @@ const createStudent = async (req, res) => {
     
     await session.commitTransaction();
     
+    // Parent's devices now need the new child's class topic
+    await trySyncTopics([parent._id]);
+    
+    // Ask new parents to confirm their email address
+    const verificationEmailSent = parentIsNew
+      ? await trySendEmailVerification(parent, req.user.tenant)
+      : undefined;
+    
     // Populate data for response
     await createdStudent.populate('class parent');
     
@@ -633,8 +719,9 @@ const createStudent = async (req, res) => {
         student: createdStudent,
         parentCredentials: parentIsNew ? {
           email: parentEmail,
-          temporaryPassword: parentPassword || 'Auto-generated, sent via email'
+          temporaryPassword: initialPassword.generated ? initialPassword.password : undefined
         } : undefined,
+        verificationEmailSent,
         message: 'Student created successfully. Fees have been automatically assigned based on class fee structure.'
       }
     });
@@ -667,7 +754,8 @@ const getStudents = async (req, res) => {
     
     const students = await Student.find(query)
       .populate('class', 'name section')
-      .populate('parent', 'firstName lastName email phone');
+      .populate('parent', 'firstName lastName email phone')
+      .populate('guardians.user', 'firstName lastName email phone');
     
     res.status(200).json({
       success: true,
@@ -688,12 +776,15 @@ const getStudents = async (req, res) => {
 // @access  Private/Admin
 const updateStudent = async (req, res) => {
   try {
+    // Guardians are managed through /students/:id/guardians
+    const { parent, guardians, ...updates } = req.body;
+    
     const student = await Student.findOneAndUpdate(
       {
         _id: req.params.id,
         tenant: req.user.tenant._id
       },
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
@@ -707,6 +798,11 @@ const updateStudent = async (req, res) => {
       });
     }
     
+    // Class changes move guardians to another class topic
+    if (['class', 'isActive', 'status'].some(field => field in updates)) {
+      await trySyncTopics(student.guardians.map(guardian => guardian.user));
+    }
+    
     res.status(200).json({
       success: true,
       data: student
@@ -741,6 +837,8 @@ const deleteStudent = async (req, res) => {
       });
     }
     
+    await trySyncTopics(student.guardians.map(guardian => guardian.user));
+    
     res.status(200).json({
       success: true,
       message: 'Student deactivated successfully'
@@ -754,18 +852,241 @@ const deleteStudent = async (req, res) => {
   }
 };
 
+// @desc    Add guardian (parent account) to a student
+// @route   POST /api/admin/students/:id/guardians
+// @access  Private/Admin
+const addGuardian = async (req, res) => {
+  try {
+    const {
+      firstName,
+      lastName,
+      email,
+      phone,
+      occupation,
+      password,
+      relationship,
+      isPrimary,
+      rights
+    } = req.body;
+    
+    const student = await Student.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    const existingUser = await User.findOne({
+      email,
+      tenant: req.user.tenant._id
+    });
+    
+    if (existingUser && existingUser.role !== USER_ROLES.PARENT) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email belongs to a staff account'
+      });
+    }
+    
+    if (existingUser && student.getGuardian(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This parent is already a guardian of the student'
+      });
+    }
+    
+    let parent = existingUser;
+    const parentIsNew = !parent;
+    const initialPassword = parentIsNew ? resolveInitialPassword(password, req.user.tenant) : null;
+    
+    // Create parent if doesn't exist
+    if (!parent) {
+      parent = await User.create({
+        tenant: req.user.tenant._id,
+        firstName,
+        lastName,
+        email,
+        phone,
+        password: initialPassword.password,
+        mustChangePassword: initialPassword.mustChangePassword,
+        role: USER_ROLES.PARENT,
+        parentInfo: {
+          occupation
+        }
+      });
+    }
+    
+    student.guardians.forEach(guardian => {
+      if (isPrimary) guardian.isPrimary = false;
+    });
+    student.guardians.push({
+      user: parent._id,
+      relationship,
+      isPrimary: !!isPrimary,
+      rights
+    });
+    await student.save();
+    
+    const verificationEmailSent = parentIsNew
+      ? await trySendEmailVerification(parent, req.user.tenant)
+      : undefined;
+    
+    await trySyncTopics([parent._id]);
+    await student.populate('guardians.user', 'firstName lastName email phone');
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        guardians: student.guardians,
+        parentCredentials: parentIsNew ? {
+          email,
+          temporaryPassword: initialPassword.generated ? initialPassword.password : undefined
+        } : undefined,
+        verificationEmailSent
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error adding guardian',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update guardian relationship, primary flag or rights
+// @route   PUT /api/admin/students/:id/guardians/:userId
+// @access  Private/Admin
+const updateGuardian = async (req, res) => {
+  try {
+    const { relationship, isPrimary, rights } = req.body;
+    
+    const student = await Student.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    const guardian = student.getGuardian(req.params.userId);
+    
+    if (!guardian) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guardian not found'
+      });
+    }
+    
+    if (relationship !== undefined) guardian.relationship = relationship;
+    
+    if (rights) {
+      Object.values(GUARDIAN_RIGHTS).forEach(right => {
+        if (typeof rights[right] === 'boolean') guardian.rights[right] = rights[right];
+      });
+    }
+    
+    if (isPrimary === true) {
+      student.guardians.forEach(g => {
+        g.isPrimary = g === guardian;
+      });
+    }
+    
+    await student.save();
+    await student.populate('guardians.user', 'firstName lastName email phone');
+    
+    res.status(200).json({
+      success: true,
+      data: student.guardians
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating guardian',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove guardian from a student
+// @route   DELETE /api/admin/students/:id/guardians/:userId
+// @access  Private/Admin
+const removeGuardian = async (req, res) => {
+  try {
+    const student = await Student.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    const guardian = student.getGuardian(req.params.userId);
+    
+    if (!guardian) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guardian not found'
+      });
+    }
+    
+    if (student.guardians.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A student must have at least one guardian'
+      });
+    }
+    
+    // The next guardian becomes primary if the primary one is removed
+    student.guardians = student.guardians.filter(g => g !== guardian);
+    await student.save();
+    await trySyncTopics([guardian.user]);
+    await student.populate('guardians.user', 'firstName lastName email phone');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Guardian removed successfully',
+      data: student.guardians
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error removing guardian',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Reset user password (Admin only)
 // @route   PUT /api/admin/users/:id/reset-password
 // @access  Private/Admin
 const resetUserPassword = async (req, res) => {
   try {
     const { newPassword } = req.body;
+    const policy = getPasswordPolicy(req.user.tenant);
     
-    if (!newPassword || newPassword.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters'
-      });
+    if (newPassword) {
+      const passwordValidation = validatePasswordStrength(newPassword, policy);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password validation failed',
+          errors: passwordValidation.errors
+        });
+      }
     }
     
     const user = await User.findOne({
@@ -780,16 +1101,22 @@ const resetUserPassword = async (req, res) => {
       });
     }
     
-    user.password = newPassword;
+    // The user has to choose their own password at next login
+    const temporaryPassword = newPassword ? undefined : generatePolicyPassword(policy);
+    user.password = newPassword || temporaryPassword;
+    user.mustChangePassword = true;
     await user.save();
     
+    await revokeSessions(user._id, 'password_reset');
+    
     res.status(200).json({
       success: true,
       message: 'Password reset successfully',
       data: {
         userId: user._id,
         email: user.email,
-        role: user.role
+        role: user.role,
+        temporaryPassword
       }
     });
   } catch (error) {
@@ -801,6 +1128,332 @@ const resetUserPassword = async (req, res) => {
   }
 };
 
+// @desc    Unlock a user locked out after failed logins
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const wasLocked = user.isLocked();
+    await user.resetLoginAttempts();
+    
+    await SecurityEvent.record(SECURITY_EVENTS.ACCOUNT_UNLOCKED, {
+      tenant: req.user.tenant._id,
+      user: user._id,
+      actor: req.user._id,
+      req,
+      details: { wasLocked }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked; failed attempts cleared'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error unlocking account',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get security events (lockouts, unlocks, blocked IPs)
+// @route   GET /api/admin/security-events
+// @access  Private/Admin
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { type, userId, startDate, endDate, limit = 50, skip = 0 } = req.query;
+    
+    const query = {
+      tenant: req.user.tenant._id
+    };
+    
+    if (type) query.type = type;
+    if (userId) query.user = userId;
+    
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    
+    const events = await SecurityEvent.find(query)
+      .populate('user', 'firstName lastName email role')
+      .populate('actor', 'firstName lastName email')
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+    
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching security events',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get users who have not verified their email
+// @route   GET /api/admin/users/unverified
+// @access  Private/Admin
+const getUnverifiedUsers = async (req, res) => {
+  try {
+    const { role } = req.query;
+    
+    const query = {
+      tenant: req.user.tenant._id,
+      isActive: true,
+      isEmailVerified: false
+    };
+    
+    if (role) query.role = role;
+    
+    const users = await User.find(query)
+      .select('firstName lastName email phone role createdAt emailVerificationExpire')
+      .sort('-createdAt');
+    
+    // Show children next to parents so a wrong email can be traced to an admission
+    const parentIds = users.filter(u => u.role === 'parent').map(u => u._id);
+    const children = await Student.find({
+      tenant: req.user.tenant._id,
+      'guardians.user': { $in: parentIds },
+      isActive: true
+    }).select('firstName lastName admissionNumber guardians');
+    
+    const data = users.map(user => ({
+      _id: user._id,
+      name: user.fullName,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      createdAt: user.createdAt,
+      verificationLinkExpired: !user.emailVerificationExpire || user.emailVerificationExpire < new Date(),
+      children: children
+        .filter(child => child.getGuardian(user._id))
+        .map(child => ({
+          _id: child._id,
+          name: child.fullName,
+          admissionNumber: child.admissionNumber
+        }))
+    }));
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching unverified users',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend verification email to a user
+// @route   POST /api/admin/users/:id/resend-verification
+// @access  Private/Admin
+const resendUserVerification = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id,
+      isActive: true
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+    
+    await sendEmailVerification(user, req.user.tenant);
+    
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Correct a user's email address and send a new verification email
+// @route   PUT /api/admin/users/:id/email
+// @access  Private/Admin
+const updateUserEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+    
+    const user = await User.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const emailTaken = await User.exists({
+      tenant: req.user.tenant._id,
+      email: email.toLowerCase(),
+      _id: { $ne: user._id }
+    });
+    
+    if (emailTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another user already uses this email'
+      });
+    }
+    
+    user.email = email;
+    await user.save();
+    
+    const verificationEmailSent = await trySendEmailVerification(user, req.user.tenant);
+    
+    res.status(200).json({
+      success: true,
+      data: user,
+      verificationEmailSent
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update school settings editable by admins
+// @route   PUT /api/admin/settings
+// @access  Private/Admin
+const updateTenantSettings = async (req, res) => {
+  try {
+    const editableSettings = ['allowUnverifiedLogin', 'academicYearStart', 'academicYearEnd', 'termsPerYear', 'timeZone', 'workingDays'];
+    const editablePolicy = Object.keys(DEFAULT_PASSWORD_POLICY);
+    
+    const updateData = {};
+    editableSettings.forEach(key => {
+      if (req.body[key] !== undefined) {
+        updateData[`settings.${key}`] = req.body[key];
+      }
+    });
+    
+    // Password policy is updated key by key so unspecified keys are kept
+    const { passwordPolicy } = req.body;
+    if (passwordPolicy && typeof passwordPolicy === 'object') {
+      editablePolicy.forEach(key => {
+        if (passwordPolicy[key] !== undefined) {
+          updateData[`settings.passwordPolicy.${key}`] = passwordPolicy[key];
+        }
+      });
+    }
+    
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update. Editable settings: ${editableSettings.join(', ')}, passwordPolicy (${editablePolicy.join(', ')})`
+      });
+    }
+    
+    const tenant = await Tenant.findByIdAndUpdate(
+      req.user.tenant._id,
+      { $set: updateData },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+    
+    res.status(200).json({
+      success: true,
+      data: tenant.settings
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the school's academic calendar (current year, terms, fee periods)
+// @route   GET /api/admin/calendar
+// @access  Private (dashboard.view)
+const getAcademicCalendar = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const academicYear = req.query.academicYear
+      ? getAcademicYearByLabel(tenant, req.query.academicYear)
+      : getAcademicYear(tenant);
+    
+    const summary = getCalendarSummary(tenant);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...summary,
+        academicYear,
+        terms: getTerms(tenant, academicYear),
+        feePeriods: {
+          monthly: getPeriods(tenant, 'monthly', academicYear),
+          quarterly: getPeriods(tenant, 'quarterly', academicYear),
+          'half-yearly': getPeriods(tenant, 'half-yearly', academicYear)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error fetching academic calendar',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard
 // @access  Private/Admin
@@ -858,7 +1511,7 @@ const getDashboardData = async (req, res) => {
         .limit(5),
       
       // Today's attendance summary
-      getTodayAttendanceSummary(tenantId),
+      getTodayAttendanceSummary(req.user.tenant),
       
       // Pending leave count
       Leave.countDocuments({ 
@@ -883,7 +1536,7 @@ const getDashboardData = async (req, res) => {
             tenant: tenantId,
             status: 'completed',
             paymentDate: {
-              $gte: new Date(lastMonth.getFullYear(), lastMonth.getMonth(), 1),
+              $gte: getStartOfMonth(req.user.tenant, new Date(), -1),
               $lt: new Date()
             }
           }
@@ -926,6 +1579,11 @@ const getDashboardData = async (req, res) => {
           today: todayAttendance
         },
         
+        calendar: {
+          academicYear: getAcademicYear(req.user.tenant).label,
+          currentTerm: getCurrentTerm(req.user.tenant)
+        },
+        
         pendingActions: {
           leaves: pendingLeaves
         },
@@ -946,6 +1604,55 @@ const getDashboardData = async (req, res) => {
   }
 };
 
+// Helper function to send verification email without failing the request
+async function trySendEmailVerification(user, tenant) {
+  try {
+    await sendEmailVerification(user, tenant);
+    return true;
+  } catch (error) {
+    console.error(`Error sending verification email to ${user.email}:`, error);
+    return false;
+  }
+}
+
+// Helper function to update FCM topic subscriptions without failing the request
+async function trySyncTopics(userIds) {
+  for (const userId of userIds) {
+    try {
+      await syncUserTopics(userId);
+    } catch (error) {
+      console.error(`Error syncing FCM topics for user ${userId}:`, error);
+    }
+  }
+}
+
+// Helper function to pick the password for a new account: an admin-supplied
+// password must meet the school's policy, otherwise a temporary one is generated
+function resolveInitialPassword(password, tenant) {
+  const policy = getPasswordPolicy(tenant);
+  
+  if (!password) {
+    return {
+      password: generatePolicyPassword(policy),
+      generated: true,
+      mustChangePassword: true
+    };
+  }
+  
+  const passwordValidation = validatePasswordStrength(password, policy);
+  if (!passwordValidation.isValid) {
+    const error = new Error(passwordValidation.errors.join(', '));
+    error.status = 400;
+    throw error;
+  }
+  
+  return {
+    password,
+    generated: false,
+    mustChangePassword: policy.forceChangeOnFirstLogin
+  };
+}
+
 // Helper function to get fee statistics
 async function getFeeStatistics(tenantId) {
   const { FeeAssignment, FeePayment } = require('../models/Fee');
@@ -984,18 +1691,17 @@ async function getFeeStatistics(tenantId) {
   };
 }
 
-// Helper function to get today's attendance summary
-async function getTodayAttendanceSummary(tenantId) {
+// Helper function to get today's attendance summary (today in the school's time zone)
+async function getTodayAttendanceSummary(tenant) {
   const Attendance = require('../models/Attendance');
   
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const today = getToday(tenant);
   
   const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
   
   const attendanceRecords = await Attendance.find({
-    tenant: tenantId,
+    tenant: tenant._id,
     date: { $gte: today, $lt: tomorrow }
   });
   
@@ -1031,7 +1737,17 @@ module.exports = {
   getStudents,
   updateStudent,
   deleteStudent,
+  addGuardian,
+  updateGuardian,
+  removeGuardian,
   resetUserPassword,
+  unlockUser,
+  getSecurityEvents,
+  getUnverifiedUsers,
+  resendUserVerification,
+  updateUserEmail,
+  updateTenantSettings,
+  getAcademicCalendar,
   getDashboardData,
   getAvailableTeachers
 };
\ No newline at end of file
@@ -0,0 +1,243 @@
+// src/controllers/apiKeyController.js
+const ApiKey = require('../models/ApiKey');
+const SecurityEvent = require('../models/SecurityEvent');
+const { API_KEY, API_KEY_SCOPES, SECURITY_EVENTS } = require('../config/constants');
+
+// Scopes whose permissions the admin does not have themselves
+const getUngrantableScopes = async (user, scopes) => {
+  const userPermissions = await user.getPermissions();
+  
+  return scopes.filter(scope =>
+    API_KEY_SCOPES[scope] &&
+    !API_KEY_SCOPES[scope].every(permission => userPermissions.includes(permission))
+  );
+};
+
+// @desc    Get available API key scopes
+// @route   GET /api/admin/api-keys/scopes
+// @access  Private (api_keys.manage)
+const getApiKeyScopes = async (req, res) => {
+  try {
+    const scopes = Object.keys(API_KEY_SCOPES).map(scope => ({
+      scope,
+      permissions: API_KEY_SCOPES[scope]
+    }));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        scopes,
+        defaultRateLimit: API_KEY.DEFAULT_RATE_LIMIT,
+        maxRateLimit: API_KEY.MAX_RATE_LIMIT,
+        rateLimitWindowSeconds: API_KEY.RATE_LIMIT_WINDOW_SECONDS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API key scopes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get API keys of the school
+// @route   GET /api/admin/api-keys
+// @access  Private (api_keys.manage)
+const getApiKeys = async (req, res) => {
+  try {
+    const query = { tenant: req.user.tenant._id };
+    
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+    
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('revokedBy', 'firstName lastName email')
+      .sort('-createdAt');
+    
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create API key (the key is only returned in this response)
+// @route   POST /api/admin/api-keys
+// @access  Private (api_keys.manage)
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes = [], rateLimit, expiresAt } = req.body;
+    
+    const activeKeys = await ApiKey.countDocuments({
+      tenant: req.user.tenant._id,
+      revokedAt: null
+    });
+    
+    if (activeKeys >= API_KEY.MAX_KEYS_PER_TENANT) {
+      return res.status(400).json({
+        success: false,
+        message: `A school can have at most ${API_KEY.MAX_KEYS_PER_TENANT} active API keys`
+      });
+    }
+    
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future'
+      });
+    }
+    
+    // A key cannot do more than the admin creating it
+    const ungrantable = await getUngrantableScopes(req.user, scopes);
+    if (ungrantable.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant scopes you do not have: ${ungrantable.join(', ')}`
+      });
+    }
+    
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    
+    const apiKey = await ApiKey.create({
+      tenant: req.user.tenant._id,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      rateLimit,
+      expiresAt: expiresAt || null,
+      createdBy: req.user._id
+    });
+    
+    await SecurityEvent.record(SECURITY_EVENTS.API_KEY_CREATED, {
+      tenant: req.user.tenant._id,
+      actor: req.user._id,
+      req,
+      details: { apiKey: apiKey._id, name: apiKey.name, scopes: apiKey.scopes }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now. It will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update API key name, scopes or rate limit
+// @route   PUT /api/admin/api-keys/:id
+// @access  Private (api_keys.manage)
+const updateApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimit } = req.body;
+    
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id,
+      revokedAt: null
+    });
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+    
+    if (scopes !== undefined) {
+      const ungrantable = await getUngrantableScopes(req.user, scopes);
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot grant scopes you do not have: ${ungrantable.join(', ')}`
+        });
+      }
+      apiKey.scopes = [...new Set(scopes)];
+    }
+    
+    if (name !== undefined) apiKey.name = name;
+    if (rateLimit !== undefined) apiKey.rateLimit = rateLimit;
+    
+    await apiKey.save();
+    
+    res.status(200).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating API key',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (api_keys.manage)
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id,
+      revokedAt: null
+    });
+    
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+    
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+    
+    await SecurityEvent.record(SECURITY_EVENTS.API_KEY_REVOKED, {
+      tenant: req.user.tenant._id,
+      actor: req.user._id,
+      req,
+      details: { apiKey: apiKey._id, name: apiKey.name }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getApiKeyScopes,
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+};
\ No newline at end of file
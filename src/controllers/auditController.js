@@ -0,0 +1,112 @@
+// src/controllers/auditController.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT } = require('../config/constants');
+const { toCsv } = require('../utils/csv');
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  { header: 'Date', value: entry => entry.createdAt },
+  { header: 'Model', value: entry => entry.model },
+  { header: 'Document', value: entry => entry.documentId },
+  { header: 'Action', value: entry => entry.action },
+  { header: 'Actor Type', value: entry => entry.actorType },
+  {
+    header: 'Actor',
+    value: entry => entry.actor ? `${entry.actor.firstName} ${entry.actor.lastName} <${entry.actor.email}>` : ''
+  },
+  { header: 'API Key', value: entry => entry.apiKey ? entry.apiKey.name : '' },
+  { header: 'Support User', value: entry => entry.impersonatedBy ? entry.impersonatedBy.email : '' },
+  {
+    header: 'Changes',
+    value: entry => (entry.changes || [])
+      .map(change => `${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+      .join('; ')
+  },
+  { header: 'Method', value: entry => entry.method },
+  { header: 'Path', value: entry => entry.path },
+  { header: 'IP Address', value: entry => entry.ipAddress },
+  { header: 'User Agent', value: entry => entry.userAgent }
+];
+
+// @desc    Get audit log entries (JSON, or CSV with format=csv)
+// @route   GET /api/admin/audit
+// @access  Private (audit.view)
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      model,
+      action,
+      actorId,
+      actorType,
+      documentId,
+      startDate,
+      endDate,
+      format,
+      limit = 50,
+      skip = 0
+    } = req.query;
+    
+    const query = {
+      tenant: req.user.tenant._id
+    };
+    
+    if (model) query.model = model;
+    if (action) query.action = action;
+    if (actorType) query.actorType = actorType;
+    
+    for (const [param, value] of [['actorId', actorId], ['documentId', documentId]]) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${param}`
+        });
+      }
+    }
+    
+    if (actorId) query.actor = actorId;
+    if (documentId) query.documentId = documentId;
+    
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    
+    const isCsv = format === 'csv';
+    
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'firstName lastName email role')
+      .populate('impersonatedBy', 'firstName lastName email')
+      .populate('apiKey', 'name prefix')
+      .sort('-createdAt')
+      .limit(isCsv ? AUDIT.MAX_EXPORT_ROWS : parseInt(limit))
+      .skip(isCsv ? 0 : parseInt(skip));
+    
+    if (isCsv) {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+      return res.status(200).send(toCsv(CSV_COLUMNS, entries));
+    }
+    
+    const total = await AuditLog.countDocuments(query);
+    
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      data: entries
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
\ No newline at end of file
@@ -1,8 +1,126 @@
 
 const User = require('../models/User');
 const Tenant = require('../models/Tenant');
-const { sendTokenResponse } = require('../utils/tokenGenerator');
-const { validatePasswordStrength } = require('../utils/passwordUtils');
+const OtpCode = require('../models/OtpCode');
+const LoginAttempt = require('../models/LoginAttempt');
+const SecurityEvent = require('../models/SecurityEvent');
+const Impersonation = require('../models/Impersonation');
+const {
+  OTP,
+  USER_ROLES,
+  LOGIN_PROTECTION,
+  SECURITY_EVENTS,
+  SUBSCRIPTION_STATUS
+} = require('../config/constants');
+const {
+  sendTokenResponse,
+  sendTokens,
+  rotateRefreshToken,
+  revokeSessions,
+  generateTwoFactorToken
+} = require('../utils/tokenGenerator');
+const {
+  validatePasswordStrength,
+  getPasswordPolicy,
+  generateResetToken,
+  generateEmailVerificationToken,
+  generateOtp,
+  hashToken
+} = require('../utils/passwordUtils');
+const { sendOtpSms } = require('../utils/smsService');
+const { resolveTenant } = require('../utils/tenantResolver');
+const { syncUserTopics, removeSessionTokens } = require('../utils/fcmTopics');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} = require('../utils/emailService');
+
+// Neither a school code nor the request's domain identifies the school
+const sendSchoolCodeRequired = (res) => {
+  return res.status(400).json({
+    success: false,
+    code: 'SCHOOL_CODE_REQUIRED',
+    message: 'Please provide the school code'
+  });
+};
+
+// Refuse sign-in to an inactive school or a suspended subscription.
+// Returns true when a response was sent.
+const sendTenantBlocked = (tenant, res) => {
+  if (!tenant.isActive) {
+    res.status(401).json({
+      success: false,
+      message: 'Your school account is inactive. Please contact support.'
+    });
+    return true;
+  }
+  
+  if (tenant.getSubscriptionStatus() === SUBSCRIPTION_STATUS.SUSPENDED) {
+    res.status(403).json({
+      success: false,
+      code: 'SUBSCRIPTION_SUSPENDED',
+      message: 'Your school subscription has been suspended. Please contact support to renew.'
+    });
+    return true;
+  }
+  
+  return false;
+};
+
+// Ask for the authenticator code (or enrolment) instead of starting a session.
+// Returns true when a response was sent.
+const sendTwoFactorStep = (user, tenant, res) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      twoFactorToken: generateTwoFactorToken(user, '2fa_login')
+    });
+    return true;
+  }
+  
+  // School requires 2FA but user has not enrolled yet
+  if (user.requiresTwoFactor(tenant)) {
+    res.status(200).json({
+      success: true,
+      twoFactorSetupRequired: true,
+      twoFactorToken: generateTwoFactorToken(user, '2fa_setup')
+    });
+    return true;
+  }
+  
+  return false;
+};
+
+// @desc    Get the school served at this domain (login page branding)
+// @route   GET /api/auth/school
+// @access  Public
+const getSchool = async (req, res) => {
+  try {
+    const tenant = await resolveTenant(req, req.query.code);
+    
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'School not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        name: tenant.name,
+        code: tenant.code
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching school',
+      error: error.message
+    });
+  }
+};
 
 // @desc    Register a new tenant with admin user
 // @route   POST /api/auth/register-tenant
@@ -69,7 +187,7 @@ const registerTenant = async (req, res, next) => {
     });
     
     // Send token response
-    sendTokenResponse(adminUser, 201, res);
+    await sendTokenResponse(adminUser, 201, res);
   } catch (error) {
     // Clean up if error
     if (error.name === 'ValidationError') {
@@ -97,15 +215,18 @@ const login = async (req, res, next) => {
     const { email, password, tenantCode } = req.body;
     
     // Validate email & password
-    if (!email || !password || !tenantCode) {
+    if (!email || !password) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide email, password and school code'
+        message: 'Please provide email and password'
       });
     }
     
-    // Find tenant
-    const tenant = await Tenant.findByCode(tenantCode);
+    // Find tenant (school code, or the school's subdomain / custom domain)
+    const tenant = await resolveTenant(req, tenantCode);
+    if (!tenant && !tenantCode) {
+      return sendSchoolCodeRequired(res);
+    }
     if (!tenant) {
       return res.status(401).json({
         success: false,
@@ -113,11 +234,17 @@ const login = async (req, res, next) => {
       });
     }
     
-    // Check if tenant is active
-    if (!tenant.isActive) {
-      return res.status(401).json({
+    // Check if tenant is active and its subscription is not suspended
+    if (sendTenantBlocked(tenant, res)) {
+      return;
+    }
+    
+    // Block IPs with too many recent failures against this school
+    const recentIpFailures = await LoginAttempt.countRecentFailures(tenant._id, req.ip);
+    if (recentIpFailures >= LOGIN_PROTECTION.MAX_FAILED_PER_IP) {
+      return res.status(429).json({
         success: false,
-        message: 'Your school account is inactive. Please contact support.'
+        message: 'Too many failed login attempts. Please try again later.'
       });
     }
     
@@ -128,6 +255,7 @@ const login = async (req, res, next) => {
     }).select('+password');
     
     if (!user) {
+      await LoginAttempt.recordFailure(req, tenant, email, null, 'unknown_user');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -142,16 +270,65 @@ const login = async (req, res, next) => {
       });
     }
     
+    // Locked accounts and the delay between failed attempts get the same
+    // response as an unknown email, so it does not tell which accounts exist
+    if (user.isLocked()) {
+      await LoginAttempt.recordFailure(req, tenant, email, user, 'account_locked');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    
+    // Enforce progressive delay between failed attempts
+    if (user.nextLoginAttemptAt && user.nextLoginAttemptAt > Date.now()) {
+      await LoginAttempt.recordFailure(req, tenant, email, user, 'too_fast');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    
     // Check password
     const isPasswordMatch = await user.matchPassword(password);
     
     if (!isPasswordMatch) {
+      await LoginAttempt.recordFailure(req, tenant, email, user, 'wrong_password');
+      const result = await user.registerFailedLogin();
+      
+      if (result.locked) {
+        await SecurityEvent.record(SECURITY_EVENTS.ACCOUNT_LOCKED, {
+          tenant: tenant._id,
+          user: user._id,
+          req,
+          details: {
+            lockUntil: result.lockUntil,
+            failedAttempts: LOGIN_PROTECTION.MAX_FAILED_ATTEMPTS
+          }
+        });
+      }
+      
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
+    await user.resetLoginAttempts();
+    
+    // Block unverified accounts if the school requires verification
+    if (!user.isEmailVerified && tenant.settings.allowUnverifiedLogin === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    
+    if (sendTwoFactorStep(user, tenant, res)) {
+      return;
+    }
+    
     // Update last login
     user.lastLogin = Date.now();
     await user.save({ validateBeforeSave: false });
@@ -160,7 +337,7 @@ const login = async (req, res, next) => {
     await user.populate('tenant');
     
     // Send token response
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, res);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -177,32 +354,126 @@ const getMe = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id).populate('tenant');
     
+    const response = {
+      success: true,
+      data: user,
+      permissions: await user.getPermissions()
+    };
+    
+    // Let the client show that support is acting as this user
+    if (req.impersonation) {
+      response.impersonation = {
+        id: req.impersonation._id,
+        expiresAt: req.impersonation.expiresAt
+      };
+    }
+    
+    res.status(200).json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List times support (super admin) accessed my account
+// @route   GET /api/auth/support-access
+// @access  Private
+const getSupportAccess = async (req, res) => {
+  try {
+    const accesses = await Impersonation.find({ user: req.user._id })
+      .populate('actor', 'firstName lastName')
+      .select('actor reason expiresAt endedAt requestCount lastRequestAt createdAt')
+      .sort('-createdAt')
+      .limit(50);
+    
     res.status(200).json({
       success: true,
-      data: user
+      count: accesses.length,
+      data: accesses
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Error fetching user',
+      message: 'Error fetching support access history',
       error: error.message
     });
   }
 };
 
-// @desc    Log user out / clear cookie
+// @desc    Get new access token using refresh token (rotates refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+  try {
+    const token = req.body.refreshToken;
+    
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    const { user, tokens } = await rotateRefreshToken(token, req);
+    
+    await sendTokens(user, tokens, 200, res);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error refreshing token',
+      error: error.status ? undefined : error.message
+    });
+  }
+};
+
+// @desc    Log user out / revoke session and clear cookies
 // @route   GET /api/auth/logout
 // @access  Private
 const logout = async (req, res, next) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000), // 10 seconds
-    httpOnly: true
-  });
-  
-  res.status(200).json({
-    success: true,
-    data: {}
-  });
+  try {
+    // Ending an impersonation must not touch the super admin's own cookies
+    if (req.impersonation) {
+      await req.impersonation.end('logout');
+      await SecurityEvent.record(SECURITY_EVENTS.IMPERSONATION_ENDED, {
+        tenant: req.impersonation.tenant,
+        user: req.impersonation.user,
+        actor: req.impersonation.actor,
+        req,
+        details: { impersonation: req.impersonation._id, endedReason: 'logout' }
+      });
+      
+      return res.status(200).json({
+        success: true,
+        data: {}
+      });
+    }
+    
+    if (req.authSession) {
+      await req.authSession.revoke('logout');
+      await removeSessionTokens(req.user._id, [req.authSession._id]);
+    }
+    
+    const expiredCookie = {
+      expires: new Date(Date.now() + 10 * 1000), // 10 seconds
+      httpOnly: true
+    };
+    
+    res.cookie('token', 'none', expiredCookie);
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
 };
 
 // @desc    Update password
@@ -220,8 +491,9 @@ const updatePassword = async (req, res, next) => {
       });
     }
     
-    // Validate new password
-    const passwordValidation = validatePasswordStrength(req.body.newPassword);
+    // Validate new password against the school's policy
+    const policy = getPasswordPolicy(req.user.tenant);
+    const passwordValidation = validatePasswordStrength(req.body.newPassword, policy);
     if (!passwordValidation.isValid) {
       return res.status(400).json({
         success: false,
@@ -230,10 +502,21 @@ const updatePassword = async (req, res, next) => {
       });
     }
     
+    if (policy.historyCount > 0 && await user.isPasswordReused(req.body.newPassword, policy.historyCount)) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be different from your last ${policy.historyCount} passwords`
+      });
+    }
+    
     user.password = req.body.newPassword;
+    user.mustChangePassword = false;
     await user.save();
     
-    sendTokenResponse(user, 200, res);
+    // Sign out every existing session, then start a fresh one
+    await revokeSessions(user._id, 'password_change');
+    
+    await sendTokenResponse(user, 200, res);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -243,9 +526,477 @@ const updatePassword = async (req, res, next) => {
   }
 };
 
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email, tenantCode } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email'
+      });
+    }
+    
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+    
+    const tenant = await resolveTenant(req, tenantCode);
+    if (!tenant && !tenantCode) {
+      return sendSchoolCodeRequired(res);
+    }
+    if (!tenant) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    const user = await User.findOne({
+      email: email.toLowerCase(),
+      tenant: tenant._id,
+      isActive: true
+    });
+    
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    const { resetToken, hashedToken, expireTime } = generateResetToken();
+    
+    user.resetPasswordToken = hashedToken;
+    user.resetPasswordExpire = expireTime;
+    await user.save({ validateBeforeSave: false });
+    
+    try {
+      await sendPasswordResetEmail(user, tenant, resetToken);
+    } catch (emailError) {
+      console.error('Error sending password reset email:', emailError);
+      
+      // Not reported to the caller, that would tell which accounts exist
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+    
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error processing password reset request',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset password using emailed token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { password, tenantCode } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new password'
+      });
+    }
+    
+    const query = {
+      resetPasswordToken: hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() },
+      isActive: true
+    };
+    
+    // Restrict lookup to the school when the client sends its code or uses its domain
+    const tenant = await resolveTenant(req, tenantCode);
+    if (tenantCode && !tenant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+    if (tenant) {
+      query.tenant = tenant._id;
+    }
+    
+    const user = await User.findOne(query).populate('tenant');
+    
+    if (!user || !user.tenant || !user.tenant.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+    
+    const policy = getPasswordPolicy(user.tenant);
+    const passwordValidation = validatePasswordStrength(password, policy);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password validation failed',
+        errors: passwordValidation.errors
+      });
+    }
+    
+    if (policy.historyCount > 0 && await user.isPasswordReused(password, policy.historyCount)) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be different from your last ${policy.historyCount} passwords`
+      });
+    }
+    
+    // Set new password and invalidate the token
+    user.password = password;
+    user.mustChangePassword = false;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+    
+    await revokeSessions(user._id, 'password_reset');
+    
+    // A reset link alone must not get past the authenticator code
+    if (sendTwoFactorStep(user, user.tenant, res)) {
+      return;
+    }
+    
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Issue a verification token and email it to the user
+// @access  System Internal
+const sendEmailVerification = async (user, tenant) => {
+  const { verificationToken, hashedToken, expireTime } = generateEmailVerificationToken();
+  
+  user.isEmailVerified = false;
+  user.emailVerificationToken = hashedToken;
+  user.emailVerificationExpire = expireTime;
+  await user.save({ validateBeforeSave: false });
+  
+  await sendVerificationEmail(user, tenant, verificationToken);
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+    
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const { email, tenantCode } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email'
+      });
+    }
+    
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    };
+    
+    const tenant = await resolveTenant(req, tenantCode);
+    if (!tenant && !tenantCode) {
+      return sendSchoolCodeRequired(res);
+    }
+    if (!tenant) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    const user = await User.findOne({
+      email: email.toLowerCase(),
+      tenant: tenant._id,
+      isActive: true,
+      isEmailVerified: false
+    });
+    
+    if (user) {
+      try {
+        await sendEmailVerification(user, tenant);
+      } catch (emailError) {
+        // Not reported to the caller, that would tell which accounts exist
+        console.error('Error sending verification email:', emailError);
+      }
+    }
+    
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+// Keep the last 10 digits of a phone number (drops +91, spaces, dashes)
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// @desc    Request login OTP on phone
+// @route   POST /api/auth/otp/request
+// @access  Public
+const requestOtp = async (req, res) => {
+  try {
+    const { tenantCode } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    
+    if (!/^[0-9]{10}$/.test(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid 10-digit phone number'
+      });
+    }
+    
+    // Same response whether or not the phone is registered
+    const genericResponse = {
+      success: true,
+      message: 'If this number is registered, a login code has been sent',
+      expiresIn: OTP.EXPIRY_MINUTES * 60
+    };
+    
+    const tenant = await resolveTenant(req, tenantCode);
+    if (!tenant && !tenantCode) {
+      return sendSchoolCodeRequired(res);
+    }
+    if (!tenant) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - OTP.WINDOW_MINUTES * 60 * 1000);
+    
+    // Rate limit per IP
+    const ipRequests = await OtpCode.countDocuments({
+      ipAddress: req.ip,
+      createdAt: { $gte: windowStart }
+    });
+    
+    if (ipRequests >= OTP.MAX_REQUESTS_PER_IP) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many code requests. Please try again later.'
+      });
+    }
+    
+    // Rate limit per phone
+    const phoneRequests = await OtpCode.find({
+      tenant: tenant._id,
+      phone,
+      createdAt: { $gte: windowStart }
+    }).sort('-createdAt');
+    
+    if (phoneRequests.length > 0) {
+      const secondsSinceLast = (now - phoneRequests[0].createdAt) / 1000;
+      if (secondsSinceLast < OTP.RESEND_INTERVAL_SECONDS) {
+        return res.status(429).json({
+          success: false,
+          message: 'Please wait before requesting another code',
+          retryAfter: Math.ceil(OTP.RESEND_INTERVAL_SECONDS - secondsSinceLast)
+        });
+      }
+    }
+    
+    if (phoneRequests.length >= OTP.MAX_REQUESTS_PER_PHONE) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many code requests for this number. Please try again later.'
+      });
+    }
+    
+    const parents = await User.find({
+      tenant: tenant._id,
+      phone,
+      role: USER_ROLES.PARENT,
+      isActive: true
+    }).limit(2);
+    
+    // Only the newest code is valid
+    await OtpCode.updateMany(
+      { tenant: tenant._id, phone, consumedAt: null },
+      { consumedAt: now }
+    );
+    
+    const otpCode = new OtpCode({
+      tenant: tenant._id,
+      phone,
+      user: parents.length === 1 ? parents[0]._id : null,
+      expiresAt: new Date(now.getTime() + OTP.EXPIRY_MINUTES * 60 * 1000),
+      ipAddress: req.ip
+    });
+    
+    if (parents.length === 1) {
+      const code = generateOtp(OTP.LENGTH);
+      await otpCode.setCode(code);
+      await otpCode.save();
+      await sendOtpSms(phone, tenant, code, OTP.EXPIRY_MINUTES);
+    } else {
+      if (parents.length > 1) {
+        console.warn(`OTP login skipped: phone ${phone} is shared by several parents in tenant ${tenant.code}`);
+      }
+      // Record the request anyway so unknown numbers are rate limited too
+      await otpCode.save();
+    }
+    
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sending login code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify login OTP and log in
+// @route   POST /api/auth/otp/verify
+// @access  Public
+const verifyOtp = async (req, res) => {
+  try {
+    const { tenantCode, otp } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    
+    if (!phone || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide phone number and code'
+      });
+    }
+    
+    const invalidResponse = {
+      success: false,
+      message: 'Invalid or expired code'
+    };
+    
+    const tenant = await resolveTenant(req, tenantCode);
+    if (!tenant && !tenantCode) {
+      return sendSchoolCodeRequired(res);
+    }
+    if (!tenant) {
+      return res.status(401).json(invalidResponse);
+    }
+    
+    // Same school checks as password login
+    if (sendTenantBlocked(tenant, res)) {
+      return;
+    }
+    
+    const latest = await OtpCode.findOne({
+      tenant: tenant._id,
+      phone,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-createdAt');
+    
+    if (!latest) {
+      return res.status(401).json(invalidResponse);
+    }
+    
+    // Count the attempt atomically before checking the code
+    const otpCode = await OtpCode.findOneAndUpdate(
+      { _id: latest._id, attempts: { $lt: OTP.MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).select('+codeHash');
+    
+    if (!otpCode) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new code.'
+      });
+    }
+    
+    if (!(await otpCode.matchCode(otp))) {
+      return res.status(401).json({
+        ...invalidResponse,
+        attemptsRemaining: Math.max(OTP.MAX_ATTEMPTS - otpCode.attempts, 0)
+      });
+    }
+    
+    // Mark as used (only one request can win)
+    const consumed = await OtpCode.findOneAndUpdate(
+      { _id: otpCode._id, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+    
+    if (!consumed) {
+      return res.status(401).json(invalidResponse);
+    }
+    
+    const user = await User.findOne({
+      _id: otpCode.user,
+      tenant: tenant._id,
+      isActive: true
+    });
+    
+    if (!user) {
+      return res.status(401).json(invalidResponse);
+    }
+    
+    // Phone ownership is proven here, so the email verification policy does not apply
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+    
+    await user.populate('tenant');
+    
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying code',
+      error: error.message
+    });
+  }
+};
+
 const updateFCMToken = async (req, res) => {
   try {
-    const { token, platform = 'android' } = req.body;
+    const { token, platform = 'android', deviceName } = req.body;
     
     if (!token) {
       return res.status(400).json({
@@ -255,7 +1006,25 @@ const updateFCMToken = async (req, res) => {
     }
     
     // Update user's FCM token
-    await req.user.updateFCMToken(token, platform);
+    const previousTokens = req.user.fcmTokens.map(t => t.token);
+    await req.user.updateFCMToken(token, platform, {
+      session: req.authSession ? req.authSession._id : null,
+      deviceName
+    });
+    
+    // Remember which device this login is on
+    if (req.authSession) {
+      req.authSession.platform = platform;
+      if (deviceName) req.authSession.deviceName = deviceName;
+      await req.authSession.save();
+    }
+    
+    // Subscribe the device to this school's topics; drop topics from replaced tokens
+    const currentTokens = req.user.fcmTokens.map(t => t.token);
+    await syncUserTopics(req.user, {
+      newTokens: previousTokens.includes(token) ? [] : [token],
+      removedTokens: previousTokens.filter(t => !currentTokens.includes(t))
+    });
     
     res.status(200).json({
       success: true,
@@ -284,8 +1053,9 @@ const removeFCMToken = async (req, res) => {
       });
     }
     
-    // Remove FCM token
+    // Remove FCM token and unsubscribe the device from this school's topics
     await req.user.removeFCMToken(token);
+    await syncUserTopics(req.user, { removedTokens: [token] });
     
     res.status(200).json({
       success: true,
@@ -301,11 +1071,21 @@ const removeFCMToken = async (req, res) => {
 };
 
 module.exports = {
+  getSchool,
   registerTenant,
   login,
   updateFCMToken,
   removeFCMToken,
   getMe,
+  getSupportAccess,
   logout,
-  updatePassword
+  refreshToken,
+  updatePassword,
+  forgotPassword,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  resendVerificationEmail,
+  requestOtp,
+  verifyOtp
 };
\ No newline at end of file
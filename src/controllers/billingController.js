@@ -0,0 +1,332 @@
+// src/controllers/billingController.js
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const { PlatformInvoice, PlatformPayment } = require('../models/PlatformBilling');
+const { createInvoice, recordPayment, getBalances } = require('../utils/platformBilling');
+const { INVOICE_STATUS } = require('../config/constants');
+
+// @desc    Get platform invoices
+// @route   GET /api/superadmin/billing/invoices
+// @access  Private/SuperAdmin
+const getInvoices = async (req, res) => {
+  try {
+    const { tenantId, status, limit = 50, skip = 0 } = req.query;
+    
+    const query = {};
+    if (tenantId) query.tenant = tenantId;
+    if (status) query.status = status;
+    
+    const [invoices, total] = await Promise.all([
+      PlatformInvoice.find(query)
+        .populate('tenant', 'name code')
+        .sort('-issuedAt')
+        .limit(parseInt(limit))
+        .skip(parseInt(skip)),
+      PlatformInvoice.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      total,
+      data: invoices
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching invoices',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a platform invoice with its payments
+// @route   GET /api/superadmin/billing/invoices/:id
+// @access  Private/SuperAdmin
+const getInvoice = async (req, res) => {
+  try {
+    const invoice = await PlatformInvoice.findById(req.params.id)
+      .populate('tenant', 'name code email phone address')
+      .populate('createdBy', 'firstName lastName email');
+    
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    
+    const payments = await PlatformPayment.find({ invoice: invoice._id })
+      .populate('recordedBy', 'firstName lastName email')
+      .sort('paidAt');
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        invoice,
+        payments
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create invoice for a school (next billing period unless periodStart is given)
+// @route   POST /api/superadmin/tenants/:id/invoices
+// @access  Private/SuperAdmin
+const createTenantInvoice = async (req, res) => {
+  try {
+    const { periodStart, billingCycle, discount, notes } = req.body;
+    
+    const tenant = await Tenant.findOne({ _id: req.params.id, isDeleted: false });
+    
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+    
+    const invoice = await createInvoice(tenant, {
+      periodStart,
+      billingCycle,
+      discount: discount ? Number(discount) : 0,
+      notes,
+      actor: req.user._id
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error creating invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record a payment against an invoice
+// @route   POST /api/superadmin/billing/invoices/:id/payments
+// @access  Private/SuperAdmin
+const recordInvoicePayment = async (req, res) => {
+  try {
+    const { amount, paymentMethod, reference, paidAt, notes } = req.body;
+    
+    const invoice = await PlatformInvoice.findById(req.params.id);
+    
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    
+    const result = await recordPayment(invoice, {
+      amount,
+      paymentMethod,
+      reference,
+      paidAt,
+      notes
+    }, req.user._id);
+    
+    res.status(201).json({
+      success: true,
+      message: result.subscriptionExtended
+        ? `Payment recorded. Subscription extended to ${result.invoice.periodEnd.toISOString().slice(0, 10)}.`
+        : 'Payment recorded',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error recording payment',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Void an invoice
+// @route   PUT /api/superadmin/billing/invoices/:id/void
+// @access  Private/SuperAdmin
+const voidInvoice = async (req, res) => {
+  try {
+    const invoice = await PlatformInvoice.findById(req.params.id);
+    
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    
+    if (invoice.status === INVOICE_STATUS.VOID) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already void'
+      });
+    }
+    
+    if (invoice.amountPaid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices with payments cannot be voided'
+      });
+    }
+    
+    // Only if no payment arrived since the checks above
+    const voided = await PlatformInvoice.findOneAndUpdate(
+      { _id: invoice._id, status: { $ne: INVOICE_STATUS.VOID }, amountPaid: 0 },
+      { status: INVOICE_STATUS.VOID, voidedAt: new Date(), voidReason: req.body.reason },
+      { new: true }
+    );
+    
+    if (!voided) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice has changed (a payment was recorded). Reload it and try again'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: voided
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error voiding invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get outstanding balance of every school
+// @route   GET /api/superadmin/billing/outstanding
+// @access  Private/SuperAdmin
+const getOutstandingBalances = async (req, res) => {
+  try {
+    const balances = await getBalances();
+    
+    const tenants = await Tenant.find({ _id: { $in: balances.map(balance => balance._id) } })
+      .select('name code subscription.plan subscription.status subscription.endDate');
+    const tenantsById = new Map(tenants.map(tenant => [tenant._id.toString(), tenant]));
+    
+    const data = balances
+      .filter(balance => req.query.all === 'true' || balance.outstanding > 0)
+      .map(balance => ({
+        tenant: tenantsById.get(balance._id.toString()) || balance._id,
+        invoiced: balance.invoiced,
+        paid: balance.paid,
+        outstanding: balance.outstanding,
+        overdue: balance.overdue,
+        invoiceCount: balance.invoiceCount,
+        oldestUnpaidDueDate: balance.oldestUnpaidDueDate
+      }));
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      totals: {
+        outstanding: data.reduce((sum, row) => sum + row.outstanding, 0),
+        overdue: data.reduce((sum, row) => sum + row.overdue, 0)
+      },
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching outstanding balances',
+      error: error.message
+    });
+  }
+};
+
+// Invoices, payments and balance of one school
+const getTenantBillingSummary = async (tenantId) => {
+  const [invoices, payments, balances] = await Promise.all([
+    PlatformInvoice.find({ tenant: tenantId }).sort('-periodStart'),
+    PlatformPayment.find({ tenant: tenantId }).sort('-paidAt'),
+    getBalances(new mongoose.Types.ObjectId(tenantId))
+  ]);
+  
+  const balance = balances[0] || { invoiced: 0, paid: 0, outstanding: 0, overdue: 0 };
+  
+  return {
+    balance: {
+      invoiced: balance.invoiced,
+      paid: balance.paid,
+      outstanding: balance.outstanding,
+      overdue: balance.overdue
+    },
+    invoices,
+    payments
+  };
+};
+
+// @desc    Get billing history and balance of a school
+// @route   GET /api/superadmin/tenants/:id/billing
+// @access  Private/SuperAdmin
+const getTenantBilling = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.params.id)
+      .select('name code subscription');
+    
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        tenant,
+        ...(await getTenantBillingSummary(tenant._id))
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching tenant billing',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the school's own subscription invoices and balance
+// @route   GET /api/admin/billing
+// @access  Private (settings.manage)
+const getMyBilling = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getTenantBillingSummary(req.user.tenant._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching billing',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoice,
+  createTenantInvoice,
+  recordInvoicePayment,
+  voidInvoice,
+  getOutstandingBalances,
+  getTenantBilling,
+  getMyBilling
+};
\ No newline at end of file
@@ -2,7 +2,13 @@
 const { FeeStructure, FeeAssignment, FeePayment } = require('../models/Fee');
 const Student = require('../models/Student');
 const Class = require('../models/Class');
+const Tenant = require('../models/Tenant');
 const { FEE_STATUS } = require('../config/constants');
+const {
+  calculateDueDate,
+  getAcademicYear,
+  resolveAcademicYearLabel
+} = require('../utils/academicCalendar');
 
 // @desc    Create fee structure
 // @route   POST /api/admin/fees/structure
@@ -11,9 +17,10 @@ const createFeeStructure = async (req, res) => {
   try {
     console.log('Creating fee structure with body:', JSON.stringify(req.body, null, 2));
     
-    // Create fee structure with the data as-is
+    // Create fee structure with the data as-is (default: current academic year)
     const feeStructure = await FeeStructure.create({
       ...req.body,
+      academicYear: req.body.academicYear || getAcademicYear(req.user.tenant).label,
       tenant: req.user.tenant._id,
       isActive: true // Ensure it's active
     });
@@ -96,7 +103,7 @@ const assignFeeToStudent = async (req, res) => {
     }
     
     // Calculate due date based on frequency
-    const dueDate = calculateDueDate(feeStructure.frequency, feeStructure.dueDate);
+    const dueDate = calculateDueDate(req.user.tenant, feeStructure.frequency, feeStructure.dueDate);
     
     // Create fee assignment
     const feeAssignment = await FeeAssignment.create({
@@ -204,18 +211,103 @@ const recordFeePayment = async (req, res) => {
   }
 };
 
+// @desc    Confirm or reject a payment reported by a parent
+// @route   PUT /api/admin/fees/payments/:id/confirm
+// @access  Private/Admin
+const confirmFeePayment = async (req, res) => {
+  try {
+    const approve = req.body.approve !== false;
+    
+    const payment = await FeePayment.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id,
+      status: 'pending'
+    });
+    
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending payment not found'
+      });
+    }
+    
+    const feeAssignment = await FeeAssignment.findOne({
+      _id: payment.feeAssignment,
+      tenant: req.user.tenant._id
+    });
+    
+    if (approve) {
+      if (!feeAssignment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fee assignment not found'
+        });
+      }
+      
+      const remainingAmount = feeAssignment.finalAmount - feeAssignment.paidAmount;
+      if (payment.amount > remainingAmount) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment amount cannot exceed remaining amount of ₹${remainingAmount}`
+        });
+      }
+    }
+    
+    // Only the first confirmation of a pending payment takes effect
+    const updated = await FeePayment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      {
+        status: approve ? 'completed' : 'failed',
+        collectedBy: req.user._id
+      },
+      { new: true }
+    );
+    
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment has already been processed'
+      });
+    }
+    
+    if (approve) {
+      feeAssignment.paidAmount += updated.amount;
+      feeAssignment.paidDate = new Date();
+      feeAssignment.paymentId = updated._id;
+      
+      feeAssignment.updateStatus();
+      
+      await feeAssignment.save();
+    }
+    
+    await updated.populate('student');
+    
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error confirming payment',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all payments
 // @route   GET /api/admin/fees/payments
 // @access  Private/Admin
 const getPayments = async (req, res) => {
   try {
-    const { startDate, endDate, studentId } = req.query;
+    const { startDate, endDate, studentId, status } = req.query;
     
     const query = {
       tenant: req.user.tenant._id
     };
     
     if (studentId) query.student = studentId;
+    if (status) query.status = status;
     
     if (startDate || endDate) {
       query.paymentDate = {};
@@ -228,7 +320,10 @@ const getPayments = async (req, res) => {
       .populate('collectedBy', 'firstName lastName')
       .sort('-paymentDate');
     
-    const totalAmount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    // Payments reported by parents count only once confirmed
+    const totalAmount = payments
+      .filter(payment => payment.status === 'completed')
+      .reduce((sum, payment) => sum + payment.amount, 0);
     
     res.status(200).json({
       success: true,
@@ -255,7 +350,7 @@ const getSchoolFeeSummary = async (req, res) => {
     
     // Build base query
     const query = { tenant: tenantId };
-    if (academicYear) query.academicYear = academicYear;
+    if (academicYear) query.academicYear = resolveAcademicYearLabel(req.user.tenant, academicYear);
     
     const summary = await getSchoolLevelSummary(query);
     
@@ -280,7 +375,7 @@ const getClassFeeSummary = async (req, res) => {
     const tenantId = req.user.tenant._id;
     
     const query = { tenant: tenantId };
-    if (academicYear) query.academicYear = academicYear;
+    if (academicYear) query.academicYear = resolveAcademicYearLabel(req.user.tenant, academicYear);
     
     const summary = await getClassLevelSummary(query, classId);
     
@@ -304,7 +399,7 @@ const getStudentFeeSummary = async (req, res) => {
     const tenantId = req.user.tenant._id;
     
     const query = { tenant: tenantId };
-    if (academicYear) query.academicYear = academicYear;
+    if (academicYear) query.academicYear = resolveAcademicYearLabel(req.user.tenant, academicYear);
     
     const summary = await getStudentLevelSummary(query, studentId);
     
@@ -747,6 +842,9 @@ const autoAssignClassFees = async (studentId, classId, tenantId) => {
     
     console.log(`Found ${feeStructures.length} active fee structures for class ${classId}`);
     
+    // Calendar settings for due dates
+    const tenant = await Tenant.findById(tenantId).select('settings');
+    
     const assignments = [];
 
     for (const feeStructure of feeStructures) {
@@ -762,7 +860,7 @@ const autoAssignClassFees = async (studentId, classId, tenantId) => {
 
       if (!exists) {
         // Calculate due date based on frequency
-        const dueDate = calculateDueDate(feeStructure.frequency, feeStructure.dueDate || 10);
+        const dueDate = calculateDueDate(tenant, feeStructure.frequency, feeStructure.dueDate || 10);
 
         const assignment = await FeeAssignment.create({
           tenant: tenantId,
@@ -792,65 +890,6 @@ const autoAssignClassFees = async (studentId, classId, tenantId) => {
   }
 };
 
-// Helper function to calculate due date based on frequency
-function calculateDueDate(frequency, dueDateDay = 10) {
-  const currentDate = new Date();
-  const currentYear = currentDate.getFullYear();
-  const currentMonth = currentDate.getMonth();
-  
-  let dueDate;
-  
-  switch (frequency) {
-    case 'one-time':
-      // For one-time payment, set due date to next occurrence of the due date
-      dueDate = new Date(currentYear, currentMonth, dueDateDay);
-      if (dueDate < currentDate) {
-        // If the due date has passed this month, set it to next month
-        dueDate = new Date(currentYear, currentMonth + 1, dueDateDay);
-      }
-      break;
-      
-    case 'monthly':
-      // For monthly payments, due date is the specified day of current/next month
-      dueDate = new Date(currentYear, currentMonth, dueDateDay);
-      if (dueDate < currentDate) {
-        dueDate = new Date(currentYear, currentMonth + 1, dueDateDay);
-      }
-      break;
-      
-    case 'quarterly':
-      // For quarterly payments, find the next quarter's due date
-      const quarterStartMonth = Math.floor(currentMonth / 3) * 3;
-      dueDate = new Date(currentYear, quarterStartMonth, dueDateDay);
-      if (dueDate < currentDate) {
-        dueDate = new Date(currentYear, quarterStartMonth + 3, dueDateDay);
-      }
-      break;
-      
-    case 'half-yearly':
-      // For half-yearly payments
-      const halfYearMonth = currentMonth < 6 ? 0 : 6;
-      dueDate = new Date(currentYear, halfYearMonth, dueDateDay);
-      if (dueDate < currentDate) {
-        dueDate = new Date(currentYear, halfYearMonth + 6, dueDateDay);
-      }
-      break;
-      
-    case 'yearly':
-      // For yearly payment, set due date in April
-      dueDate = new Date(currentYear, 3, dueDateDay); // April
-      if (dueDate < currentDate) {
-        dueDate = new Date(currentYear + 1, 3, dueDateDay);
-      }
-      break;
-      
-    default:
-      dueDate = new Date(currentYear, currentMonth + 1, dueDateDay);
-  }
-  
-  return dueDate;
-}
-
 // Legacy support - redirect to new endpoint
 const getFeeSummary = async (req, res) => {
   // For backward compatibility, default to school summary
@@ -863,6 +902,7 @@ module.exports = {
   assignFeeToStudent,
   getStudentFees,
   recordFeePayment,
+  confirmFeePayment,
   getPayments,
   getFeeSummary,
   getSchoolFeeSummary,
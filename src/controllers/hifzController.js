@@ -1,7 +1,8 @@
 // src/controllers/hifzController.js
 const HifzTracker = require('../models/HifzTracker');
 const Student = require('../models/Student');
-const User = require('../models/User');
+const { USER_ROLES, PERMISSIONS, GUARDIAN_RIGHTS } = require('../config/constants');
+const { getToday } = require('../utils/academicCalendar');
 
 // @desc    Create new Hifz tracker entry
 // @route   POST /api/teacher/hifz-tracker
@@ -36,13 +37,15 @@ const createHifzEntry = async (req, res) => {
       });
     }
 
-    // Check if entry already exists for this date
+    // Check if entry already exists for this date (entry dates are calendar dates at UTC midnight)
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    const nextDay = new Date(day);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+
     const existingEntry = await HifzTracker.findOne({
       student: studentId,
-      date: {
-        $gte: new Date(date).setHours(0, 0, 0, 0),
-        $lte: new Date(date).setHours(23, 59, 59, 999)
-      },
+      date: { $gte: day, $lt: nextDay },
       tenant: req.user.tenant._id
     });
 
@@ -190,9 +193,12 @@ const getParentHifzEntries = async (req, res) => {
     const { studentId } = req.params;
     const { startDate, endDate } = req.query;
 
-    // Verify parent has access to this student
-    const parent = await User.findById(req.user._id).populate('children');
-    const hasAccess = parent.children.some(child => child._id.toString() === studentId);
+    // Verify parent is a guardian of this student
+    const hasAccess = await Student.exists({
+      _id: studentId,
+      tenant: req.user.tenant._id,
+      ...Student.guardianFilter(req.user._id)
+    });
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -249,16 +255,13 @@ const acknowledgeHifzEntry = async (req, res) => {
       });
     }
 
-    // Verify parent has access
-    const parent = await User.findById(req.user._id);
-    const hasAccess = parent.children && parent.children.some(
-      childId => childId.toString() === entry.student._id.toString()
-    );
-
-    if (!hasAccess) {
+    // Verify parent is a guardian allowed to acknowledge
+    if (!entry.student.guardianHasRight(req.user._id, GUARDIAN_RIGHTS.ACKNOWLEDGE_HIFZ)) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: entry.student.getGuardian(req.user._id)
+          ? 'You are not allowed to acknowledge Hifz entries for this student'
+          : 'Access denied'
       });
     }
 
@@ -308,19 +311,22 @@ const getHifzEntry = async (req, res) => {
       });
     }
 
-    // Check access rights
-    if (req.user.role === 'teacher' && entry.teacher._id.toString() !== req.user._id.toString()) {
+    // Check access rights - staff without hifz.view_all only see their own entries
+    if (req.user.role !== USER_ROLES.PARENT &&
+        !(await req.user.hasPermission(PERMISSIONS.HIFZ_VIEW_ALL)) &&
+        entry.teacher._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    if (req.user.role === 'parent') {
-      const parent = await User.findById(req.user._id);
-      const hasAccess = parent.children && parent.children.some(
-        childId => childId.toString() === entry.student._id.toString()
-      );
+    if (req.user.role === USER_ROLES.PARENT) {
+      const hasAccess = await Student.exists({
+        _id: entry.student._id,
+        tenant: req.user.tenant._id,
+        ...Student.guardianFilter(req.user._id)
+      });
       
       if (!hasAccess) {
         return res.status(403).json({
@@ -386,15 +392,32 @@ const getHifzProgress = async (req, res) => {
     const { studentId } = req.params;
     const { months = 3 } = req.query;
 
-    // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - parseInt(months));
+    if (req.user.role === USER_ROLES.PARENT) {
+      const hasAccess = await Student.exists({
+        _id: studentId,
+        tenant: req.user.tenant._id,
+        ...Student.guardianFilter(req.user._id)
+      });
+
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to this student\'s records'
+        });
+      }
+    }
+
+    // Calculate date range (up to the end of today in the school's time zone)
+    const today = getToday(req.user.tenant);
+    const startDate = new Date(today);
+    startDate.setUTCMonth(startDate.getUTCMonth() - parseInt(months));
+    const endDate = new Date(today);
+    endDate.setUTCDate(endDate.getUTCDate() + 1);
 
     const entries = await HifzTracker.find({
       student: studentId,
       tenant: req.user.tenant._id,
-      date: { $gte: startDate, $lte: endDate },
+      date: { $gte: startDate, $lt: endDate },
       isActive: true
     }).sort({ date: 1 });
 
@@ -449,7 +472,7 @@ const getHifzProgress = async (req, res) => {
       success: true,
       data: {
         student: studentId,
-        period: { startDate, endDate },
+        period: { startDate, endDate: today },
         statistics: stats,
         recentEntries: entries.slice(-10) // Last 10 entries
       }
@@ -4,6 +4,12 @@ const User = require('../models/User');
 const Student = require('../models/Student');
 const { NOTIFICATION_TARGET, USER_ROLES } = require('../config/constants');
 const { admin } = require('../config/firebaseAdmin'); // Import from your firebaseAdmin config
+const {
+  allUsersTopic,
+  teachersTopic,
+  parentsTopic,
+  classTopic
+} = require('../utils/fcmTopics');
 
 // Helper function to send FCM notifications
 const sendFCMNotification = async (targetUserIds, notification) => {
@@ -11,6 +17,7 @@ const sendFCMNotification = async (targetUserIds, notification) => {
     // Get FCM tokens for target users
     const users = await User.find({
       _id: { $in: targetUserIds },
+      tenant: notification.tenant,
       'fcmTokens.0': { $exists: true }
     }).select('fcmTokens');
 
@@ -186,32 +193,39 @@ const sendNotification = async (req, res) => {
     });
     
     // Send FCM notifications based on targetType
+    // (topics are per school, see utils/fcmTopics)
+    const tenantId = req.user.tenant._id;
     let fcmResult = { successCount: 0, failureCount: 0 };
+    let topic;
     
     switch (targetType) {
       case NOTIFICATION_TARGET.ALL:
-        // Send to topic
-        await sendFCMToTopic('all_users', notification);
-        fcmResult.successCount = 'Sent to all_users topic';
+        // Send to school's all users topic
+        topic = allUsersTopic(tenantId);
+        await sendFCMToTopic(topic, notification);
+        fcmResult.successCount = `Sent to ${topic} topic`;
         break;
         
       case NOTIFICATION_TARGET.TEACHERS:
-        // Send to teachers topic
-        await sendFCMToTopic('teachers', notification);
-        fcmResult.successCount = 'Sent to teachers topic';
+        // Send to school's teachers topic
+        topic = teachersTopic(tenantId);
+        await sendFCMToTopic(topic, notification);
+        fcmResult.successCount = `Sent to ${topic} topic`;
         break;
         
       case NOTIFICATION_TARGET.PARENTS:
-        // Send to parents topic
-        await sendFCMToTopic('parents', notification);
-        fcmResult.successCount = 'Sent to parents topic';
+        // Send to school's parents topic
+        topic = parentsTopic(tenantId);
+        await sendFCMToTopic(topic, notification);
+        fcmResult.successCount = `Sent to ${topic} topic`;
         break;
         
       case NOTIFICATION_TARGET.SPECIFIC_CLASS:
         if (targetClass) {
           // Send to class topic
-          await sendFCMToTopic(`class_${targetClass}`, notification);
-          fcmResult.successCount = `Sent to class_${targetClass} topic`;
+          topic = classTopic(tenantId, targetClass);
+          await sendFCMToTopic(topic, notification);
+          fcmResult.successCount = `Sent to ${topic} topic`;
         }
         break;
         
@@ -321,7 +335,7 @@ const getMyNotifications = async (req, res) => {
       // Get children's classes for class-specific notifications
       const children = await Student.find({
         tenant: req.user.tenant._id,
-        parent: req.user._id,
+        ...Student.guardianFilter(req.user._id),
         isActive: true
       }).select('class');
       
@@ -491,7 +505,7 @@ const getAnnouncements = async (req, res) => {
       // Get children's classes
       const children = await Student.find({
         tenant: req.user.tenant._id,
-        parent: req.user._id,
+        ...Student.guardianFilter(req.user._id),
         isActive: true
       }).select('class');
       
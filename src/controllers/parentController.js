@@ -5,7 +5,27 @@ const Note = require('../models/Note');
 const { FeeAssignment, FeePayment } = require('../models/Fee');
 const Leave = require('../models/Leave');
 const Attendance = require('../models/Attendance');
-const { FEE_STATUS } = require('../config/constants');
+const { FEE_STATUS, GUARDIAN_RIGHTS } = require('../config/constants');
+const {
+  getToday,
+  getStartOfDay,
+  getCalendarSettings
+} = require('../utils/academicCalendar');
+const { subjectFilter } = require('../utils/subjectCatalogue');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Methods a parent can report a payment with (cash and cheques go through the office)
+const PARENT_PAYMENT_METHODS = ['online', 'bank_transfer', 'card'];
+
+// Find a student the logged-in parent is a guardian of
+const findChild = (req, studentId) => {
+  return Student.findOne({
+    _id: studentId,
+    tenant: req.user.tenant._id,
+    ...Student.guardianFilter(req.user._id)
+  });
+};
 
 // @desc    Get parent's children
 // @route   GET /api/parent/children
@@ -14,14 +34,25 @@ const getMyChildren = async (req, res) => {
   try {
     const children = await Student.find({
       tenant: req.user.tenant._id,
-      parent: req.user._id,
+      ...Student.guardianFilter(req.user._id),
       isActive: true
     }).populate('class', 'name section displayName');
     
+    // Tell the app what this parent may do for each child
+    const data = children.map(child => {
+      const guardian = child.getGuardian(req.user._id);
+      return {
+        ...child.toJSON(),
+        relationship: guardian.relationship,
+        isPrimaryGuardian: guardian.isPrimary,
+        rights: guardian.rights
+      };
+    });
+    
     res.status(200).json({
       success: true,
       count: children.length,
-      data: children
+      data
     });
   } catch (error) {
     res.status(400).json({
@@ -40,18 +71,18 @@ const getTodaysHomework = async (req, res) => {
     // Get all children
     const children = await Student.find({
       tenant: req.user.tenant._id,
-      parent: req.user._id,
+      ...Student.guardianFilter(req.user._id),
       isActive: true
     });
     
     // Get class IDs
     const classIds = [...new Set(children.map(child => child.class))];
     
-    // Get today's date range
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Today's range in the school's time zone
+    const { timeZone } = getCalendarSettings(req.user.tenant);
+    const todayDate = getToday(req.user.tenant);
+    const today = getStartOfDay(todayDate, timeZone);
+    const tomorrow = getStartOfDay(new Date(todayDate.getTime() + DAY), timeZone);
     
     // Get homework created today or due in next 7 days
     const homework = await Homework.find({
@@ -60,11 +91,12 @@ const getTodaysHomework = async (req, res) => {
       isActive: true,
       $or: [
         { createdAt: { $gte: today, $lt: tomorrow } },
-        { dueDate: { $gte: today, $lte: new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000) } }
+        { dueDate: { $gte: today, $lte: getStartOfDay(new Date(todayDate.getTime() + 7 * DAY), timeZone) } }
       ]
     })
       .populate('class', 'name section')
       .populate('teacher', 'firstName lastName')
+      .populate('subject', 'name code')
       .sort({ dueDate: 1 });
     
     // Group homework by child
@@ -104,12 +136,8 @@ const getChildHomework = async (req, res) => {
     const { studentId } = req.params;
     const { startDate, endDate, subject } = req.query;
     
-    // Verify parent has access to this student
-    const student = await Student.findOne({
-      _id: studentId,
-      tenant: req.user.tenant._id,
-      parent: req.user._id
-    });
+    // Verify parent is a guardian of this student
+    const student = await findChild(req, studentId);
     
     if (!student) {
       return res.status(403).json({
@@ -125,7 +153,7 @@ const getChildHomework = async (req, res) => {
       isActive: true
     };
     
-    if (subject) query.subject = subject;
+    if (subject) query.subject = await subjectFilter(req.user.tenant._id, subject);
     
     if (startDate || endDate) {
       query.dueDate = {};
@@ -135,6 +163,7 @@ const getChildHomework = async (req, res) => {
     
     const homework = await Homework.find(query)
       .populate('teacher', 'firstName lastName')
+      .populate('subject', 'name code')
       .sort('-createdAt');
     
     res.status(200).json({
@@ -158,12 +187,8 @@ const trackChildFees = async (req, res) => {
   try {
     const { studentId } = req.params;
     
-    // Verify parent has access to this student
-    const student = await Student.findOne({
-      _id: studentId,
-      tenant: req.user.tenant._id,
-      parent: req.user._id
-    });
+    // Verify parent is a guardian of this student
+    const student = await findChild(req, studentId);
     
     if (!student) {
       return res.status(403).json({
@@ -172,6 +197,13 @@ const trackChildFees = async (req, res) => {
       });
     }
     
+    if (!student.guardianHasRight(req.user._id, GUARDIAN_RIGHTS.VIEW_FEES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to view fees for this student'
+      });
+    }
+    
     // Get fee assignments
     const feeAssignments = await FeeAssignment.find({
       tenant: req.user.tenant._id,
@@ -248,7 +280,8 @@ const trackChildFees = async (req, res) => {
         },
         summary,
         feeDetails: feeAssignments,
-        recentPayments: payments.slice(0, 10) // Last 10 payments
+        recentPayments: payments.slice(0, 10), // Last 10 payments
+        canPay: student.guardianHasRight(req.user._id, GUARDIAN_RIGHTS.PAY_FEES)
       }
     });
   } catch (error) {
@@ -279,12 +312,8 @@ const applyLeave = async (req, res) => {
   try {
     const { studentId, fromDate, toDate, reason, type } = req.body;
     
-    // Verify parent has access to this student
-    const student = await Student.findOne({
-      _id: studentId,
-      tenant: req.user.tenant._id,
-      parent: req.user._id
-    });
+    // Verify parent is a guardian of this student
+    const student = await findChild(req, studentId);
     
     if (!student) {
       return res.status(403).json({
@@ -293,6 +322,13 @@ const applyLeave = async (req, res) => {
       });
     }
     
+    if (!student.guardianHasRight(req.user._id, GUARDIAN_RIGHTS.APPLY_LEAVE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to apply leave for this student'
+      });
+    }
+    
     // Create leave application
     const leave = await Leave.create({
       tenant: req.user.tenant._id,
@@ -329,16 +365,15 @@ const getLeaveHistory = async (req, res) => {
     // Get all children
     const children = await Student.find({
       tenant: req.user.tenant._id,
-      parent: req.user._id,
+      ...Student.guardianFilter(req.user._id),
       isActive: true
     });
     
     const childIds = children.map(child => child._id);
     
-    // Build query
+    // Build query - leaves applied by any guardian of the children
     const query = {
-      tenant: req.user.tenant._id,
-      appliedBy: req.user._id
+      tenant: req.user.tenant._id
     };
     
     if (studentId) {
@@ -358,6 +393,7 @@ const getLeaveHistory = async (req, res) => {
     
     const leaves = await Leave.find(query)
       .populate('student', 'firstName lastName class')
+      .populate('appliedBy', 'firstName lastName')
       .populate('approvedBy', 'firstName lastName')
       .sort('-createdAt');
     
@@ -383,12 +419,8 @@ const getChildNotes = async (req, res) => {
     const { studentId } = req.params;
     const { subject, type } = req.query;
     
-    // Verify parent has access to this student
-    const student = await Student.findOne({
-      _id: studentId,
-      tenant: req.user.tenant._id,
-      parent: req.user._id
-    }).populate('class');
+    // Verify parent is a guardian of this student
+    const student = await findChild(req, studentId).populate('class');
     
     if (!student) {
       return res.status(403).json({
@@ -404,11 +436,12 @@ const getChildNotes = async (req, res) => {
       isPublished: true
     };
     
-    if (subject) query.subject = subject;
+    if (subject) query.subject = await subjectFilter(req.user.tenant._id, subject);
     if (type) query.type = type;
     
     const notes = await Note.find(query)
       .populate('teacher', 'firstName lastName')
+      .populate('subject', 'name code')
       .sort('-createdAt');
     
     res.status(200).json({
@@ -433,12 +466,8 @@ const getChildAttendance = async (req, res) => {
     const { studentId } = req.params;
     const { startDate, endDate } = req.query;
     
-    // Verify parent has access to this student
-    const student = await Student.findOne({
-      _id: studentId,
-      tenant: req.user.tenant._id,
-      parent: req.user._id
-    });
+    // Verify parent is a guardian of this student
+    const student = await findChild(req, studentId);
     
     if (!student) {
       return res.status(403).json({
@@ -463,11 +492,12 @@ const getChildAttendance = async (req, res) => {
       .sort('-date')
       .limit(30); // Last 30 days by default
     
-    // Calculate summary
+    // Calculate summary (default: the last 30 days, ending today in the school's time zone)
+    const today = getToday(req.user.tenant);
     const summary = await Attendance.getAttendanceSummary(
       studentId,
-      startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-      endDate ? new Date(endDate) : new Date()
+      startDate ? new Date(startDate) : new Date(today.getTime() - 30 * DAY),
+      endDate ? new Date(endDate) : today
     );
     
     res.status(200).json({
@@ -493,12 +523,8 @@ const getFeeReceipts = async (req, res) => {
   try {
     const { studentId } = req.params;
     
-    // Verify parent has access to this student
-    const student = await Student.findOne({
-      _id: studentId,
-      tenant: req.user.tenant._id,
-      parent: req.user._id
-    });
+    // Verify parent is a guardian of this student
+    const student = await findChild(req, studentId);
     
     if (!student) {
       return res.status(403).json({
@@ -507,6 +533,13 @@ const getFeeReceipts = async (req, res) => {
       });
     }
     
+    if (!student.guardianHasRight(req.user._id, GUARDIAN_RIGHTS.VIEW_FEES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to view fees for this student'
+      });
+    }
+    
     const receipts = await FeePayment.find({
       tenant: req.user.tenant._id,
       student: studentId,
@@ -531,6 +564,93 @@ const getFeeReceipts = async (req, res) => {
   }
 };
 
+// @desc    Report an online payment of a child's fee (confirmed by the school)
+// @route   POST /api/parent/fees/:studentId/pay
+// @access  Private/Parent
+const startFeePayment = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { feeAssignmentId, amount, paymentMethod = 'online', transactionId, remarks } = req.body;
+    
+    // Verify parent is a guardian of this student
+    const student = await findChild(req, studentId);
+    
+    if (!student) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    if (!student.guardianHasRight(req.user._id, GUARDIAN_RIGHTS.PAY_FEES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to pay fees for this student'
+      });
+    }
+    
+    if (!PARENT_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${PARENT_PAYMENT_METHODS.join(', ')}`
+      });
+    }
+    
+    if (!transactionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction reference is required'
+      });
+    }
+    
+    const feeAssignment = await FeeAssignment.findOne({
+      _id: feeAssignmentId,
+      tenant: req.user.tenant._id,
+      student: student._id
+    });
+    
+    if (!feeAssignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee assignment not found'
+      });
+    }
+    
+    const pending = feeAssignment.calculatePendingAmount();
+    if (!(amount > 0) || amount > pending) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment amount must be between 0 and the pending amount of ₹${pending}`
+      });
+    }
+    
+    // Counts towards the fee only once the school confirms it
+    const payment = await FeePayment.create({
+      tenant: req.user.tenant._id,
+      student: student._id,
+      feeAssignment: feeAssignment._id,
+      amount,
+      paymentMethod,
+      transactionId,
+      remarks,
+      paidBy: req.user._id,
+      status: 'pending'
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Payment reported. The school will confirm it once received.',
+      data: payment
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error reporting payment',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getMyChildren,
   getTodaysHomework,
@@ -540,5 +660,6 @@ module.exports = {
   getLeaveHistory,
   getChildNotes,
   getChildAttendance,
-  getFeeReceipts
+  getFeeReceipts,
+  startFeePayment
 };
\ No newline at end of file
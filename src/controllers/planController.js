@@ -0,0 +1,135 @@
+// src/controllers/planController.js
+const Plan = require('../models/Plan');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const { SUBSCRIPTION_PLANS, FEATURES, USER_ROLES } = require('../config/constants');
+
+// @desc    Get plan catalogue
+// @route   GET /api/superadmin/plans
+// @access  Private/SuperAdmin
+const getPlans = async (req, res) => {
+  try {
+    const plans = await Plan.getCatalogue();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        plans: Object.values(plans),
+        features: Object.values(FEATURES)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching plans',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a plan's entitlements (applies to every school on the plan)
+// @route   PUT /api/superadmin/plans/:code
+// @access  Private/SuperAdmin
+const updatePlan = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { name, description, features, quotas, pricing } = req.body;
+    
+    if (!Object.values(SUBSCRIPTION_PLANS).includes(code)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+    
+    // Start from the stored plan, or the default entitlements
+    const current = await Plan.getPlan(code);
+    const plan = await Plan.findOne({ code }) || new Plan({
+      code,
+      name: current.name,
+      description: current.description,
+      features: current.features,
+      quotas: current.quotas,
+      pricing: current.pricing
+    });
+    
+    if (name !== undefined) plan.name = name;
+    if (description !== undefined) plan.description = description;
+    if (features !== undefined) plan.features = [...new Set(features)];
+    if (quotas) {
+      if (quotas.maxStudents !== undefined) plan.quotas.maxStudents = quotas.maxStudents;
+      if (quotas.maxTeachers !== undefined) plan.quotas.maxTeachers = quotas.maxTeachers;
+    }
+    if (pricing) {
+      ['monthlyPrice', 'yearlyPrice', 'pricePerStudent'].forEach(key => {
+        if (pricing[key] !== undefined) plan.pricing[key] = pricing[key];
+      });
+    }
+    plan.updatedBy = req.user._id;
+    
+    await plan.save();
+    Plan.clearCache();
+    
+    res.status(200).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating plan',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the school's plan, entitlements and usage
+// @route   GET /api/admin/subscription
+// @access  Private (settings.manage or dashboard.view)
+const getMySubscription = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    
+    const [plan, maxStudents, maxTeachers, studentCount, teacherCount] = await Promise.all([
+      tenant.getPlan(),
+      tenant.getQuota('maxStudents'),
+      tenant.getQuota('maxTeachers'),
+      Student.countDocuments({ tenant: tenant._id, isActive: true }),
+      User.countDocuments({ tenant: tenant._id, role: USER_ROLES.TEACHER, isActive: true })
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        plan: plan.code,
+        name: plan.name,
+        features: plan.features,
+        status: tenant.getSubscriptionStatus(),
+        startDate: tenant.subscription.startDate,
+        endDate: tenant.subscription.endDate,
+        graceEndsAt: tenant.subscription.endDate ? tenant.getGraceEndDate() : null,
+        isActive: tenant.subscription.isActive,
+        quotas: {
+          maxStudents,
+          maxTeachers
+        },
+        usage: {
+          students: studentCount,
+          teachers: teacherCount
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching subscription',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPlans,
+  updatePlan,
+  getMySubscription
+};
\ No newline at end of file
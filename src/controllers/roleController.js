@@ -0,0 +1,373 @@
+// src/controllers/roleController.js
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { USER_ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../config/constants');
+const { syncUserTopics } = require('../utils/fcmTopics');
+
+// Built-in roles that can be given to staff
+const STAFF_ROLES = Object.values(USER_ROLES).filter(role => role !== USER_ROLES.PARENT);
+
+// Permissions in the list the user does not hold (nobody can grant those)
+const findMissingPermissions = async (user, permissions) => {
+  const ownPermissions = await user.getPermissions();
+  return [...new Set(permissions.filter(permission => !ownPermissions.includes(permission)))];
+};
+
+const sendMissingPermissions = (res, missing) => {
+  return res.status(403).json({
+    success: false,
+    message: `You cannot grant permissions you do not have: ${missing.join(', ')}`
+  });
+};
+
+// Permissions decide the teachers topic, so resubscribe everyone holding the role
+const syncRoleTopics = async (userIds) => {
+  for (const userId of userIds) {
+    await syncUserTopics(userId)
+      .catch(error => console.error(`Error syncing FCM topics for user ${userId}:`, error));
+  }
+};
+
+// @desc    Get permission catalogue and built-in role permissions
+// @route   GET /api/admin/permissions
+// @access  Private (roles.manage)
+const getPermissionCatalogue = async (req, res) => {
+  try {
+    const builtInRoles = STAFF_ROLES.map(role => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role]
+    }));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.values(PERMISSIONS),
+        builtInRoles
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching permissions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get custom roles of the school
+// @route   GET /api/admin/roles
+// @access  Private (roles.manage)
+const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find({ tenant: req.user.tenant._id }).sort('name');
+    
+    const rolesWithCounts = await Promise.all(
+      roles.map(async (role) => {
+        const roleObj = role.toObject();
+        roleObj.userCount = await User.countDocuments({
+          tenant: req.user.tenant._id,
+          customRole: role._id,
+          isActive: true
+        });
+        return roleObj;
+      })
+    );
+    
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: rolesWithCounts
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create custom role
+// @route   POST /api/admin/roles
+// @access  Private (roles.manage)
+const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+    
+    const existingRole = await Role.findOne({
+      tenant: req.user.tenant._id,
+      name: name && name.trim()
+    });
+    
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+    
+    const missing = await findMissingPermissions(req.user, permissions);
+    if (missing.length > 0) {
+      return sendMissingPermissions(res, missing);
+    }
+    
+    const role = await Role.create({
+      tenant: req.user.tenant._id,
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating role',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update custom role
+// @route   PUT /api/admin/roles/:id
+// @access  Private (roles.manage)
+const updateRole = async (req, res) => {
+  try {
+    const { name, description, permissions, isActive } = req.body;
+    
+    const role = await Role.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    // Added permissions go to everyone holding the role, the caller included.
+    // Switching an inactive role back on grants all of its permissions.
+    const newPermissions = permissions !== undefined ? permissions : role.permissions;
+    const reactivated = isActive === true && !role.isActive;
+    const added = reactivated
+      ? newPermissions
+      : newPermissions.filter(permission => !role.permissions.includes(permission));
+    
+    const missing = await findMissingPermissions(req.user, added);
+    if (missing.length > 0) {
+      return sendMissingPermissions(res, missing);
+    }
+    
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+    if (typeof isActive === 'boolean') role.isActive = isActive;
+    
+    await role.save();
+    
+    if (permissions !== undefined || typeof isActive === 'boolean') {
+      const users = await User.find({ tenant: req.user.tenant._id, customRole: role._id }).select('_id');
+      await syncRoleTopics(users.map(user => user._id));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete custom role (users keep their built-in role)
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (roles.manage)
+const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOneAndDelete({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    const users = await User.find({ tenant: req.user.tenant._id, customRole: role._id }).select('_id');
+    const result = await User.updateMany(
+      { tenant: req.user.tenant._id, customRole: role._id },
+      { customRole: null }
+    );
+    await syncRoleTopics(users.map(user => user._id));
+    
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+      usersUpdated: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting role',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all staff with their roles
+// @route   GET /api/admin/staff
+// @access  Private (roles.manage or teachers.view)
+const getStaff = async (req, res) => {
+  try {
+    const { role, customRole } = req.query;
+    
+    const query = {
+      tenant: req.user.tenant._id,
+      role: { $in: STAFF_ROLES },
+      isActive: true
+    };
+    
+    if (role) query.role = role;
+    if (customRole) query.customRole = customRole;
+    
+    const staff = await User.find(query)
+      .select('firstName lastName email phone role customRole lastLogin')
+      .populate('customRole', 'name permissions isActive')
+      .sort('firstName');
+    
+    res.status(200).json({
+      success: true,
+      count: staff.length,
+      data: staff
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching staff',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Assign built-in role and/or custom role to a staff member
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (roles.manage)
+const assignUserRole = async (req, res) => {
+  try {
+    const { role, customRole } = req.body;
+    
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+    
+    const user = await User.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id,
+      role: { $in: STAFF_ROLES }
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+    
+    if (role !== undefined && !STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+    
+    let newCustomRole = null;
+    if (customRole) {
+      newCustomRole = await Role.findOne({
+        _id: customRole,
+        tenant: req.user.tenant._id
+      });
+      
+      if (!newCustomRole) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+    }
+    
+    // Only administrators can make or unmake administrators
+    const touchesAdmin = role !== undefined &&
+      (role === USER_ROLES.ADMIN || user.role === USER_ROLES.ADMIN) &&
+      role !== user.role;
+    
+    if (touchesAdmin && req.user.role !== USER_ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can change administrator access'
+      });
+    }
+    
+    // Nobody can grant permissions they do not have themselves
+    const granted = [
+      ...(role !== undefined ? ROLE_PERMISSIONS[role] : []),
+      ...(newCustomRole ? newCustomRole.permissions : [])
+    ];
+    const missing = await findMissingPermissions(req.user, granted);
+    if (missing.length > 0) {
+      return sendMissingPermissions(res, missing);
+    }
+    
+    if (role !== undefined) user.role = role;
+    if (customRole !== undefined) user.customRole = newCustomRole ? newCustomRole._id : null;
+    
+    await user.save({ validateBeforeSave: false });
+    await user.populate('customRole', 'name permissions isActive');
+    
+    await syncRoleTopics([user._id]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        customRole: user.customRole,
+        permissions: await user.getPermissions()
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPermissionCatalogue,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getStaff,
+  assignUserRole
+};
\ No newline at end of file
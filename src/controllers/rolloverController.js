@@ -0,0 +1,137 @@
+// src/controllers/rolloverController.js
+const YearRollover = require('../models/YearRollover');
+const { planRollover, describePlan, executeRollover, undoRollover } = require('../utils/yearRollover');
+const { ROLLOVER } = require('../config/constants');
+
+// @desc    Dry run of the academic year rollover (nothing is changed)
+// @route   POST /api/admin/rollover/preview
+// @access  Private (rollover.manage)
+const previewRollover = async (req, res) => {
+  try {
+    const plan = await planRollover(req.user.tenant, req.body);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...describePlan(plan),
+        canRun: plan.problems.length === 0,
+        undoHours: ROLLOVER.UNDO_HOURS
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error previewing rollover',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Roll the school over to the next academic year
+// @route   POST /api/admin/rollover
+// @access  Private (rollover.manage)
+const runRollover = async (req, res) => {
+  try {
+    const rollover = await executeRollover(req.user.tenant, req.body, req.user);
+    
+    res.status(201).json({
+      success: true,
+      message: `Rolled over from ${rollover.fromYear} to ${rollover.toYear}. This can be undone until ${rollover.undoDeadline.toISOString()}`,
+      data: rollover
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error running rollover',
+      error: error.message,
+      preview: error.preview
+    });
+  }
+};
+
+// @desc    Get the school's rollovers
+// @route   GET /api/admin/rollover
+// @access  Private (rollover.manage)
+const getRollovers = async (req, res) => {
+  try {
+    const rollovers = await YearRollover.find({ tenant: req.user.tenant._id })
+      .select('-students -feeAssignments')
+      .populate('performedBy undoneBy', 'firstName lastName email')
+      .sort('-createdAt');
+    
+    res.status(200).json({
+      success: true,
+      count: rollovers.length,
+      data: rollovers
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching rollovers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one rollover with the students it moved
+// @route   GET /api/admin/rollover/:id
+// @access  Private (rollover.manage)
+const getRollover = async (req, res) => {
+  try {
+    const rollover = await YearRollover.findOne({ _id: req.params.id, tenant: req.user.tenant._id })
+      .populate('performedBy undoneBy', 'firstName lastName email')
+      .populate('students.student', 'firstName lastName admissionNumber')
+      .populate('classMap.fromClass classMap.toClass', 'name section academicYear');
+    
+    if (!rollover) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rollover not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: rollover
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching rollover',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Undo a rollover within the undo window
+// @route   POST /api/admin/rollover/:id/undo
+// @access  Private (rollover.manage)
+const undoYearRollover = async (req, res) => {
+  try {
+    const { rollover, keptClasses, keptFeeStructures } = await undoRollover(req.user.tenant, req.params.id, req.user);
+    
+    res.status(200).json({
+      success: true,
+      message: `Rollover from ${rollover.fromYear} to ${rollover.toYear} undone`,
+      data: {
+        rollover,
+        keptClasses,
+        keptFeeStructures
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error undoing rollover',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  previewRollover,
+  runRollover,
+  getRollovers,
+  getRollover,
+  undoYearRollover
+};
\ No newline at end of file
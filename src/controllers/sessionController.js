@@ -0,0 +1,221 @@
+// src/controllers/sessionController.js
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { revokeSessions } = require('../utils/tokenGenerator');
+
+// Shape a session for the device list
+const formatSession = (session, user, currentSessionId) => {
+  const pushTokens = user.fcmTokens.filter(t => 
+    t.session && t.session.toString() === session._id.toString()
+  );
+  
+  return {
+    id: session._id,
+    deviceName: session.deviceName || (pushTokens[0] && pushTokens[0].deviceName) || null,
+    platform: session.platform || (pushTokens[0] && pushTokens[0].platform) || null,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    pushNotifications: pushTokens.length > 0,
+    isCurrent: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+  };
+};
+
+// List active sessions of a user
+const listSessions = async (user, currentSessionId) => {
+  const sessions = await Session.findActiveForUser(user._id);
+  return sessions.map(session => formatSession(session, user, currentSessionId));
+};
+
+// @desc    Get my active sessions (devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user, req.authSession && req.authSession._id);
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out one of my sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeMySession = async (req, res) => {
+  try {
+    const result = await revokeSessions(req.user._id, 'user_revoked', { _id: req.params.id });
+    
+    if (result.sessionsRevoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out all my other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    // API key requests have no session of their own to keep
+    const result = await revokeSessions(
+      req.user._id,
+      'user_revoked',
+      req.authSession ? { _id: { $ne: req.authSession._id } } : {}
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'All other sessions signed out',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+};
+
+// Find a user of the admin's tenant
+const findTenantUser = (req) => {
+  return User.findOne({
+    _id: req.params.id,
+    tenant: req.user.tenant._id
+  });
+};
+
+// @desc    Get active sessions of a user
+// @route   GET /api/admin/users/:id/sessions
+// @access  Private (users.manage)
+const getUserSessions = async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const sessions = await listSessions(user, req.authSession && req.authSession._id);
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out one session of a user
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @access  Private (users.manage)
+const revokeUserSession = async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const result = await revokeSessions(user._id, 'admin_revoked', { _id: req.params.sessionId });
+    
+    if (result.sessionsRevoked === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out all sessions of a user
+// @route   DELETE /api/admin/users/:id/sessions
+// @access  Private (users.manage)
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Never sign the admin out of the session making this request
+    const query = req.authSession ? { _id: { $ne: req.authSession._id } } : {};
+    const result = await revokeSessions(user._id, 'admin_revoked', query);
+    
+    res.status(200).json({
+      success: true,
+      message: 'All sessions signed out',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
+};
\ No newline at end of file
@@ -0,0 +1,236 @@
+// src/controllers/subjectController.js
+const Subject = require('../models/Subject');
+const { normalizeSubjectName } = require('../utils/subjectCatalogue');
+
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => item !== undefined && item !== null && item.toString().trim() !== '');
+
+// Another subject of the school already using this name, code or one of the aliases
+const findClash = async (tenantId, { name, code, aliases }, excludeId = null) => {
+  const names = [name, ...aliases].map(normalizeSubjectName);
+  
+  const query = {
+    tenant: tenantId,
+    $or: [
+      { name: { $in: names } },
+      { code: { $in: [code, ...names.map(item => item.toUpperCase())] } },
+      { aliases: { $in: names } }
+    ]
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  
+  return Subject.findOne(query).collation({ locale: 'en', strength: 2 });
+};
+
+// @desc    Get the subject catalogue with where each subject is used
+// @route   GET /api/admin/subjects
+// @access  Private (subjects.manage)
+const getSubjects = async (req, res) => {
+  try {
+    const { category, grade, isActive } = req.query;
+    
+    const query = { tenant: req.user.tenant._id };
+    if (category) query.category = category;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    
+    let subjects = await Subject.find(query).sort('name');
+    if (grade) {
+      subjects = subjects.filter(subject => subject.isForGrade(grade));
+    }
+    
+    const data = await Promise.all(
+      subjects.map(async (subject) => ({
+        ...subject.toJSON(),
+        usage: await subject.getUsage()
+      }))
+    );
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching subjects',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get active subjects (for pickers in every app)
+// @route   GET /api/subjects
+// @access  Private
+const getActiveSubjects = async (req, res) => {
+  try {
+    const subjects = await Subject.find({
+      tenant: req.user.tenant._id,
+      isActive: true
+    })
+      .select('name code category grades')
+      .sort('name');
+    
+    res.status(200).json({
+      success: true,
+      count: subjects.length,
+      data: subjects
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching subjects',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a subject to the catalogue
+// @route   POST /api/admin/subjects
+// @access  Private (subjects.manage)
+const createSubject = async (req, res) => {
+  try {
+    const { name, code, category, description } = req.body;
+    
+    if (!name || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject name and code are required'
+      });
+    }
+    
+    const aliases = [...new Set(toList(req.body.aliases).map(normalizeSubjectName))];
+    const fields = { name: name.trim(), code: code.trim().toUpperCase(), aliases };
+    
+    const clash = await findClash(req.user.tenant._id, fields);
+    if (clash) {
+      return res.status(400).json({
+        success: false,
+        message: `Name, code or alias already used by ${clash.name} (${clash.code})`
+      });
+    }
+    
+    const subject = await Subject.create({
+      tenant: req.user.tenant._id,
+      ...fields,
+      category,
+      grades: toList(req.body.grades).map(grade => grade.trim()),
+      description
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: subject
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error creating subject',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a subject (renaming keeps every reference, since they point to the id)
+// @route   PUT /api/admin/subjects/:id
+// @access  Private (subjects.manage)
+const updateSubject = async (req, res) => {
+  try {
+    const { name, code, category, grades, aliases, description, isActive } = req.body;
+    
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+    
+    if (name !== undefined) subject.name = name.trim();
+    if (code !== undefined) subject.code = code.trim().toUpperCase();
+    if (aliases !== undefined) {
+      subject.aliases = [...new Set(toList(aliases).map(normalizeSubjectName))];
+    }
+    
+    if (name !== undefined || code !== undefined || aliases !== undefined) {
+      const clash = await findClash(req.user.tenant._id, subject, subject._id);
+      if (clash) {
+        return res.status(400).json({
+          success: false,
+          message: `Name, code or alias already used by ${clash.name} (${clash.code})`
+        });
+      }
+    }
+    
+    if (category !== undefined) subject.category = category;
+    if (grades !== undefined) subject.grades = toList(grades).map(grade => grade.trim());
+    if (description !== undefined) subject.description = description;
+    if (typeof isActive === 'boolean') subject.isActive = isActive;
+    
+    await subject.save();
+    
+    res.status(200).json({
+      success: true,
+      data: subject
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating subject',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a subject that nothing refers to (deactivate it otherwise)
+// @route   DELETE /api/admin/subjects/:id
+// @access  Private (subjects.manage)
+const deleteSubject = async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+    
+    const usage = await subject.getUsage();
+    if (usage.total > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject is still in use. Remove it from classes, teachers and timetables or deactivate it instead',
+        usage
+      });
+    }
+    
+    await subject.deleteOne();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Subject deleted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting subject',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSubjects,
+  getActiveSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject
+};
\ No newline at end of file
@@ -0,0 +1,324 @@
+// src/controllers/substitutionController.js
+const User = require('../models/User');
+const { TeacherAbsence, Substitution } = require('../models/Substitution');
+const {
+  parseCalendarDate,
+  getUncoveredWithSuggestions,
+  assignSubstitute
+} = require('../utils/substitution');
+const { getToday } = require('../utils/academicCalendar');
+const { SUBSTITUTION } = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// @desc    Record a teacher absence
+// @route   POST /api/admin/teacher-absences
+// @access  Private (teachers.manage)
+const recordTeacherAbsence = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const { teacher, type, reason } = req.body;
+    const fromDate = parseCalendarDate(tenant, req.body.fromDate);
+    const toDate = req.body.toDate ? parseCalendarDate(tenant, req.body.toDate) : fromDate;
+    
+    if (toDate < fromDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must be on or after from date'
+      });
+    }
+    
+    if ((toDate - fromDate) / DAY + 1 > SUBSTITUTION.MAX_ABSENCE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `An absence can cover at most ${SUBSTITUTION.MAX_ABSENCE_DAYS} days`
+      });
+    }
+    
+    const teacherUser = await User.findOne({
+      ...(await User.teachingStaffFilter(tenant._id)),
+      _id: teacher
+    });
+    
+    if (!teacherUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active teacher not found'
+      });
+    }
+    
+    const overlapping = await TeacherAbsence.findOne({
+      tenant: tenant._id,
+      teacher: teacherUser._id,
+      fromDate: { $lte: toDate },
+      toDate: { $gte: fromDate }
+    });
+    
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: 'The teacher already has an absence recorded for some of these dates'
+      });
+    }
+    
+    const absence = await TeacherAbsence.create({
+      tenant: tenant._id,
+      teacher: teacherUser._id,
+      fromDate,
+      toDate,
+      type,
+      reason,
+      recordedBy: req.user._id
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: absence
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error recording absence',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get teacher absences (on a date, or from a date onward)
+// @route   GET /api/admin/teacher-absences
+// @access  Private (teachers.view)
+const getTeacherAbsences = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const { date, from, teacher } = req.query;
+    
+    const query = { tenant: tenant._id };
+    if (teacher) query.teacher = teacher;
+    
+    if (date) {
+      const day = parseCalendarDate(tenant, date);
+      query.fromDate = { $lte: day };
+      query.toDate = { $gte: day };
+    } else {
+      query.toDate = { $gte: parseCalendarDate(tenant, from) };
+    }
+    
+    const absences = await TeacherAbsence.find(query)
+      .populate('teacher', 'firstName lastName email')
+      .populate('recordedBy', 'firstName lastName')
+      .sort('fromDate');
+    
+    res.status(200).json({
+      success: true,
+      count: absences.length,
+      data: absences
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error fetching absences',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a teacher absence and its upcoming substitutions
+// @route   DELETE /api/admin/teacher-absences/:id
+// @access  Private (teachers.manage)
+const deleteTeacherAbsence = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const absence = await TeacherAbsence.findOneAndDelete({ _id: req.params.id, tenant: tenant._id });
+    
+    if (!absence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Absence not found'
+      });
+    }
+    
+    // Past substitutions stay as a record of who covered
+    const result = await Substitution.deleteMany({
+      tenant: tenant._id,
+      absence: absence._id,
+      date: { $gte: getToday(tenant) }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Absence deleted',
+      data: {
+        substitutionsRemoved: result.deletedCount
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting absence',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Lessons of absent teachers on a date, with suggested substitutes for uncovered ones
+// @route   GET /api/admin/substitutions/uncovered
+// @access  Private (teachers.view)
+const getUncoveredPeriods = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const plan = await getUncoveredWithSuggestions(tenant, parseCalendarDate(tenant, req.query.date));
+    
+    res.status(200).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error fetching uncovered periods',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get substitutions on a date
+// @route   GET /api/admin/substitutions
+// @access  Private (teachers.view)
+const getSubstitutions = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    
+    const substitutions = await Substitution.find({
+      tenant: tenant._id,
+      date: parseCalendarDate(tenant, req.query.date)
+    })
+      .populate('class', 'name section')
+      .populate('absentTeacher substitute', 'firstName lastName')
+      .populate('subject', 'name code')
+      .sort('startTime');
+    
+    res.status(200).json({
+      success: true,
+      count: substitutions.length,
+      data: substitutions
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error fetching substitutions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Assign a substitute to a lesson of an absent teacher
+// @route   POST /api/admin/substitutions
+// @access  Private (teachers.manage)
+const createSubstitution = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const { classId, period, substitute } = req.body;
+    
+    if (!classId || !period || !substitute) {
+      return res.status(400).json({
+        success: false,
+        message: 'classId, period and substitute are required'
+      });
+    }
+    
+    const date = parseCalendarDate(tenant, req.body.date);
+    if (date < getToday(tenant)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Substitutes cannot be assigned to past dates'
+      });
+    }
+    
+    const substitution = await assignSubstitute(tenant, { date, classId, period, substitute }, req.user);
+    
+    await substitution.populate('class', 'name section');
+    await substitution.populate('absentTeacher substitute', 'firstName lastName');
+    await substitution.populate('subject', 'name code');
+    
+    res.status(201).json({
+      success: true,
+      data: substitution
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error assigning substitute',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a substitution
+// @route   DELETE /api/admin/substitutions/:id
+// @access  Private (teachers.manage)
+const deleteSubstitution = async (req, res) => {
+  try {
+    const substitution = await Substitution.findOneAndDelete({
+      _id: req.params.id,
+      tenant: req.user.tenant._id
+    });
+    
+    if (!substitution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Substitution not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Substitution removed'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error removing substitution',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the teacher's substitutions from today onward
+// @route   GET /api/teacher/substitutions
+// @access  Private/Teacher
+const getMySubstitutions = async (req, res) => {
+  try {
+    const substitutions = await Substitution.find({
+      tenant: req.user.tenant._id,
+      substitute: req.user._id,
+      date: { $gte: getToday(req.user.tenant) }
+    })
+      .populate('class', 'name section room')
+      .populate('absentTeacher', 'firstName lastName')
+      .populate('subject', 'name code')
+      .sort('date startTime');
+    
+    res.status(200).json({
+      success: true,
+      count: substitutions.length,
+      data: substitutions
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching substitutions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  recordTeacherAbsence,
+  getTeacherAbsences,
+  deleteTeacherAbsence,
+  getUncoveredPeriods,
+  getSubstitutions,
+  createSubstitution,
+  deleteSubstitution,
+  getMySubstitutions
+};
\ No newline at end of file
@@ -1,10 +1,36 @@
 // src/controllers/superAdminController.js
 const Tenant = require('../models/Tenant');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const Student = require('../models/Student');
+const SecurityEvent = require('../models/SecurityEvent');
+const Impersonation = require('../models/Impersonation');
+const ImpersonationLog = require('../models/ImpersonationLog');
 const { FeePayment } = require('../models/Fee');
-const { sendTokenResponse } = require('../utils/tokenGenerator');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const DeletionCertificate = require('../models/DeletionCertificate');
+const {
+  USER_ROLES,
+  SECURITY_EVENTS,
+  IMPERSONATION,
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_EVENTS,
+  TENANT_DELETION,
+  TENANT_DOMAINS
+} = require('../config/constants');
+const { generateImpersonationToken, getClientInfo, revokeSessions } = require('../utils/tokenGenerator');
 const { validatePasswordStrength } = require('../utils/passwordUtils');
+const { getDefaultRetentionDays, getPurgeDate } = require('../utils/tenantPurge');
+const {
+  getBaseDomain,
+  normalizeHost,
+  isValidDomain,
+  isPlatformHost,
+  clearDomainCache
+} = require('../utils/tenantResolver');
+
+// Subscription fields a super admin can set directly in updateTenant
+const EDITABLE_SUBSCRIPTION_FIELDS = ['plan', 'startDate', 'endDate', 'isActive', 'maxStudents', 'maxTeachers', 'billingCycle'];
 
 // @desc    Get all tenants
 // @route   GET /api/superadmin/tenants
@@ -145,26 +171,30 @@ const createTenant = async (req, res) => {
   }
 };
 
-// @desc    Update tenant
+// @desc    Update tenant; extend (extendDays) or renew (renewMonths) the subscription
 // @route   PUT /api/superadmin/tenants/:id
 // @access  Private/SuperAdmin
 const updateTenant = async (req, res) => {
   try {
-    const { subscription, isActive, settings } = req.body;
+    const { subscription, isActive, settings, extendDays, renewMonths } = req.body;
     
-    const updateData = {};
-    if (subscription) updateData.subscription = subscription;
-    if (typeof isActive === 'boolean') updateData.isActive = isActive;
-    if (settings) updateData.settings = settings;
+    if (extendDays !== undefined && renewMonths !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use either extendDays or renewMonths, not both'
+      });
+    }
     
-    const tenant = await Tenant.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true,
-        runValidators: true
+    for (const [field, value] of [['extendDays', extendDays], ['renewMonths', renewMonths]]) {
+      if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a positive whole number`
+        });
       }
-    );
+    }
+    
+    const tenant = await Tenant.findById(req.params.id);
     
     if (!tenant) {
       return res.status(404).json({
@@ -173,6 +203,93 @@ const updateTenant = async (req, res) => {
       });
     }
     
+    const now = new Date();
+    const previousStatus = tenant.getSubscriptionStatus(now);
+    const previousEndDate = tenant.subscription.endDate;
+    const previousPlan = tenant.subscription.plan;
+    let newEndDate = previousEndDate;
+    
+    if (subscription) {
+      EDITABLE_SUBSCRIPTION_FIELDS.forEach(key => {
+        if (subscription[key] !== undefined) {
+          tenant.subscription[key] = subscription[key];
+        }
+      });
+      if (subscription.endDate !== undefined) {
+        newEndDate = subscription.endDate ? new Date(subscription.endDate) : null;
+      }
+    }
+    if (typeof isActive === 'boolean') tenant.isActive = isActive;
+    if (settings) {
+      Object.keys(settings).forEach(key => tenant.set(`settings.${key}`, settings[key]));
+    }
+    
+    // Extend from the current end date, renew from today (or the end date if still running)
+    if (extendDays) {
+      const from = previousEndDate || now;
+      newEndDate = new Date(from.getTime() + extendDays * 24 * 60 * 60 * 1000);
+    }
+    if (renewMonths) {
+      const isRunning = previousEndDate && previousEndDate > now;
+      newEndDate = new Date(isRunning ? previousEndDate : now);
+      newEndDate.setMonth(newEndDate.getMonth() + renewMonths);
+      
+      if (!isRunning) {
+        tenant.subscription.startDate = now;
+      }
+    }
+    
+    // A new end date starts the lifecycle again
+    const endDateChanged = (previousEndDate ? previousEndDate.getTime() : null) !==
+      (newEndDate ? newEndDate.getTime() : null);
+    if (endDateChanged) {
+      tenant.setSubscriptionEndDate(newEndDate, now);
+    }
+    
+    // Suspending or reactivating by hand
+    if (subscription && typeof subscription.isActive === 'boolean') {
+      if (!subscription.isActive) {
+        tenant.subscription.status = SUBSCRIPTION_STATUS.SUSPENDED;
+        tenant.subscription.suspendedAt = tenant.subscription.suspendedAt || now;
+      } else if (tenant.subscription.status === SUBSCRIPTION_STATUS.SUSPENDED) {
+        tenant.subscription.status = SUBSCRIPTION_STATUS.ACTIVE;
+        tenant.subscription.suspendedAt = null;
+        tenant.subscription.graceEndsAt = null;
+      }
+    }
+    
+    await tenant.save();
+    
+    // Record what changed
+    const newStatus = tenant.getSubscriptionStatus(now);
+    const eventData = {
+      fromStatus: previousStatus,
+      toStatus: newStatus,
+      previousEndDate,
+      actor: req.user._id
+    };
+    
+    if (endDateChanged) {
+      await SubscriptionEvent.record(
+        renewMonths ? SUBSCRIPTION_EVENTS.RENEWED : SUBSCRIPTION_EVENTS.EXTENDED,
+        tenant,
+        { ...eventData, details: { extendDays, renewMonths } }
+      );
+    } else if (previousStatus !== newStatus) {
+      await SubscriptionEvent.record(
+        newStatus === SUBSCRIPTION_STATUS.SUSPENDED ? SUBSCRIPTION_EVENTS.SUSPENDED : SUBSCRIPTION_EVENTS.REACTIVATED,
+        tenant,
+        eventData
+      );
+    }
+    
+    if (previousPlan !== tenant.subscription.plan) {
+      await SubscriptionEvent.record(SUBSCRIPTION_EVENTS.PLAN_CHANGED, tenant, {
+        ...eventData,
+        details: { fromPlan: previousPlan, toPlan: tenant.subscription.plan }
+      });
+    }
+    
     res.status(200).json({
       success: true,
       data: tenant
@@ -186,19 +303,49 @@ const updateTenant = async (req, res) => {
   }
 };
 
-// @desc    Delete tenant (soft delete)
+// @desc    Get subscription history of a tenant
+// @route   GET /api/superadmin/tenants/:id/subscription-events
+// @access  Private/SuperAdmin
+const getSubscriptionEvents = async (req, res) => {
+  try {
+    const { limit = 50, skip = 0 } = req.query;
+    
+    const events = await SubscriptionEvent.find({ tenant: req.params.id })
+      .populate('actor', 'firstName lastName email')
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+    
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching subscription events',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete tenant (restorable until purged after the retention window)
 // @route   DELETE /api/superadmin/tenants/:id
 // @access  Private/SuperAdmin
 const deleteTenant = async (req, res) => {
   try {
-    const tenant = await Tenant.findByIdAndUpdate(
-      req.params.id,
-      { 
-        isActive: false,
-        isDeleted: true 
-      },
-      { new: true }
-    );
+    const { reason, retentionDays } = req.body || {};
+    
+    const days = retentionDays !== undefined ? Number(retentionDays) : getDefaultRetentionDays();
+    if (!Number.isInteger(days) || days < 0 || days > TENANT_DELETION.MAX_RETENTION_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Retention days must be a whole number from 0 to ${TENANT_DELETION.MAX_RETENTION_DAYS}`
+      });
+    }
+    
+    const tenant = await Tenant.findOne({ _id: req.params.id, isDeleted: false });
     
     if (!tenant) {
       return res.status(404).json({
@@ -207,15 +354,45 @@ const deleteTenant = async (req, res) => {
       });
     }
     
+    if (tenant.isSuperAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'The platform tenant cannot be deleted'
+      });
+    }
+    
+    // Remember who was active so a restore brings back the same accounts
+    const activeUsers = await User.find({ tenant: tenant._id, isActive: true }).distinct('_id');
+    const now = new Date();
+    
+    tenant.deletion = {
+      deletedAt: now,
+      deletedBy: req.user._id,
+      reason,
+      purgeAfter: getPurgeDate(days, now),
+      wasActive: tenant.isActive,
+      deactivatedUsers: activeUsers
+    };
+    tenant.isActive = false;
+    tenant.isDeleted = true;
+    await tenant.save();
+    
     // Deactivate all users of this tenant
     await User.updateMany(
-      { tenant: req.params.id },
+      { tenant: tenant._id },
       { isActive: false }
     );
     
+    // Revoke every login of this tenant
+    await Session.revokeAllForTenant(tenant._id, 'tenant_deleted');
+    
     res.status(200).json({
       success: true,
-      message: 'Tenant and all associated users deactivated successfully'
+      message: `Tenant deleted. All data will be permanently removed after ${tenant.deletion.purgeAfter.toISOString().slice(0, 10)} unless it is restored before then.`,
+      data: {
+        deletedAt: tenant.deletion.deletedAt,
+        purgeAfter: tenant.deletion.purgeAfter
+      }
     });
   } catch (error) {
     res.status(400).json({
@@ -226,6 +403,503 @@ const deleteTenant = async (req, res) => {
   }
 };
 
+// @desc    Add a custom domain to a tenant
+// @route   POST /api/superadmin/tenants/:id/domains
+// @access  Private/SuperAdmin
+const addTenantDomain = async (req, res) => {
+  try {
+    const domain = normalizeHost(req.body.domain);
+    
+    if (!isValidDomain(domain)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid domain name (e.g. portal.school.org)'
+      });
+    }
+    
+    if (isPlatformHost(domain)) {
+      return res.status(400).json({
+        success: false,
+        message: `Subdomains of ${getBaseDomain()} are assigned from the school code and cannot be added`
+      });
+    }
+    
+    const tenant = await Tenant.findOne({ _id: req.params.id, isDeleted: false });
+    
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+    
+    if (tenant.customDomains.includes(domain)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Domain is already registered for this tenant'
+      });
+    }
+    
+    if (tenant.customDomains.length >= TENANT_DOMAINS.MAX_CUSTOM_DOMAINS) {
+      return res.status(400).json({
+        success: false,
+        message: `A tenant can have at most ${TENANT_DOMAINS.MAX_CUSTOM_DOMAINS} custom domains`
+      });
+    }
+    
+    const owner = await Tenant.findOne({ customDomains: domain }).select('name code');
+    if (owner) {
+      return res.status(400).json({
+        success: false,
+        message: `Domain is already registered for ${owner.name} (${owner.code})`
+      });
+    }
+    
+    tenant.customDomains.push(domain);
+    await tenant.save();
+    clearDomainCache();
+    
+    res.status(201).json({
+      success: true,
+      data: tenant.customDomains
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error adding domain',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a custom domain from a tenant
+// @route   DELETE /api/superadmin/tenants/:id/domains/:domain
+// @access  Private/SuperAdmin
+const removeTenantDomain = async (req, res) => {
+  try {
+    const domain = normalizeHost(req.params.domain);
+    
+    const tenant = await Tenant.findOneAndUpdate(
+      { _id: req.params.id, customDomains: domain },
+      { $pull: { customDomains: domain } },
+      { new: true }
+    );
+    
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain not found for this tenant'
+      });
+    }
+    
+    clearDomainCache();
+    
+    res.status(200).json({
+      success: true,
+      data: tenant.customDomains
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error removing domain',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get deleted tenants waiting to be purged
+// @route   GET /api/superadmin/tenants/deleted
+// @access  Private/SuperAdmin
+const getDeletedTenants = async (req, res) => {
+  try {
+    const tenants = await Tenant.find({ isDeleted: true })
+      .select('name code email deletion')
+      .populate('deletion.deletedBy', 'firstName lastName email')
+      .sort('deletion.purgeAfter');
+    
+    res.status(200).json({
+      success: true,
+      count: tenants.length,
+      data: tenants
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching deleted tenants',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore a deleted tenant before it is purged
+// @route   PUT /api/superadmin/tenants/:id/restore
+// @access  Private/SuperAdmin
+const restoreTenant = async (req, res) => {
+  try {
+    const tenant = await Tenant.findOne({ _id: req.params.id, isDeleted: true })
+      .select('+deletion.deactivatedUsers');
+    
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted tenant not found'
+      });
+    }
+    
+    // Only while the purge job has not claimed the tenant
+    const restored = await Tenant.updateOne(
+      { _id: tenant._id, isDeleted: true, 'deletion.purgeStartedAt': null },
+      {
+        $set: { isDeleted: false, isActive: tenant.deletion.wasActive !== false },
+        $unset: { deletion: 1 }
+      }
+    );
+    
+    if (restored.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tenant data is being purged and can no longer be restored'
+      });
+    }
+    
+    const users = await User.updateMany(
+      { tenant: tenant._id, _id: { $in: tenant.deletion.deactivatedUsers || [] } },
+      { isActive: true }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: `Tenant restored with ${users.modifiedCount} active users`
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error restoring tenant',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get deletion certificates of purged tenants
+// @route   GET /api/superadmin/deletion-certificates
+// @access  Private/SuperAdmin
+const getDeletionCertificates = async (req, res) => {
+  try {
+    const { code, limit = 50, skip = 0 } = req.query;
+    
+    const query = {};
+    if (code) query.tenantCode = code.toLowerCase();
+    
+    const [certificates, total] = await Promise.all([
+      DeletionCertificate.find(query)
+        .sort('-purgedAt')
+        .limit(parseInt(limit))
+        .skip(parseInt(skip)),
+      DeletionCertificate.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: certificates.length,
+      total,
+      data: certificates
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching deletion certificates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a deletion certificate and check its checksum
+// @route   GET /api/superadmin/deletion-certificates/:id
+// @access  Private/SuperAdmin
+const getDeletionCertificate = async (req, res) => {
+  try {
+    const certificate = await DeletionCertificate.findById(req.params.id);
+    
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deletion certificate not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        certificate,
+        checksumValid: certificate.verify()
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching deletion certificate',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set two-factor policy for tenant administrators
+// @route   PUT /api/superadmin/tenants/:id/two-factor-policy
+// @access  Private/SuperAdmin
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requireTwoFactorForAdmins } = req.body;
+    
+    if (typeof requireTwoFactorForAdmins !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireTwoFactorForAdmins must be true or false'
+      });
+    }
+    
+    const tenant = await Tenant.findByIdAndUpdate(
+      req.params.id,
+      { 'settings.requireTwoFactorForAdmins': requireTwoFactorForAdmins },
+      { new: true }
+    );
+    
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+    
+    // Admins without two-factor must log in again and enrol
+    let sessionsRevoked = 0;
+    if (requireTwoFactorForAdmins) {
+      const admins = await User.find({
+        tenant: tenant._id,
+        role: USER_ROLES.ADMIN,
+        'twoFactor.enabled': { $ne: true }
+      }).select('_id');
+      
+      for (const a of admins) {
+        const result = await revokeSessions(a._id, 'admin_revoked');
+        sessionsRevoked += result.sessionsRevoked;
+      }
+    }
+    
+    await SecurityEvent.record(SECURITY_EVENTS.TWO_FACTOR_POLICY_CHANGED, {
+      tenant: tenant._id,
+      actor: req.user._id,
+      req,
+      details: { requireTwoFactorForAdmins, sessionsRevoked }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Two-factor authentication is now ${requireTwoFactorForAdmins ? 'required' : 'optional'} for administrators`,
+      data: {
+        requireTwoFactorForAdmins: tenant.settings.requireTwoFactorForAdmins,
+        sessionsRevoked
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating two-factor policy',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Act as a tenant user (support access)
+// @route   POST /api/superadmin/impersonate/:userId
+// @access  Private/SuperAdmin
+const impersonateUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for accessing this account'
+      });
+    }
+    
+    const user = await User.findById(req.params.userId).populate('tenant');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.isSuperAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Super admin accounts cannot be impersonated'
+      });
+    }
+    
+    if (!user.isActive || !user.tenant || !user.tenant.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User or their school is inactive'
+      });
+    }
+    
+    const impersonation = await Impersonation.create({
+      tenant: user.tenant._id,
+      user: user._id,
+      actor: req.user._id,
+      reason,
+      expiresAt: new Date(Date.now() + IMPERSONATION.TOKEN_EXPIRE_MINUTES * 60 * 1000),
+      ...getClientInfo(req)
+    });
+    
+    await SecurityEvent.record(SECURITY_EVENTS.IMPERSONATION_STARTED, {
+      tenant: user.tenant._id,
+      user: user._id,
+      actor: req.user._id,
+      req,
+      details: { impersonation: impersonation._id, reason: impersonation.reason }
+    });
+    
+    // Token is returned in the body only so the super admin's own cookies stay intact
+    res.status(201).json({
+      success: true,
+      token: generateImpersonationToken(user, impersonation),
+      data: {
+        impersonation: impersonation._id,
+        expiresAt: impersonation.expiresAt,
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role,
+          tenant: {
+            id: user.tenant._id,
+            name: user.tenant.name,
+            code: user.tenant.code
+          }
+        }
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error starting impersonation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List impersonations
+// @route   GET /api/superadmin/impersonations
+// @access  Private/SuperAdmin
+const getImpersonations = async (req, res) => {
+  try {
+    const { user, actor, tenant, active, limit = 50, skip = 0 } = req.query;
+    
+    const query = {};
+    if (user) query.user = user;
+    if (actor) query.actor = actor;
+    if (tenant) query.tenant = tenant;
+    if (active === 'true') {
+      query.endedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+    
+    const impersonations = await Impersonation.find(query)
+      .populate('user', 'firstName lastName email role')
+      .populate('actor', 'firstName lastName email')
+      .populate('tenant', 'name code')
+      .sort('-createdAt')
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+    
+    const count = await Impersonation.countDocuments(query);
+    
+    res.status(200).json({
+      success: true,
+      count: impersonations.length,
+      total: count,
+      data: impersonations
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching impersonations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Requests made during an impersonation
+// @route   GET /api/superadmin/impersonations/:id/requests
+// @access  Private/SuperAdmin
+const getImpersonationRequests = async (req, res) => {
+  try {
+    const requests = await ImpersonationLog.find({ impersonation: req.params.id })
+      .sort('createdAt');
+    
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching impersonation requests',
+      error: error.message
+    });
+  }
+};
+
+// @desc    End an impersonation early
+// @route   DELETE /api/superadmin/impersonations/:id
+// @access  Private/SuperAdmin
+const endImpersonation = async (req, res) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id);
+    
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found'
+      });
+    }
+    
+    if (!impersonation.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Impersonation has already ended'
+      });
+    }
+    
+    await impersonation.end('ended_by_actor');
+    
+    await SecurityEvent.record(SECURITY_EVENTS.IMPERSONATION_ENDED, {
+      tenant: impersonation.tenant,
+      user: impersonation.user,
+      actor: req.user._id,
+      req,
+      details: { impersonation: impersonation._id, endedReason: 'ended_by_actor' }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error ending impersonation',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get system-wide statistics
 // @route   GET /api/superadmin/stats
 // @access  Private/SuperAdmin
@@ -396,7 +1070,19 @@ module.exports = {
   getAllTenants,
   createTenant,
   updateTenant,
+  getSubscriptionEvents,
   deleteTenant,
+  addTenantDomain,
+  removeTenantDomain,
+  getDeletedTenants,
+  restoreTenant,
+  getDeletionCertificates,
+  getDeletionCertificate,
+  updateTwoFactorPolicy,
+  impersonateUser,
+  getImpersonations,
+  getImpersonationRequests,
+  endImpersonation,
   getSystemStats,
   makeSuperAdmin,
   removeSuperAdmin
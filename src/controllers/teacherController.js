@@ -4,7 +4,27 @@ const Note = require('../models/Note');
 const Class = require('../models/Class');
 const Attendance = require('../models/Attendance');
 const Leave = require('../models/Leave');
+const { Substitution } = require('../models/Substitution');
 const { LEAVE_STATUS } = require('../config/constants');
+const { getToday } = require('../utils/academicCalendar');
+const { resolveSubject, subjectFilter, checkGrades } = require('../utils/subjectCatalogue');
+
+// Class the teacher teaches, or covers as a substitute today
+const findTeacherClass = async (req, classId) => {
+  if (!classId) {
+    return null;
+  }
+  
+  const classObj = await Class.findOne({
+    _id: classId,
+    tenant: req.user.tenant._id
+  });
+  
+  if (classObj && await classObj.hasTeacher(req.user._id, getToday(req.user.tenant))) {
+    return classObj;
+  }
+  return null;
+};
 
 // ============ HOMEWORK MANAGEMENT ============
 
@@ -13,20 +33,36 @@ const { LEAVE_STATUS } = require('../config/constants');
 // @access  Private/Teacher
 const createHomework = async (req, res) => {
   try {
+    // Verify teacher has access to this class
+    const classObj = await findTeacherClass(req, req.body.class);
+    
+    if (!classObj) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this class'
+      });
+    }
+    
+    // Subject from the school's catalogue, taught in this grade
+    const subject = await resolveSubject(req.user.tenant._id, req.body.subject);
+    checkGrades([subject], classObj.name);
+    
     const homework = await Homework.create({
       ...req.body,
+      subject: subject._id,
       tenant: req.user.tenant._id,
       teacher: req.user._id
     });
     
     await homework.populate('class', 'name section');
+    await homework.populate('subject', 'name code');
     
     res.status(201).json({
       success: true,
       data: homework
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: 'Error creating homework',
       error: error.message
@@ -48,7 +84,7 @@ const getTeacherHomework = async (req, res) => {
     };
     
     if (classId) query.class = classId;
-    if (subject) query.subject = subject;
+    if (subject) query.subject = await subjectFilter(req.user.tenant._id, subject);
     
     if (startDate || endDate) {
       query.dueDate = {};
@@ -58,6 +94,7 @@ const getTeacherHomework = async (req, res) => {
     
     const homework = await Homework.find(query)
       .populate('class', 'name section')
+      .populate('subject', 'name code')
       .sort('-createdAt');
     
     res.status(200).json({
@@ -79,18 +116,25 @@ const getTeacherHomework = async (req, res) => {
 // @access  Private/Teacher
 const updateHomework = async (req, res) => {
   try {
+    const update = { ...req.body };
+    if (update.subject) {
+      update.subject = (await resolveSubject(req.user.tenant._id, update.subject))._id;
+    }
+    
     const homework = await Homework.findOneAndUpdate(
       {
         _id: req.params.id,
         tenant: req.user.tenant._id,
         teacher: req.user._id
       },
-      req.body,
+      update,
       {
         new: true,
         runValidators: true
       }
-    ).populate('class', 'name section');
+    )
+      .populate('class', 'name section')
+      .populate('subject', 'name code');
     
     if (!homework) {
       return res.status(404).json({
@@ -104,7 +148,7 @@ const updateHomework = async (req, res) => {
       data: homework
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: 'Error updating homework',
       error: error.message
@@ -154,20 +198,25 @@ const deleteHomework = async (req, res) => {
 // @access  Private/Teacher
 const uploadNotes = async (req, res) => {
   try {
+    // Subject from the school's catalogue
+    const subject = await resolveSubject(req.user.tenant._id, req.body.subject);
+    
     const note = await Note.create({
       ...req.body,
+      subject: subject._id,
       tenant: req.user.tenant._id,
       teacher: req.user._id
     });
     
     await note.populate('class', 'name section');
+    await note.populate('subject', 'name code');
     
     res.status(201).json({
       success: true,
       data: note
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: 'Error uploading notes',
       error: error.message
@@ -188,11 +237,12 @@ const getTeacherNotes = async (req, res) => {
     };
     
     if (classId) query.class = classId;
-    if (subject) query.subject = subject;
+    if (subject) query.subject = await subjectFilter(req.user.tenant._id, subject);
     if (type) query.type = type;
     
     const notes = await Note.find(query)
       .populate('class', 'name section')
+      .populate('subject', 'name code')
       .sort('-createdAt');
     
     res.status(200).json({
@@ -214,18 +264,25 @@ const getTeacherNotes = async (req, res) => {
 // @access  Private/Teacher
 const updateNote = async (req, res) => {
   try {
+    const update = { ...req.body };
+    if (update.subject) {
+      update.subject = (await resolveSubject(req.user.tenant._id, update.subject))._id;
+    }
+    
     const note = await Note.findOneAndUpdate(
       {
         _id: req.params.id,
         tenant: req.user.tenant._id,
         teacher: req.user._id
       },
-      req.body,
+      update,
       {
         new: true,
         runValidators: true
       }
-    ).populate('class', 'name section');
+    )
+      .populate('class', 'name section')
+      .populate('subject', 'name code');
     
     if (!note) {
       return res.status(404).json({
@@ -239,7 +296,7 @@ const updateNote = async (req, res) => {
       data: note
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
       message: 'Error updating note',
       error: error.message
@@ -288,14 +345,7 @@ const markAttendance = async (req, res) => {
     const { classId, date, attendanceData } = req.body;
     
     // Verify teacher has access to this class
-    const classObj = await Class.findOne({
-      _id: classId,
-      tenant: req.user.tenant._id,
-      $or: [
-        { classTeacher: req.user._id },
-        { 'subjectTeachers.teacher': req.user._id }
-      ]
-    });
+    const classObj = await findTeacherClass(req, classId);
     
     if (!classObj) {
       return res.status(403).json({
@@ -304,6 +354,15 @@ const markAttendance = async (req, res) => {
       });
     }
     
+    // Substitutes only mark attendance for the day they cover
+    if (!classObj.isAssignedTeacher(req.user._id) &&
+        new Date(date).getTime() !== getToday(req.user.tenant).getTime()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Substitute teachers can only mark attendance for today'
+      });
+    }
+    
     // Process attendance for each student
     const attendanceRecords = [];
     
@@ -352,14 +411,7 @@ const getClassAttendance = async (req, res) => {
     const { classId } = req.params;
     
     // Verify teacher has access to this class
-    const classObj = await Class.findOne({
-      _id: classId,
-      tenant: req.user.tenant._id,
-      $or: [
-        { classTeacher: req.user._id },
-        { 'subjectTeachers.teacher': req.user._id }
-      ]
-    });
+    const classObj = await findTeacherClass(req, classId);
     
     if (!classObj) {
       return res.status(403).json({
@@ -613,10 +665,26 @@ const getTeacherClasses = async (req, res) => {
       isActive: true
     });
     
+    // Classes covered as a substitute today
+    const substitutions = await Substitution.find({
+      tenant: req.user.tenant._id,
+      substitute: req.user._id,
+      date: getToday(req.user.tenant)
+    })
+      .populate('class', 'name section room')
+      .populate('subject', 'name code');
+    
     res.status(200).json({
       success: true,
       count: classes.length,
-      data: classes
+      data: classes,
+      substituteClasses: substitutions.map(substitution => ({
+        class: substitution.class,
+        period: substitution.period,
+        startTime: substitution.startTime,
+        endTime: substitution.endTime,
+        subject: substitution.subject
+      }))
     });
   } catch (error) {
     res.status(400).json({
@@ -635,14 +703,7 @@ const getClassStudents = async (req, res) => {
     const { classId } = req.params;
     
     // Verify teacher has access to this class
-    const classObj = await Class.findOne({
-      _id: classId,
-      tenant: req.user.tenant._id,
-      $or: [
-        { classTeacher: req.user._id },
-        { 'subjectTeachers.teacher': req.user._id }
-      ]
-    });
+    const classObj = await findTeacherClass(req, classId);
     
     if (!classObj) {
       return res.status(403).json({
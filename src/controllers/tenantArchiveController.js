@@ -0,0 +1,111 @@
+// src/controllers/tenantArchiveController.js
+const multer = require('multer');
+const SecurityEvent = require('../models/SecurityEvent');
+const { exportTenant, importTenant } = require('../utils/tenantArchive');
+const { validatePasswordStrength } = require('../utils/passwordUtils');
+const { SECURITY_EVENTS, TENANT_ARCHIVE } = require('../config/constants');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: TENANT_ARCHIVE.MAX_UPLOAD_SIZE }
+}).single('archive');
+
+// Accept the archive as multipart field "archive", answering upload errors as 400
+const uploadArchive = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error uploading archive',
+        error: error.message
+      });
+    }
+    next();
+  });
+};
+
+// @desc    Export all data of a school as a gzipped archive
+// @route   GET /api/superadmin/tenants/:id/export
+// @access  Private/SuperAdmin
+const exportTenantData = async (req, res) => {
+  try {
+    const { manifest, buffer } = await exportTenant(req.params.id, req.user._id);
+    
+    await SecurityEvent.record(SECURITY_EVENTS.TENANT_EXPORTED, {
+      tenant: req.params.id,
+      actor: req.user._id,
+      req,
+      details: { collections: manifest.collections, size: buffer.length }
+    });
+    
+    const fileName = `${manifest.tenant.code}-${manifest.exportedAt.slice(0, 10)}.json.gz`;
+    
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.status(200).send(buffer);
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error exporting tenant',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Import an archive as a new school (restore or staging copy)
+// @route   POST /api/superadmin/tenants/import
+// @access  Private/SuperAdmin
+const importTenantData = async (req, res) => {
+  try {
+    const { code, name, email, password } = req.body;
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the archive as "archive"'
+      });
+    }
+    
+    if (password) {
+      const passwordValidation = validatePasswordStrength(password);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password validation failed',
+          errors: passwordValidation.errors
+        });
+      }
+    }
+    
+    const result = await importTenant(req.file.buffer, { code, name, email, password });
+    
+    await SecurityEvent.record(SECURITY_EVENTS.TENANT_IMPORTED, {
+      tenant: result.tenant._id,
+      actor: req.user._id,
+      req,
+      details: { source: result.source, counts: result.counts }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: password
+        ? 'Tenant imported. All users must change the given password at next login.'
+        : 'Tenant imported. Users must reset their password before logging in.',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error importing tenant',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  uploadArchive,
+  exportTenantData,
+  importTenantData
+};
\ No newline at end of file
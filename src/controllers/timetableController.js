@@ -0,0 +1,372 @@
+// src/controllers/timetableController.js
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Timetable = require('../models/Timetable');
+const { Substitution } = require('../models/Substitution');
+const {
+  getWorkingDays,
+  getSchoolDay,
+  buildTimetable,
+  detectConflicts,
+  getActiveTimetables,
+  findConflicts,
+  getInactiveSlots
+} = require('../utils/timetable');
+const { getAcademicYear, resolveAcademicYearLabel } = require('../utils/academicCalendar');
+
+// Lessons of a set of timetables grouped by working day
+const buildWeek = (tenant, timetables, filter = () => true) => {
+  return getWorkingDays(tenant).map(day => ({
+    day,
+    lessons: timetables
+      .flatMap(timetable => timetable.getDay(day)
+        .filter(filter)
+        .map(lesson => ({ ...lesson, class: timetable.class })))
+      .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''))
+  }));
+};
+
+// @desc    Get a class timetable
+// @route   GET /api/admin/timetables/:classId
+// @access  Private (classes.view)
+const getClassTimetable = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const cls = await Class.findOne({ _id: req.params.classId, tenant: tenant._id });
+    
+    if (!cls) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+    
+    const timetable = await Timetable.findOne({ tenant: tenant._id, class: cls._id })
+      .populate('slots.teacher', 'firstName lastName')
+      .populate('slots.subject', 'name code');
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        class: cls,
+        workingDays: getWorkingDays(tenant),
+        timetable,
+        conflicts: timetable ? await findConflicts(tenant, cls, timetable) : [],
+        inactiveSlots: timetable ? getInactiveSlots(tenant, timetable) : []
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching timetable',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create or replace a class timetable (rejected when it double-books a teacher or room)
+// @route   PUT /api/admin/timetables/:classId
+// @access  Private (classes.manage)
+const saveClassTimetable = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const cls = await Class.findOne({ _id: req.params.classId, tenant: tenant._id, isActive: true });
+    
+    if (!cls) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active class not found'
+      });
+    }
+    
+    const { periods, slots } = await buildTimetable(tenant, cls, req.body);
+    
+    const conflicts = await findConflicts(tenant, cls, { periods, slots });
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Timetable has ${conflicts.length} conflict(s) with other classes`,
+        conflicts
+      });
+    }
+    
+    let timetable = await Timetable.findOne({ tenant: tenant._id, class: cls._id });
+    if (!timetable) {
+      timetable = new Timetable({ tenant: tenant._id, class: cls._id });
+    }
+    
+    timetable.academicYear = cls.academicYear;
+    timetable.periods = periods;
+    timetable.slots = slots;
+    timetable.updatedBy = req.user._id;
+    await timetable.save();
+    
+    res.status(200).json({
+      success: true,
+      data: timetable
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: 'Error saving timetable',
+      error: error.message,
+      errors: error.errors
+    });
+  }
+};
+
+// @desc    Delete a class timetable
+// @route   DELETE /api/admin/timetables/:classId
+// @access  Private (classes.manage)
+const deleteClassTimetable = async (req, res) => {
+  try {
+    const timetable = await Timetable.findOneAndDelete({
+      tenant: req.user.tenant._id,
+      class: req.params.classId
+    });
+    
+    if (!timetable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timetable not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Timetable deleted'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error deleting timetable',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check all timetables of a year for double-booked teachers and rooms
+// @route   GET /api/admin/timetables/conflicts
+// @access  Private (classes.view)
+const getTimetableConflicts = async (req, res) => {
+  try {
+    const tenant = req.user.tenant;
+    const academicYear = req.query.academicYear
+      ? resolveAcademicYearLabel(tenant, req.query.academicYear)
+      : getAcademicYear(tenant).label;
+    
+    const timetables = await getActiveTimetables(tenant, academicYear);
+    const conflicts = detectConflicts(timetables);
+    
+    // Lessons left on days that are no longer working days
+    const inactiveSlots = timetables
+      .map(timetable => ({ class: timetable.class, slots: getInactiveSlots(tenant, timetable) }))
+      .filter(entry => entry.slots.length > 0);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        academicYear,
+        timetables: timetables.length,
+        count: conflicts.length,
+        conflicts,
+        inactiveSlots
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error checking timetables',
+      error: error.message
+    });
+  }
+};
+
+// Timetables the logged-in teacher teaches in
+const findTeacherTimetables = async (req) => {
+  const timetables = await Timetable.find({
+    tenant: req.user.tenant._id,
+    'slots.teacher': req.user._id
+  })
+    .populate('class', 'name section isActive')
+    .populate('slots.subject', 'name code');
+  
+  return timetables.filter(timetable => timetable.class && timetable.class.isActive);
+};
+
+const isTeacherLesson = (req) => (lesson) => lesson.teacher.toString() === req.user._id.toString();
+
+// @desc    Get the teacher's weekly timetable
+// @route   GET /api/teacher/timetable
+// @access  Private/Teacher
+const getTeacherTimetable = async (req, res) => {
+  try {
+    const timetables = await findTeacherTimetables(req);
+    
+    res.status(200).json({
+      success: true,
+      data: buildWeek(req.user.tenant, timetables, isTeacherLesson(req))
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching timetable',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the teacher's lessons today
+// @route   GET /api/teacher/timetable/today
+// @access  Private/Teacher
+const getTeacherTimetableToday = async (req, res) => {
+  try {
+    const today = getSchoolDay(req.user.tenant);
+    const timetables = today.isWorkingDay ? await findTeacherTimetables(req) : [];
+    
+    // Lessons covered for absent teachers are listed with the teacher's own
+    const substitutions = await Substitution.find({
+      tenant: req.user.tenant._id,
+      substitute: req.user._id,
+      date: today.date
+    })
+      .populate('class', 'name section')
+      .populate('absentTeacher', 'firstName lastName')
+      .populate('subject', 'name code');
+    
+    const lessons = timetables
+      .flatMap(timetable => timetable.getDay(today.day)
+        .filter(isTeacherLesson(req))
+        .map(lesson => ({ ...lesson, class: timetable.class })))
+      .concat(substitutions.map(substitution => ({
+        period: substitution.period,
+        startTime: substitution.startTime,
+        endTime: substitution.endTime,
+        subject: substitution.subject,
+        teacher: req.user._id,
+        class: substitution.class,
+        substituteFor: substitution.absentTeacher
+      })))
+      .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...today,
+        lessons
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching timetable',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a child's weekly timetable
+// @route   GET /api/parent/timetable/:studentId
+// @access  Private/Parent
+const getChildTimetable = async (req, res) => {
+  try {
+    const child = await Student.findOne({
+      _id: req.params.studentId,
+      tenant: req.user.tenant._id,
+      ...Student.guardianFilter(req.user._id)
+    });
+    
+    if (!child) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found or not your child'
+      });
+    }
+    
+    const timetable = await Timetable.findOne({ tenant: req.user.tenant._id, class: child.class })
+      .populate('class', 'name section')
+      .populate('slots.teacher', 'firstName lastName')
+      .populate('slots.subject', 'name code');
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        child: {
+          id: child._id,
+          name: child.fullName
+        },
+        periods: timetable ? timetable.periods : [],
+        week: timetable ? buildWeek(req.user.tenant, [timetable]) : []
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching timetable',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get today's timetable of each child
+// @route   GET /api/parent/timetable/today
+// @access  Private/Parent
+const getChildrenTimetableToday = async (req, res) => {
+  try {
+    const today = getSchoolDay(req.user.tenant);
+    
+    const children = await Student.find({
+      tenant: req.user.tenant._id,
+      ...Student.guardianFilter(req.user._id),
+      isActive: true
+    });
+    
+    const timetables = today.isWorkingDay
+      ? await Timetable.find({
+        tenant: req.user.tenant._id,
+        class: { $in: [...new Set(children.map(child => child.class.toString()))] }
+      })
+        .populate('class', 'name section')
+        .populate('slots.teacher', 'firstName lastName')
+        .populate('slots.subject', 'name code')
+      : [];
+    
+    const data = children.map(child => {
+      const timetable = timetables.find(item => item.class._id.toString() === child.class.toString());
+      
+      return {
+        child: {
+          id: child._id,
+          name: child.fullName,
+          class: timetable ? timetable.class : child.class
+        },
+        lessons: timetable ? timetable.getDay(today.day) : []
+      };
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        ...today,
+        children: data
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching timetable',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getClassTimetable,
+  saveClassTimetable,
+  deleteClassTimetable,
+  getTimetableConflicts,
+  getTeacherTimetable,
+  getTeacherTimetableToday,
+  getChildTimetable,
+  getChildrenTimetableToday
+};
\ No newline at end of file
@@ -0,0 +1,346 @@
+// src/controllers/twoFactorController.js
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const SecurityEvent = require('../models/SecurityEvent');
+const { sendTokenResponse, verifyToken } = require('../utils/tokenGenerator');
+const { hashToken } = require('../utils/passwordUtils');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes
+} = require('../utils/totp');
+const { SECURITY_EVENTS, LOGIN_PROTECTION } = require('../config/constants');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// @desc    Get two-factor status for current user
+// @route   GET /api/auth/2fa/status
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        available: user.canUseTwoFactor(),
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: user.requiresTwoFactor(req.user.tenant),
+        recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).filter(c => !c.usedAt).length
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error fetching two-factor status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start enrolment - create secret and otpauth URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or setup token from login)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (!user.canUseTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is only available for administrators'
+      });
+    }
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email, req.user.tenant.name)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or setup token from login)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+    
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(c => ({ codeHash: hashToken(c) }));
+    await user.save({ validateBeforeSave: false });
+    
+    await SecurityEvent.record(SECURITY_EVENTS.TWO_FACTOR_ENABLED, {
+      tenant: req.user.tenant._id,
+      user: user._id,
+      actor: user._id,
+      req
+    });
+    
+    // Enrolment forced at login - finish the login now
+    if (req.twoFactorSetupLogin) {
+      user.lastLogin = Date.now();
+      await user.save({ validateBeforeSave: false });
+      await user.populate('tenant');
+      return sendTokenResponse(user, 200, res, { recoveryCodes });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes in a safe place.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete login with authenticator code or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires two-factor token from login)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+    
+    const decoded = twoFactorToken ? verifyToken(twoFactorToken) : null;
+    if (!decoded || decoded.type !== '2fa_login') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired two-factor token. Please log in again.'
+      });
+    }
+    
+    const user = await User.findById(decoded.id)
+      .select(TWO_FACTOR_FIELDS)
+      .populate('tenant');
+    
+    if (!user || !user.isActive || !user.tenant || !user.tenant.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+    
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts',
+        lockUntil: user.lockUntil
+      });
+    }
+    
+    let verified = false;
+    
+    if (code) {
+      const step = verifyCode(user.twoFactor.secret, code);
+      // Each code can be used only once
+      if (step !== null && step > (user.twoFactor.lastUsedStep || 0)) {
+        user.twoFactor.lastUsedStep = step;
+        verified = true;
+      }
+    } else if (recoveryCode) {
+      const codeHash = hashToken(String(recoveryCode).trim().toLowerCase());
+      const match = user.twoFactor.recoveryCodes.find(c => c.codeHash === codeHash && !c.usedAt);
+      if (match) {
+        match.usedAt = new Date();
+        verified = true;
+        
+        await SecurityEvent.record(SECURITY_EVENTS.TWO_FACTOR_RECOVERY_CODE_USED, {
+          tenant: user.tenant._id,
+          user: user._id,
+          req,
+          details: {
+            remaining: user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+          }
+        });
+      }
+    }
+    
+    if (!verified) {
+      await LoginAttempt.recordFailure(req, user.tenant, user.email, user, 'wrong_two_factor_code');
+      const result = await user.registerFailedLogin();
+      
+      if (result.locked) {
+        await SecurityEvent.record(SECURITY_EVENTS.ACCOUNT_LOCKED, {
+          tenant: user.tenant._id,
+          user: user._id,
+          req,
+          details: {
+            lockUntil: result.lockUntil,
+            failedAttempts: LOGIN_PROTECTION.MAX_FAILED_ATTEMPTS
+          }
+        });
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    await user.resetLoginAttempts();
+    
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+    
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying two-factor code',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (user.requiresTwoFactor(req.user.tenant)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required by your school and cannot be disabled'
+      });
+    }
+    
+    if (!password || !(await user.matchPassword(password)) || verifyCode(user.twoFactor.secret, code) === null) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+    
+    await SecurityEvent.record(SECURITY_EVENTS.TWO_FACTOR_DISABLED, {
+      tenant: req.user.tenant._id,
+      user: user._id,
+      actor: user._id,
+      req
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (verifyCode(user.twoFactor.secret, code) === null) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(c => ({ codeHash: hashToken(c) }));
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error generating recovery codes',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
\ No newline at end of file
@@ -0,0 +1,66 @@
+// src/jobs/index.js
+// Background jobs. The server schedules them with startJobs();
+// one job can also be run by hand: npm run job -- subscription-expiry
+const jobs = {
+  'subscription-expiry': require('./subscriptionExpiry'),
+  'platform-invoicing': require('./platformInvoicing'),
+  'tenant-purge': require('./tenantPurge')
+};
+
+// Wait a little after start-up before the first run
+const STARTUP_DELAY = 60 * 1000; // 1 minute
+
+const runJob = async (name) => {
+  const startedAt = Date.now();
+  
+  try {
+    const result = await jobs[name].run();
+    console.log(`Job ${name} done in ${Date.now() - startedAt}ms:`, result);
+    return result;
+  } catch (error) {
+    console.error(`Job ${name} failed: ${error.message}`);
+    throw error;
+  }
+};
+
+// Schedule every job (set DISABLE_JOBS=true on servers that should not run them)
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    return;
+  }
+  
+  Object.keys(jobs).forEach(name => {
+    const run = () => runJob(name).catch(() => {});
+    setTimeout(run, STARTUP_DELAY).unref();
+    setInterval(run, jobs[name].intervalMs).unref();
+  });
+};
+
+// Run a single job from the command line
+if (require.main === module) {
+  const dotenv = require('dotenv');
+  const mongoose = require('mongoose');
+  
+  dotenv.config();
+  
+  const name = process.argv[2];
+  
+  if (!jobs[name]) {
+    console.error(`Unknown job "${name}". Available jobs: ${Object.keys(jobs).join(', ')}`);
+    process.exit(1);
+  }
+  
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => runJob(name))
+    .then(() => mongoose.connection.close())
+    .catch(async () => {
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  jobs,
+  runJob,
+  startJobs
+};
\ No newline at end of file
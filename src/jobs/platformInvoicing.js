@@ -0,0 +1,69 @@
+// src/jobs/platformInvoicing.js
+const Tenant = require('../models/Tenant');
+const { PlatformInvoice } = require('../models/PlatformBilling');
+const { createInvoice } = require('../utils/platformBilling');
+const {
+  SUBSCRIPTION_STATUS,
+  PLATFORM_BILLING,
+  INVOICE_STATUS
+} = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Daily run: mark unpaid invoices overdue and invoice schools whose period ends soon
+const run = async (now = new Date()) => {
+  const summary = { overdue: 0, generated: 0, failed: 0 };
+  
+  const overdue = await PlatformInvoice.updateMany(
+    {
+      status: { $in: [INVOICE_STATUS.ISSUED, INVOICE_STATUS.PARTIALLY_PAID] },
+      dueDate: { $lt: now }
+    },
+    { status: INVOICE_STATUS.OVERDUE }
+  );
+  summary.overdue = overdue.modifiedCount;
+  
+  const tenants = await Tenant.find({
+    isActive: true,
+    isDeleted: false,
+    isSuperAdmin: false,
+    'subscription.endDate': {
+      $ne: null,
+      $lte: new Date(now.getTime() + PLATFORM_BILLING.INVOICE_DAYS_BEFORE_END * DAY)
+    }
+  });
+  
+  for (const tenant of tenants) {
+    try {
+      const { endDate } = tenant.subscription;
+      
+      // Already invoiced beyond the current end date
+      const covered = await PlatformInvoice.exists({
+        tenant: tenant._id,
+        status: { $ne: INVOICE_STATUS.VOID },
+        periodEnd: { $gt: endDate }
+      });
+      
+      if (covered) {
+        continue;
+      }
+      
+      // A suspended school starts a new period when it pays, not from the old end date
+      const periodStart = tenant.getSubscriptionStatus(now) === SUBSCRIPTION_STATUS.SUSPENDED ? now : endDate;
+      
+      await createInvoice(tenant, { periodStart, now });
+      summary.generated++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Invoice generation failed for tenant ${tenant.code}:`, error.message);
+    }
+  }
+  
+  return summary;
+};
+
+module.exports = {
+  description: 'Generate subscription invoices before each period ends and flag overdue ones',
+  intervalMs: DAY,
+  run
+};
\ No newline at end of file
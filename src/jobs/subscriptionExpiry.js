@@ -0,0 +1,155 @@
+// src/jobs/subscriptionExpiry.js
+const Tenant = require('../models/Tenant');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const { sendSubscriptionNoticeToAdmins } = require('../utils/emailService');
+const {
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_LIFECYCLE,
+  SUBSCRIPTION_EVENTS
+} = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Warn admins before the end date, once for each of WARNING_DAYS
+const sendExpiryWarning = async (tenant, now) => {
+  const { endDate, expiryWarningsSent = [] } = tenant.subscription;
+  const daysLeft = Math.ceil((endDate - now) / DAY);
+  
+  const due = SUBSCRIPTION_LIFECYCLE.WARNING_DAYS.filter(days =>
+    daysLeft <= days && !expiryWarningsSent.includes(days)
+  );
+  
+  if (due.length === 0) {
+    return false;
+  }
+  
+  // Claim the warning first so a second server running the job does not send it again
+  const claimed = await Tenant.updateOne(
+    {
+      _id: tenant._id,
+      'subscription.endDate': endDate,
+      'subscription.expiryWarningsSent': { $nin: due }
+    },
+    { $addToSet: { 'subscription.expiryWarningsSent': { $each: due } } }
+  );
+  
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+  
+  const adminsNotified = await sendSubscriptionNoticeToAdmins(tenant, 'Subscription expiring soon', [
+    `Your ${tenant.name} subscription ends on ${formatDate(endDate)} (${daysLeft} day${daysLeft === 1 ? '' : 's'} left).`,
+    `After that date the app becomes read-only for ${SUBSCRIPTION_LIFECYCLE.GRACE_DAYS} days and is then suspended.`,
+    'Please renew your subscription to avoid any interruption.'
+  ]);
+  
+  await SubscriptionEvent.record(SUBSCRIPTION_EVENTS.EXPIRY_WARNING, tenant, {
+    fromStatus: SUBSCRIPTION_STATUS.ACTIVE,
+    toStatus: SUBSCRIPTION_STATUS.ACTIVE,
+    previousEndDate: endDate,
+    details: { daysLeft, adminsNotified }
+  });
+  
+  return true;
+};
+
+// Record that an expired school moved to read-only or suspended
+const applyExpiredStatus = async (tenant, fromStatus, toStatus, now) => {
+  const { endDate } = tenant.subscription;
+  const graceEndsAt = tenant.getGraceEndDate();
+  
+  const update = {
+    'subscription.status': toStatus,
+    'subscription.graceEndsAt': graceEndsAt
+  };
+  
+  if (toStatus === SUBSCRIPTION_STATUS.SUSPENDED) {
+    update['subscription.isActive'] = false;
+    update['subscription.suspendedAt'] = now;
+  }
+  
+  // Only move on from the state this run saw (another server may have done it)
+  const claimed = await Tenant.updateOne(
+    { _id: tenant._id, 'subscription.status': fromStatus, 'subscription.endDate': endDate },
+    { $set: update }
+  );
+  
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+  
+  const isGrace = toStatus === SUBSCRIPTION_STATUS.GRACE;
+  
+  const adminsNotified = await sendSubscriptionNoticeToAdmins(
+    tenant,
+    isGrace ? 'Subscription expired - read-only mode' : 'Subscription suspended',
+    isGrace
+      ? [
+        `Your ${tenant.name} subscription ended on ${formatDate(endDate)}.`,
+        `The app is now read-only: existing data can be viewed but not changed. It will be suspended on ${formatDate(graceEndsAt)}.`,
+        'Please renew your subscription to make changes again.'
+      ]
+      : [
+        `Your ${tenant.name} subscription ended on ${formatDate(endDate)} and the read-only period is over.`,
+        'The school account is now suspended and users can no longer sign in. Your data is kept.',
+        'Renew your subscription to restore access.'
+      ]
+  );
+  
+  await SubscriptionEvent.record(
+    isGrace ? SUBSCRIPTION_EVENTS.GRACE_STARTED : SUBSCRIPTION_EVENTS.SUSPENDED,
+    tenant,
+    {
+      fromStatus,
+      toStatus,
+      previousEndDate: endDate,
+      details: { graceEndsAt, adminsNotified }
+    }
+  );
+  
+  return true;
+};
+
+// Daily run: warn before expiry, then move expired schools to read-only and suspended
+const run = async (now = new Date()) => {
+  const summary = { checked: 0, warned: 0, grace: 0, suspended: 0, failed: 0 };
+  
+  const tenants = await Tenant.find({
+    isDeleted: false,
+    isSuperAdmin: false,
+    'subscription.endDate': { $ne: null },
+    'subscription.status': { $ne: SUBSCRIPTION_STATUS.SUSPENDED }
+  });
+  
+  for (const tenant of tenants) {
+    summary.checked++;
+    
+    try {
+      const storedStatus = tenant.subscription.status || SUBSCRIPTION_STATUS.ACTIVE;
+      const currentStatus = tenant.getSubscriptionStatus(now);
+      
+      if (currentStatus === SUBSCRIPTION_STATUS.ACTIVE) {
+        if (await sendExpiryWarning(tenant, now)) {
+          summary.warned++;
+        }
+      } else if (currentStatus !== storedStatus) {
+        if (await applyExpiredStatus(tenant, storedStatus, currentStatus, now)) {
+          summary[currentStatus]++;
+        }
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Subscription check failed for tenant ${tenant.code}:`, error.message);
+    }
+  }
+  
+  return summary;
+};
+
+module.exports = {
+  description: 'Warn before subscription expiry, then switch to read-only and suspend',
+  intervalMs: DAY,
+  run
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+// src/jobs/tenantPurge.js
+const Tenant = require('../models/Tenant');
+const { purgeTenant } = require('../utils/tenantPurge');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Daily run: permanently remove deleted schools whose retention window has passed
+const run = async (now = new Date()) => {
+  const summary = { due: 0, purged: 0, failed: 0, certificates: [] };
+  
+  const tenants = await Tenant.find({
+    isDeleted: true,
+    'deletion.purgeAfter': { $lte: now }
+  }).select('code');
+  
+  for (const tenant of tenants) {
+    summary.due++;
+    
+    try {
+      const certificate = await purgeTenant(tenant._id, now);
+      if (certificate) {
+        summary.purged++;
+        summary.certificates.push(certificate.certificateNumber);
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Purge failed for tenant ${tenant.code}:`, error.message);
+    }
+  }
+  
+  return summary;
+};
+
+module.exports = {
+  description: 'Permanently remove deleted schools after the retention window and write deletion certificates',
+  intervalMs: DAY,
+  run
+};
\ No newline at end of file
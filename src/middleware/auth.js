@@ -1,8 +1,169 @@
 // src/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const ApiKey = require('../models/ApiKey');
+const { getPasswordPolicy } = require('../utils/passwordUtils');
+const { consume, setRateLimitHeaders } = require('../utils/rateLimiter');
+const { sendUpgradeRequired } = require('./planCheck');
+const { API_KEY, FEATURES, SUBSCRIPTION_STATUS } = require('../config/constants');
 
-// Protect routes - verify JWT token
+// How often a session's last seen time is written
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Routes still reachable while the user must change their password
+const PASSWORD_CHANGE_ALLOWED_PATHS = [
+  '/api/auth/me',
+  '/api/auth/logout',
+  '/api/auth/updatepassword',
+  '/api/auth/fcm-token'
+];
+
+// Methods still allowed while an expired school is read-only
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Block suspended schools, and changes from schools in the read-only grace period.
+// Returns the response when the request was blocked.
+const checkSubscription = (req, res, tenant) => {
+  const status = tenant.getSubscriptionStatus();
+  
+  if (status === SUBSCRIPTION_STATUS.SUSPENDED) {
+    return res.status(403).json({
+      success: false,
+      code: 'SUBSCRIPTION_SUSPENDED',
+      message: 'Your school subscription has been suspended. Please contact support to renew.'
+    });
+  }
+  
+  if (status === SUBSCRIPTION_STATUS.GRACE) {
+    const graceEndsAt = tenant.getGraceEndDate();
+    res.set('X-Subscription-Status', status);
+    
+    // Account routes (logout, password change, ...) keep working
+    const path = req.originalUrl.split('?')[0];
+    if (!READ_ONLY_METHODS.includes(req.method) && !path.startsWith('/api/auth/')) {
+      return res.status(403).json({
+        success: false,
+        code: 'SUBSCRIPTION_READ_ONLY',
+        message: `Your school subscription has expired. The app is read-only until ${graceEndsAt.toISOString().slice(0, 10)}. Please renew to make changes.`,
+        graceEndsAt
+      });
+    }
+  }
+  
+  return null;
+};
+
+// Record every request made with an impersonation token, with the real actor
+const logImpersonatedRequest = (req, res) => {
+  const impersonation = req.impersonation;
+  
+  res.on('finish', () => {
+    Promise.all([
+      ImpersonationLog.create({
+        impersonation: impersonation._id,
+        tenant: impersonation.tenant,
+        user: impersonation.user,
+        actor: impersonation.actor,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        blocked: !!req.impersonationBlocked,
+        ipAddress: req.ip
+      }),
+      Impersonation.updateOne(
+        { _id: impersonation._id },
+        { $inc: { requestCount: 1 }, lastRequestAt: new Date() }
+      )
+    ]).catch(error => console.error('Failed to log impersonated request:', error.message));
+  });
+};
+
+// Authenticate a request made with a tenant API key. The request acts as the
+// admin who created the key, limited to the permissions of the key's scopes.
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const path = req.originalUrl.split('?')[0];
+    
+    if (!API_KEY.ALLOWED_PATH_PREFIXES.some(prefix => path.startsWith(prefix))) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot be used on this route'
+      });
+    }
+    
+    const apiKey = await ApiKey.findActiveByKey(key);
+    
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked API key'
+      });
+    }
+    
+    // Per-key rate limit
+    const rateLimit = consume(`api_key:${apiKey._id}`, apiKey.rateLimit, API_KEY.RATE_LIMIT_WINDOW_SECONDS);
+    setRateLimitHeaders(res, rateLimit);
+    
+    if (!rateLimit.allowed) {
+      return res.status(429).json({
+        success: false,
+        message: 'API key rate limit exceeded'
+      });
+    }
+    
+    const user = await User.findById(apiKey.createdBy).populate('tenant');
+    
+    if (!user || !user.isActive || !user.tenant || !user.tenant._id.equals(apiKey.tenant)) {
+      return res.status(401).json({
+        success: false,
+        message: 'The account that created this API key is no longer active'
+      });
+    }
+    
+    if (!user.tenant.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your organization account is inactive'
+      });
+    }
+    
+    if (checkSubscription(req, res, user.tenant)) {
+      return;
+    }
+    
+    if (!(await user.tenant.hasFeature(FEATURES.API_ACCESS))) {
+      return sendUpgradeRequired(res, user.tenant, FEATURES.API_ACCESS);
+    }
+    
+    // Scope permissions, within what the creator is still allowed to do
+    const userPermissions = await user.getPermissions();
+    user.$locals.permissions = apiKey.getScopePermissions()
+      .filter(permission => userPermissions.includes(permission));
+    
+    req.user = user;
+    req.apiKey = apiKey;
+    
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      {
+        $set: { lastUsedAt: new Date(), lastUsedIp: req.ip, lastUsedPath: path },
+        $inc: { usageCount: 1 }
+      }
+    );
+    
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+};
+
+// Protect routes - verify JWT token or tenant API key
 const protect = async (req, res, next) => {
   let token;
   
@@ -16,6 +177,14 @@ const protect = async (req, res, next) => {
     token = req.cookies.token;
   }
   
+  // API keys are sent in X-API-Key or as a bearer token
+  const apiKey = req.headers['x-api-key'] ||
+    (token && token.startsWith(API_KEY.PREFIX) ? token : null);
+  
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+  
   // Make sure token exists
   if (!token) {
     return res.status(401).json({
@@ -28,6 +197,68 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Refresh tokens cannot be used as access tokens
+    if (decoded.type === 'refresh' || (!decoded.sid && !decoded.imp)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+    
+    if (decoded.imp) {
+      // Impersonation token - check it has not been ended
+      const impersonation = await Impersonation.findOne({
+        _id: decoded.imp,
+        user: decoded.id,
+        endedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+      
+      // The real actor must still be an active super admin
+      const actorAllowed = impersonation && await User.exists({
+        _id: impersonation.actor,
+        isSuperAdmin: true,
+        isActive: true
+      });
+      
+      if (!actorAllowed) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation has expired or been ended'
+        });
+      }
+      
+      req.impersonation = impersonation;
+      res.set('X-Impersonation', impersonation._id.toString());
+      logImpersonatedRequest(req, res);
+    } else {
+      // Check the session has not been revoked
+      const session = await Session.findOne({
+        _id: decoded.sid,
+        user: decoded.id,
+        revokedAt: null
+      });
+      
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+      
+      req.authSession = session;
+      
+      // Update "last seen" at most every few minutes
+      if (!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+        session.lastUsedAt = new Date();
+        session.ipAddress = req.ip;
+        await Session.updateOne(
+          { _id: session._id },
+          { lastUsedAt: session.lastUsedAt, ipAddress: session.ipAddress }
+        );
+      }
+    }
+    
     // Get user from token
     req.user = await User.findById(decoded.id).populate('tenant');
     
@@ -54,6 +285,23 @@ const protect = async (req, res, next) => {
       });
     }
     
+    if (checkSubscription(req, res, req.user.tenant)) {
+      return;
+    }
+    
+    // Temporary or expired password - only allow changing it
+    if (!req.impersonation && req.user.needsPasswordChange(getPasswordPolicy(req.user.tenant))) {
+      const path = req.originalUrl.split('?')[0];
+      
+      if (!PASSWORD_CHANGE_ALLOWED_PATHS.includes(path)) {
+        return res.status(403).json({
+          success: false,
+          code: 'PASSWORD_CHANGE_REQUIRED',
+          message: 'You must change your password before continuing'
+        });
+      }
+    }
+    
     next();
   } catch (error) {
     return res.status(401).json({
@@ -76,7 +324,14 @@ const optionalAuth = async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).populate('tenant');
+      const session = decoded.sid && decoded.type !== 'refresh'
+        ? await Session.findOne({ _id: decoded.sid, user: decoded.id, revokedAt: null })
+        : null;
+      
+      if (session) {
+        req.authSession = session;
+        req.user = await User.findById(decoded.id).populate('tenant');
+      }
     } catch (error) {
       // Don't fail, just continue without user
     }
@@ -85,4 +340,54 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
-module.exports = { protect, optionalAuth };
\ No newline at end of file
+// Allow two-factor enrolment with a normal session, or with the setup token
+// issued at login when the school requires 2FA and the user has not enrolled yet
+const protectTwoFactorSetup = async (req, res, next) => {
+  const setupToken = req.body && req.body.twoFactorToken;
+  
+  if (!setupToken) {
+    return protect(req, res, next);
+  }
+  
+  try {
+    const decoded = jwt.verify(setupToken, process.env.JWT_SECRET);
+    
+    if (decoded.type !== '2fa_setup') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor setup token'
+      });
+    }
+    
+    req.user = await User.findById(decoded.id).populate('tenant');
+    
+    if (!req.user || !req.user.isActive || !req.user.tenant.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+    
+    req.twoFactorSetupLogin = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired two-factor setup token'
+    });
+  }
+};
+
+// Refuse sensitive actions (password changes, payments, ...) while impersonating
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    req.impersonationBlocked = true;
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not allowed while accessing an account as support'
+    });
+  }
+  next();
+};
+
+module.exports = { protect, optionalAuth, protectTwoFactorSetup, blockImpersonation };
\ No newline at end of file
@@ -0,0 +1,42 @@
+// src/middleware/planCheck.js
+const Plan = require('../models/Plan');
+
+// Respond with an upgrade error naming the plans that include the feature
+const sendUpgradeRequired = async (res, tenant, feature) => {
+  const plans = await Plan.getCatalogue();
+  const currentPlan = await tenant.getPlan();
+  const availableIn = Object.values(plans)
+    .filter(plan => plan.features.includes(feature))
+    .map(plan => plan.code);
+  
+  return res.status(403).json({
+    success: false,
+    code: 'PLAN_UPGRADE_REQUIRED',
+    message: availableIn.length > 0
+      ? `Your ${currentPlan.name} plan does not include ${feature}. Upgrade to ${availableIn.join(' or ')} to use it.`
+      : `Your ${currentPlan.name} plan does not include ${feature}`,
+    feature,
+    currentPlan: currentPlan.code,
+    availableIn
+  });
+};
+
+// Only allow the route when the tenant's plan includes the feature
+const requireFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      if (await req.user.tenant.hasFeature(feature)) {
+        return next();
+      }
+      
+      return sendUpgradeRequired(res, req.user.tenant, feature);
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requireFeature,
+  sendUpgradeRequired
+};
\ No newline at end of file
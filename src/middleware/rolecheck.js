@@ -1,9 +1,10 @@
 // src/middleware/roleCheck.js
 const { USER_ROLES } = require('../config/constants');
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
+// Grant access if the user has any of the given permissions
+// (built-in role permissions plus the tenant custom role, see User.getPermissions)
+const authorize = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -11,39 +12,23 @@ const authorize = (...roles) => {
       });
     }
     
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`
-      });
+    try {
+      const userPermissions = await req.user.getPermissions();
+      
+      if (!permissions.some(permission => userPermissions.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to access this route (requires ${permissions.join(' or ')})`
+        });
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
     }
-    
-    next();
   };
 };
 
-// Check if user is admin
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== USER_ROLES.ADMIN) {
-    return res.status(403).json({
-      success: false,
-      message: 'Only administrators can access this route'
-    });
-  }
-  next();
-};
-
-// Check if user is teacher
-const isTeacher = (req, res, next) => {
-  if (req.user.role !== USER_ROLES.TEACHER) {
-    return res.status(403).json({
-      success: false,
-      message: 'Only teachers can access this route'
-    });
-  }
-  next();
-};
-
 // Check if user is parent
 const isParent = (req, res, next) => {
   if (req.user.role !== USER_ROLES.PARENT) {
@@ -55,17 +40,6 @@ const isParent = (req, res, next) => {
   next();
 };
 
-// Check if user is teacher or admin
-const isTeacherOrAdmin = (req, res, next) => {
-  if (![USER_ROLES.TEACHER, USER_ROLES.ADMIN].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      message: 'Only teachers and administrators can access this route'
-    });
-  }
-  next();
-};
-
 // Check if user is super admin
 const isSuperAdmin = (req, res, next) => {
   if (!req.user.isSuperAdmin) {
@@ -79,9 +53,6 @@ const isSuperAdmin = (req, res, next) => {
 
 module.exports = {
   authorize,
-  isAdmin,
-  isTeacher,
   isParent,
-  isTeacherOrAdmin,
   isSuperAdmin
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+// src/migrations/001-student-guardians.js
+const Student = require('../models/Student');
+const { GUARDIAN_RELATIONSHIPS, GUARDIAN_RIGHTS } = require('../config/constants');
+
+// Every existing student gets its single parent as primary guardian with all rights
+const allRights = Object.values(GUARDIAN_RIGHTS).reduce((rights, right) => {
+  rights[right] = true;
+  return rights;
+}, {});
+
+module.exports = {
+  description: 'Move Student.parent into the guardians list',
+  
+  up: async () => {
+    const result = await Student.collection.updateMany(
+      {
+        parent: { $ne: null },
+        $or: [
+          { guardians: { $exists: false } },
+          { guardians: { $size: 0 } }
+        ]
+      },
+      [{
+        $set: {
+          guardians: [{
+            user: '$parent',
+            relationship: GUARDIAN_RELATIONSHIPS.GUARDIAN,
+            isPrimary: true,
+            rights: allRights
+          }]
+        }
+      }]
+    );
+    
+    return { studentsUpdated: result.modifiedCount };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+// src/migrations/002-tenant-fcm-topics.js
+const { initializeFirebaseAdmin } = require('../config/firebaseAdmin');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const { USER_ROLES } = require('../config/constants');
+const { unsubscribe, syncUserTopics } = require('../utils/fcmTopics');
+
+// Topics used before they were namespaced by tenant
+const LEGACY_TOPICS = ['all_users', 'teachers', 'parents'];
+
+module.exports = {
+  description: 'Move device subscriptions from global FCM topics to per-school topics',
+  
+  up: async () => {
+    initializeFirebaseAdmin();
+    
+    let usersUpdated = 0;
+    const cursor = User.find({ 'fcmTokens.0': { $exists: true } }).cursor();
+    
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+      const tokens = user.fcmTokens.map(t => t.token);
+      const legacyTopics = [...LEGACY_TOPICS];
+      
+      if (user.role === USER_ROLES.PARENT) {
+        const children = await Student.find({
+          tenant: user.tenant,
+          ...Student.guardianFilter(user._id)
+        }).select('class');
+        
+        children.forEach(child => legacyTopics.push(`class_${child.class}`));
+      }
+      
+      for (const topic of new Set(legacyTopics)) {
+        await unsubscribe(tokens, topic);
+      }
+      
+      // fcmTopics is empty for every user at this point, so all tokens get subscribed
+      await syncUserTopics(user._id);
+      usersUpdated++;
+    }
+    
+    return { usersUpdated };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,27 @@
+// src/migrations/003-plan-quotas.js
+const Tenant = require('../models/Tenant');
+
+// Values every tenant got before quotas came from the plan catalogue
+const OLD_DEFAULT_MAX_STUDENTS = 100;
+const OLD_DEFAULT_MAX_TEACHERS = 10;
+
+module.exports = {
+  description: 'Let tenants with the old default student/teacher limits follow their plan quotas',
+  
+  up: async () => {
+    const students = await Tenant.updateMany(
+      { 'subscription.maxStudents': OLD_DEFAULT_MAX_STUDENTS },
+      { $set: { 'subscription.maxStudents': null } }
+    );
+    
+    const teachers = await Tenant.updateMany(
+      { 'subscription.maxTeachers': OLD_DEFAULT_MAX_TEACHERS },
+      { $set: { 'subscription.maxTeachers': null } }
+    );
+    
+    return {
+      studentLimitsCleared: students.modifiedCount,
+      teacherLimitsCleared: teachers.modifiedCount
+    };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,17 @@
+// src/migrations/004-receipt-number-index.js
+const { FeePayment } = require('../models/Fee');
+
+module.exports = {
+  description: 'Drop the global unique index on receipt numbers (they are unique per tenant)',
+  
+  up: async () => {
+    const indexes = await FeePayment.collection.indexes();
+    const globalIndex = indexes.find(index => index.name === 'receiptNumber_1');
+    
+    if (globalIndex) {
+      await FeePayment.collection.dropIndex('receiptNumber_1');
+    }
+    
+    return { dropped: !!globalIndex };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,25 @@
+// src/migrations/005-tenant-deletion-retention.js
+const Tenant = require('../models/Tenant');
+const { getDefaultRetentionDays, getPurgeDate } = require('../utils/tenantPurge');
+
+module.exports = {
+  description: 'Start the retention window for schools deleted before purging existed',
+  
+  up: async () => {
+    // Counted from now, so these schools can still be restored for the full window
+    const result = await Tenant.updateMany(
+      { isDeleted: true, 'deletion.purgeAfter': null },
+      [{
+        $set: {
+          deletion: {
+            deletedAt: '$updatedAt',
+            purgeAfter: getPurgeDate(getDefaultRetentionDays()),
+            wasActive: true
+          }
+        }
+      }]
+    );
+    
+    return { tenantsScheduled: result.modifiedCount };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,165 @@
+// src/migrations/006-subject-catalogue.js
+const Tenant = require('../models/Tenant');
+const Subject = require('../models/Subject');
+const Class = require('../models/Class');
+const Homework = require('../models/Homework');
+const Note = require('../models/Note');
+const User = require('../models/User');
+const Timetable = require('../models/Timetable');
+const { Substitution } = require('../models/Substitution');
+const { normalizeSubjectName } = require('../utils/subjectCatalogue');
+
+// Spellings seen in school data that mean the same subject
+const KNOWN_SUBJECTS = [
+  { name: 'Mathematics', code: 'MATH', category: 'academic', variants: ['math', 'maths', 'mathematics'] },
+  { name: 'English', code: 'ENG', category: 'language', variants: ['english', 'eng', 'english language'] },
+  { name: 'Science', code: 'SCI', category: 'academic', variants: ['science', 'sci', 'general science'] },
+  { name: 'Social Studies', code: 'SST', category: 'academic', variants: ['social studies', 'social science', 'sst'] },
+  { name: 'Computer Science', code: 'CS', category: 'academic', variants: ['computer science', 'computer', 'computers', 'ict'] },
+  { name: 'Quran', code: 'QURAN', category: 'islamic', variants: ['quran', 'qur\'an', 'holy quran', 'nazra'] },
+  { name: 'Islamic Studies', code: 'ISL', category: 'islamic', variants: ['islamic studies', 'islamiat', 'islamiyat', 'deeniyat', 'diniyat'] },
+  { name: 'Arabic', code: 'ARB', category: 'language', variants: ['arabic'] },
+  { name: 'Urdu', code: 'URDU', category: 'language', variants: ['urdu'] },
+  { name: 'Hindi', code: 'HIN', category: 'language', variants: ['hindi'] },
+  { name: 'Hifz', code: 'HIFZ', category: 'islamic', variants: ['hifz', 'hifdh', 'hifz ul quran'] },
+  { name: 'Tajweed', code: 'TAJ', category: 'islamic', variants: ['tajweed', 'tajwid'] },
+  { name: 'Fiqh', code: 'FIQH', category: 'islamic', variants: ['fiqh'] },
+  { name: 'Hadith', code: 'HAD', category: 'islamic', variants: ['hadith', 'hadees', 'ahadith'] },
+  { name: 'Aqeedah', code: 'AQD', category: 'islamic', variants: ['aqeedah', 'aqidah', 'aqeeda'] },
+  { name: 'Seerah', code: 'SEER', category: 'islamic', variants: ['seerah', 'sirah', 'seerat'] }
+];
+
+// Fields that held the subject as free text
+const SOURCES = [
+  { model: Class, field: 'subjects', array: true },
+  { model: Class, field: 'subjectTeachers', key: 'subject' },
+  { model: Homework, field: 'subject' },
+  { model: Note, field: 'subject' },
+  { model: User, field: 'teacherInfo.subjects', array: true },
+  { model: Timetable, field: 'slots', key: 'subject' },
+  { model: Substitution, field: 'subject' }
+];
+
+const sourcePath = (source) => (source.key ? `${source.field}.${source.key}` : source.field);
+
+// "Social Studies" -> "SOCIALST" style codes, made unique with a number
+const generateCode = (name, usedCodes) => {
+  const base = (name.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 8) || 'SUBJ').padEnd(2, 'X');
+  
+  let code = base;
+  for (let n = 2; usedCodes.has(code); n++) {
+    code = `${base}${n}`;
+  }
+  usedCodes.add(code);
+  return code;
+};
+
+// Group the free-text values of a school into catalogue entries
+const groupValues = (values) => {
+  const groups = new Map();
+  
+  values.forEach(value => {
+    const normalized = normalizeSubjectName(value);
+    const known = KNOWN_SUBJECTS.find(subject => subject.variants.includes(normalized));
+    const key = known ? known.name.toLowerCase() : normalized;
+    
+    if (!groups.has(key)) {
+      groups.set(key, { known, name: known ? known.name : value.trim().replace(/\s+/g, ' '), values: [] });
+    }
+    groups.get(key).values.push(value);
+  });
+  
+  return [...groups.values()];
+};
+
+// Replace one free-text value with the subject id
+const replaceValue = async (source, tenantId, value, subjectId) => {
+  const query = { tenant: tenantId, [sourcePath(source)]: value };
+  
+  if (source.key) {
+    return source.model.collection.updateMany(
+      query,
+      { $set: { [`${source.field}.$[item].${source.key}`]: subjectId } },
+      { arrayFilters: [{ [`item.${source.key}`]: value }] }
+    );
+  }
+  
+  if (source.array) {
+    return source.model.collection.updateMany(
+      query,
+      { $set: { [`${source.field}.$[item]`]: subjectId } },
+      { arrayFilters: [{ item: value }] }
+    );
+  }
+  
+  return source.model.collection.updateMany(query, { $set: { [source.field]: subjectId } });
+};
+
+module.exports = {
+  description: 'Create a subject catalogue per school and replace subject names with references',
+  
+  up: async () => {
+    const tenants = await Tenant.collection.find({}, { projection: { _id: 1 } }).toArray();
+    const result = { subjectsCreated: 0, valuesReplaced: 0, documentsUpdated: 0 };
+    
+    for (const tenant of tenants) {
+      const values = new Set();
+      for (const source of SOURCES) {
+        const found = await source.model.collection.distinct(sourcePath(source), { tenant: tenant._id });
+        found
+          .filter(value => typeof value === 'string' && value.trim() !== '')
+          .forEach(value => values.add(value));
+      }
+      
+      if (values.size === 0) {
+        continue;
+      }
+      
+      const existing = await Subject.find({ tenant: tenant._id });
+      const usedCodes = new Set(existing.map(subject => subject.code));
+      
+      for (const group of groupValues([...values])) {
+        const aliases = [...new Set(group.values.map(normalizeSubjectName))]
+          .filter(alias => alias !== group.name.toLowerCase());
+        
+        // Reuse a subject added by hand before the migration ran
+        let subject = existing.find(item => item.name.toLowerCase() === group.name.toLowerCase()
+          || aliases.some(alias => item.aliases.includes(alias)));
+        
+        if (!subject) {
+          const code = generateCode(group.known ? group.known.code : group.name, usedCodes);
+          
+          subject = await Subject.create({
+            tenant: tenant._id,
+            name: group.name,
+            code,
+            category: group.known ? group.known.category : 'academic',
+            aliases
+          });
+          existing.push(subject);
+          result.subjectsCreated++;
+        }
+        
+        for (const value of group.values) {
+          for (const source of SOURCES) {
+            const update = await replaceValue(source, tenant._id, value, subject._id);
+            result.documentsUpdated += update.modifiedCount;
+          }
+          result.valuesReplaced++;
+        }
+      }
+      
+      // Two spellings of one subject in the same list are now the same id
+      await Class.collection.updateMany(
+        { tenant: tenant._id },
+        [{ $set: { subjects: { $setUnion: [{ $ifNull: ['$subjects', []] }, []] } } }]
+      );
+      await User.collection.updateMany(
+        { tenant: tenant._id, 'teacherInfo.subjects.0': { $exists: true } },
+        [{ $set: { 'teacherInfo.subjects': { $setUnion: ['$teacherInfo.subjects', []] } } }]
+      );
+    }
+    
+    return result;
+  }
+};
\ No newline at end of file
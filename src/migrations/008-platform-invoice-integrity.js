@@ -0,0 +1,46 @@
+// src/migrations/008-platform-invoice-integrity.js
+const Counter = require('../models/Counter');
+const { PlatformInvoice } = require('../models/PlatformBilling');
+const { PLATFORM_BILLING } = require('../config/constants');
+
+module.exports = {
+  description: 'Seed invoice number counters and make invoice periods unique per school',
+  
+  up: async () => {
+    // Counters continue after the highest number already issued each year
+    const prefix = PLATFORM_BILLING.INVOICE_NUMBER_PREFIX;
+    const invoices = await PlatformInvoice.collection
+      .find({ invoiceNumber: { $regex: `^${prefix}\\d{4}\\d+$` } }, { projection: { invoiceNumber: 1 } })
+      .toArray();
+    
+    const highest = {};
+    invoices.forEach(({ invoiceNumber }) => {
+      const year = invoiceNumber.slice(prefix.length, prefix.length + 4);
+      const seq = parseInt(invoiceNumber.slice(prefix.length + 4), 10);
+      highest[year] = Math.max(highest[year] || 0, seq);
+    });
+    
+    for (const [year, seq] of Object.entries(highest)) {
+      await Counter.collection.updateOne(
+        { _id: `platformInvoice_${year}` },
+        { $max: { seq } },
+        { upsert: true }
+      );
+    }
+    
+    // Void invoices keep their voidedAt date; the rest are covered by the unique index
+    const backfill = await PlatformInvoice.collection.updateMany(
+      { voidedAt: { $exists: false } },
+      { $set: { voidedAt: null } }
+    );
+    
+    const indexes = await PlatformInvoice.collection.indexes();
+    const oldIndex = indexes.find(index => index.name === 'tenant_1_periodStart_1' && !index.unique);
+    if (oldIndex) {
+      await PlatformInvoice.collection.dropIndex('tenant_1_periodStart_1');
+    }
+    await PlatformInvoice.createIndexes();
+    
+    return { countersSeeded: Object.keys(highest).length, invoicesUpdated: backfill.modifiedCount };
+  }
+};
\ No newline at end of file
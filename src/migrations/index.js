@@ -0,0 +1,43 @@
+// src/migrations/index.js
+// Runs pending data migrations in file name order: npm run migrate
+// Applied migrations are recorded in the 'migrations' collection.
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const runMigrations = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const applied = mongoose.connection.collection('migrations');
+  
+  const files = fs.readdirSync(__dirname)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+  
+  for (const file of files) {
+    const name = path.basename(file, '.js');
+    
+    if (await applied.findOne({ name })) {
+      continue;
+    }
+    
+    const migration = require(path.join(__dirname, file));
+    console.log(`Running migration ${name}: ${migration.description}`);
+    
+    const result = await migration.up();
+    await applied.insertOne({ name, result, appliedAt: new Date() });
+    
+    console.log(`Migration ${name} done:`, result);
+  }
+};
+
+runMigrations()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    console.error(`Migration failed: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
\ No newline at end of file
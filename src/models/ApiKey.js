@@ -0,0 +1,146 @@
+// src/models/ApiKey.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { API_KEY, API_KEY_SCOPES } = require('../config/constants');
+const { hashToken } = require('../utils/passwordUtils');
+
+// Credential for third-party integrations (attendance machines, accounting
+// software). Only the sha256 of the key is stored; requests made with it act
+// as the admin who created it, limited to the key's scopes.
+const apiKeySchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // First characters of the key, shown so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: Object.keys(API_KEY_SCOPES),
+        message: 'Invalid scope: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+
+  // Requests allowed per rate limit window
+  rateLimit: {
+    type: Number,
+    default: API_KEY.DEFAULT_RATE_LIMIT,
+    min: [1, 'Rate limit must be at least 1'],
+    max: [API_KEY.MAX_RATE_LIMIT, `Rate limit cannot exceed ${API_KEY.MAX_RATE_LIMIT}`]
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Usage
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedIp: String,
+
+  lastUsedPath: String,
+
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiKeySchema.index({ tenant: 1, revokedAt: 1 });
+
+// Virtual to check if the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Generate a new key; the plain key is only available at creation
+apiKeySchema.statics.generateKey = function() {
+  const key = `${API_KEY.PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  
+  return {
+    key,
+    prefix: key.slice(0, API_KEY.PREFIX.length + 8),
+    keyHash: hashToken(key)
+  };
+};
+
+// Find a usable key from the plain value sent by a client
+apiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Permissions granted by the key's scopes
+apiKeySchema.methods.getScopePermissions = function() {
+  const permissions = new Set();
+  this.scopes.forEach(scope => {
+    (API_KEY_SCOPES[scope] || []).forEach(permission => permissions.add(permission));
+  });
+  return [...permissions];
+};
+
+// Include virtuals in JSON, never the key hash
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
\ No newline at end of file
@@ -1,6 +1,7 @@
 // src/models/Attendance.js
 const mongoose = require('mongoose');
 const { ATTENDANCE_STATUS } = require('../config/constants');
+const auditTrail = require('../utils/auditTrail');
 
 const attendanceSchema = new mongoose.Schema({
   tenant: {
@@ -79,4 +80,7 @@ attendanceSchema.statics.getAttendanceSummary = async function(studentId, startD
   return summary;
 };
 
+// Record changes in the audit log
+attendanceSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
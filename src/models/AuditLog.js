@@ -0,0 +1,102 @@
+// src/models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only record of changes to school data, written automatically by the
+// auditTrail plugin (see utils/auditTrail.js) for create, update and delete
+const auditLogSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  // Model name and id of the changed document
+  model: {
+    type: String,
+    required: true
+  },
+
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+
+  // Changed fields for updates
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  // Whole document for creates (after) and deletes (before)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+
+  // Who made the change
+  actorType: {
+    type: String,
+    enum: ['user', 'api_key', 'system'],
+    required: true
+  },
+
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+
+  // Super admin acting on the actor's account through support access
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Request details
+  method: String,
+  path: String,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ tenant: 1, createdAt: -1 });
+auditLogSchema.index({ tenant: 1, model: 1, documentId: 1, createdAt: -1 });
+auditLogSchema.index({ tenant: 1, actor: 1, createdAt: -1 });
+
+// Entries can only be added
+const preventChange = function() {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    preventChange();
+  }
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  preventChange
+);
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, preventChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
@@ -1,5 +1,7 @@
 // src/models/Class.js
 const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditTrail');
+const { getAcademicYear } = require('../utils/academicCalendar');
 
 const classSchema = new mongoose.Schema({
   // Multi-tenant reference
@@ -23,7 +25,7 @@ const classSchema = new mongoose.Schema({
     uppercase: true
   },
   
-  // Academic year
+  // Academic year (defaults to the school's current one, see pre-validate hook)
   academicYear: {
     type: String,
     required: [true, 'Academic year is required'],
@@ -46,9 +48,9 @@ const classSchema = new mongoose.Schema({
         required: [true, 'Subject teacher is required']
       },
       subject: {
-        type: String,
-        required: [true, 'Subject name is required'],
-        trim: true
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        required: [true, 'Subject is required']
       }
     }],
     validate: {
@@ -61,9 +63,8 @@ const classSchema = new mongoose.Schema({
   
   // Core subjects for this class (list of all subjects taught)
   subjects: [{
-    type: String,
-    required: true,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
   }],
   
   // Room/Location
@@ -109,11 +110,22 @@ classSchema.virtual('displayName').get(function() {
   return `${this.name} - ${this.section}`;
 });
 
+// Default to the school's current academic year
+classSchema.pre('validate', async function() {
+  if (!this.academicYear && this.tenant) {
+    const tenant = await mongoose.model('Tenant').findById(this.tenant._id || this.tenant)
+      .select('settings')
+      .session(this.$session());
+    this.academicYear = getAcademicYear(tenant).label;
+  }
+});
+
 // Pre-save hook to ensure subjects array matches subjectTeachers
 classSchema.pre('save', function(next) {
   if (this.subjectTeachers && this.subjectTeachers.length > 0) {
     // Extract unique subjects from subjectTeachers
-    this.subjects = [...new Set(this.subjectTeachers.map(st => st.subject))];
+    const subjectIds = this.subjectTeachers.map(st => st.subject.toString());
+    this.subjects = [...new Set(subjectIds)];
   }
   next();
 });
@@ -133,7 +145,7 @@ classSchema.methods.hasCapacity = async function() {
 };
 
 // Method to check if a teacher is assigned to this class
-classSchema.methods.hasTeacher = function(teacherId) {
+classSchema.methods.isAssignedTeacher = function(teacherId) {
   // Check if class teacher
   if (this.classTeacher && this.classTeacher.toString() === teacherId.toString()) {
     return true;
@@ -145,6 +157,26 @@ classSchema.methods.hasTeacher = function(teacherId) {
   );
 };
 
+// Method to check if a teacher can work with this class: assigned teachers always,
+// substitutes only on a calendar date (UTC midnight) they cover a lesson of the class
+classSchema.methods.hasTeacher = async function(teacherId, date = null) {
+  if (this.isAssignedTeacher(teacherId)) {
+    return true;
+  }
+  
+  if (!date) {
+    return false;
+  }
+  
+  const substitution = await mongoose.model('Substitution').exists({
+    tenant: this.tenant,
+    class: this._id,
+    date,
+    substitute: teacherId
+  });
+  return !!substitution;
+};
+
 // Method to get all teachers (class teacher + subject teachers)
 classSchema.methods.getAllTeachers = function() {
   const teachers = new Set();
@@ -165,4 +197,7 @@ classSchema.methods.getAllTeachers = function() {
 // Include virtuals in JSON
 classSchema.set('toJSON', { virtuals: true });
 
+// Record changes in the audit log
+classSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Class', classSchema);
\ No newline at end of file
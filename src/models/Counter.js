@@ -0,0 +1,29 @@
+// src/models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequences for numbers that must never repeat (invoice numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Next value of a sequence (atomic, so concurrent callers never share a value)
+counterSchema.statics.next = async function(name, { session = null } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
\ No newline at end of file
@@ -0,0 +1,112 @@
+// src/models/DeletionCertificate.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { TENANT_DELETION } = require('../config/constants');
+
+// Proof that a deleted school's data was permanently removed, written by the
+// tenant purge job. Kept after the tenant itself is gone, so it holds no references.
+const deletionCertificateSchema = new mongoose.Schema({
+  certificateNumber: {
+    type: String,
+    unique: true
+  },
+
+  // The purged school
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  tenantCode: {
+    type: String,
+    required: true
+  },
+
+  tenantName: {
+    type: String,
+    required: true
+  },
+
+  // Deletion request
+  deletedAt: Date,
+
+  deletedBy: mongoose.Schema.Types.ObjectId,
+
+  reason: String,
+
+  purgeAfter: Date,
+
+  // Purge
+  purgedAt: {
+    type: Date,
+    required: true
+  },
+
+  // Documents removed per collection
+  collections: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  totalDocuments: {
+    type: Number,
+    default: 0
+  },
+
+  files: {
+    deleted: { type: Number, default: 0 },
+    missing: { type: Number, default: 0 },
+    // Still referenced by another school (e.g. an imported copy), left in place
+    kept: { type: Number, default: 0 }
+  },
+
+  // sha256 of the certificate content, to detect later changes
+  checksum: String
+}, {
+  timestamps: true
+});
+
+deletionCertificateSchema.index({ tenantId: 1 });
+deletionCertificateSchema.index({ purgedAt: -1 });
+
+// Content covered by the checksum
+deletionCertificateSchema.methods.getContent = function() {
+  return JSON.stringify({
+    certificateNumber: this.certificateNumber,
+    tenantId: this.tenantId,
+    tenantCode: this.tenantCode,
+    tenantName: this.tenantName,
+    deletedAt: this.deletedAt,
+    deletedBy: this.deletedBy,
+    purgeAfter: this.purgeAfter,
+    purgedAt: this.purgedAt,
+    collections: this.collections,
+    totalDocuments: this.totalDocuments,
+    files: this.files
+  });
+};
+
+deletionCertificateSchema.methods.verify = function() {
+  return this.checksum === crypto.createHash('sha256').update(this.getContent()).digest('hex');
+};
+
+// Number and checksum the certificate when it is written
+deletionCertificateSchema.pre('save', async function() {
+  if (!this.isNew) {
+    throw new Error('Deletion certificates cannot be changed');
+  }
+  
+  const count = await this.constructor.countDocuments();
+  const year = this.purgedAt.getFullYear();
+  this.certificateNumber = `${TENANT_DELETION.CERTIFICATE_NUMBER_PREFIX}${year}${(count + 1).toString().padStart(6, '0')}`;
+  this.checksum = crypto.createHash('sha256').update(this.getContent()).digest('hex');
+});
+
+deletionCertificateSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function() {
+    throw new Error('Deletion certificates cannot be changed or deleted');
+  }
+);
+
+module.exports = mongoose.model('DeletionCertificate', deletionCertificateSchema);
\ No newline at end of file
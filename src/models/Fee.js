@@ -1,6 +1,7 @@
 // src/models/Fee.js
 const mongoose = require('mongoose');
 const { FEE_STATUS } = require('../config/constants');
+const auditTrail = require('../utils/auditTrail');
 
 // Fee Structure Schema - defines fee types and amounts
 const feeStructureSchema = new mongoose.Schema({
@@ -166,16 +167,20 @@ const feePaymentSchema = new mongoose.Schema({
   
   transactionId: String,
   
-  receiptNumber: {
-    type: String,
-    unique: true
-  },
+  // Unique per tenant (see index below)
+  receiptNumber: String,
   
   collectedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   
+  // Guardian who reported an online payment (pending until the school confirms it)
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   remarks: String,
   
   status: {
@@ -252,6 +257,11 @@ feeAssignmentSchema.methods.updateStatus = function() {
     }
   }
 };
+// Record changes in the audit log
+feeStructureSchema.plugin(auditTrail);
+feeAssignmentSchema.plugin(auditTrail);
+feePaymentSchema.plugin(auditTrail);
+
 // Create models
 const FeeStructure = mongoose.model('FeeStructure', feeStructureSchema);
 const FeeAssignment = mongoose.model('FeeAssignment', feeAssignmentSchema);
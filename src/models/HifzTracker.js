@@ -1,5 +1,6 @@
 // src/models/HifzTracker.js
 const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditTrail');
 
 const hifzTrackerSchema = new mongoose.Schema({
   tenant: {
@@ -174,4 +175,7 @@ hifzTrackerSchema.virtual('isSignedByTeacher').get(function() {
 // Include virtuals in JSON
 hifzTrackerSchema.set('toJSON', { virtuals: true });
 
+// Record changes in the audit log
+hifzTrackerSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('HifzTracker', hifzTrackerSchema);
\ No newline at end of file
@@ -0,0 +1,85 @@
+// src/models/Impersonation.js
+const mongoose = require('mongoose');
+const { IMPERSONATION } = require('../config/constants');
+
+// A super admin acting as a tenant user (support access).
+// Visible to the impersonated user; every request is kept in ImpersonationLog.
+const impersonationSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  // User being impersonated
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Super admin doing the impersonation
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for accessing this account'],
+    trim: true,
+    maxlength: IMPERSONATION.MAX_REASON_LENGTH
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  endedReason: {
+    type: String,
+    enum: ['logout', 'ended_by_actor', null],
+    default: null
+  },
+
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastRequestAt: Date,
+
+  // Client details of the super admin
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+impersonationSchema.index({ user: 1, createdAt: -1 });
+impersonationSchema.index({ actor: 1, createdAt: -1 });
+impersonationSchema.index({ tenant: 1, createdAt: -1 });
+
+// Virtual to check if the impersonation token can still be used
+impersonationSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// End this impersonation
+impersonationSchema.methods.end = async function(reason = 'logout') {
+  this.endedAt = new Date();
+  this.endedReason = reason;
+  await this.save();
+};
+
+// Include virtuals in JSON
+impersonationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
\ No newline at end of file
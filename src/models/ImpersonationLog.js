@@ -0,0 +1,53 @@
+// src/models/ImpersonationLog.js
+const mongoose = require('mongoose');
+
+// One entry per request made with an impersonation token
+const impersonationLogSchema = new mongoose.Schema({
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation',
+    required: true
+  },
+
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  // Impersonated user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Real actor (super admin)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  method: String,
+
+  path: String,
+
+  statusCode: Number,
+
+  // Request was refused because the action is not allowed while impersonating
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+impersonationLogSchema.index({ impersonation: 1, createdAt: 1 });
+impersonationLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImpersonationLog', impersonationLogSchema);
\ No newline at end of file
@@ -1,6 +1,7 @@
 // src/models/Leave.js
 const mongoose = require('mongoose');
 const { LEAVE_STATUS } = require('../config/constants');
+const auditTrail = require('../utils/auditTrail');
 
 const leaveSchema = new mongoose.Schema({
   tenant: {
@@ -94,4 +95,7 @@ leaveSchema.pre('save', function(next) {
 // Include virtuals in JSON
 leaveSchema.set('toJSON', { virtuals: true });
 
+// Record changes in the audit log
+leaveSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Leave', leaveSchema);
\ No newline at end of file
@@ -0,0 +1,77 @@
+// src/models/LoginAttempt.js
+const mongoose = require('mongoose');
+const { LOGIN_PROTECTION, SECURITY_EVENTS } = require('../config/constants');
+
+// Failed login attempts, kept for the IP window only
+const loginAttemptSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  // Null when the email does not match any user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  email: {
+    type: String,
+    lowercase: true
+  },
+
+  ipAddress: String,
+
+  userAgent: String,
+
+  reason: {
+    type: String,
+    enum: ['unknown_user', 'wrong_password', 'wrong_two_factor_code', 'account_locked', 'too_fast'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loginAttemptSchema.index({ tenant: 1, ipAddress: 1, createdAt: -1 });
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_PROTECTION.IP_WINDOW_MINUTES * 60 }
+);
+
+// Static method to count recent failures from an IP within one tenant
+loginAttemptSchema.statics.countRecentFailures = function(tenantId, ipAddress) {
+  const windowStart = new Date(Date.now() - LOGIN_PROTECTION.IP_WINDOW_MINUTES * 60 * 1000);
+  return this.countDocuments({
+    tenant: tenantId,
+    ipAddress,
+    createdAt: { $gte: windowStart }
+  });
+};
+
+// Static method to record a failed attempt and flag IPs that reach the limit
+loginAttemptSchema.statics.recordFailure = async function(req, tenant, email, user, reason) {
+  await this.create({
+    tenant: tenant._id,
+    user: user ? user._id : null,
+    email,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    reason
+  });
+  
+  const recentIpFailures = await this.countRecentFailures(tenant._id, req.ip);
+  if (recentIpFailures === LOGIN_PROTECTION.MAX_FAILED_PER_IP) {
+    const SecurityEvent = mongoose.model('SecurityEvent');
+    await SecurityEvent.record(SECURITY_EVENTS.IP_BLOCKED, {
+      tenant: tenant._id,
+      req,
+      details: { windowMinutes: LOGIN_PROTECTION.IP_WINDOW_MINUTES }
+    });
+  }
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
\ No newline at end of file
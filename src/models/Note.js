@@ -20,7 +20,8 @@ const noteSchema = new mongoose.Schema({
   },
   
   subject: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
     required: [true, 'Subject is required']
   },
   
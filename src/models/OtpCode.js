@@ -0,0 +1,76 @@
+// src/models/OtpCode.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { OTP } = require('../config/constants');
+
+const otpCodeSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  phone: {
+    type: String,
+    required: true
+  },
+
+  // User the code was issued for (null when the phone is unknown)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  codeHash: {
+    type: String,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+otpCodeSchema.index({ tenant: 1, phone: 1, createdAt: -1 });
+otpCodeSchema.index({ ipAddress: 1, createdAt: -1 });
+// Keep records for the rate-limit window, then let MongoDB remove them
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: OTP.WINDOW_MINUTES * 60 });
+
+// Hash code before saving
+otpCodeSchema.methods.setCode = async function(code) {
+  this.codeHash = await bcrypt.hash(code, 10);
+};
+
+// Check code
+otpCodeSchema.methods.matchCode = async function(code) {
+  if (!this.codeHash) {
+    return false;
+  }
+  return await bcrypt.compare(String(code), this.codeHash);
+};
+
+// Virtual to check if code can still be used
+otpCodeSchema.virtual('isUsable').get(function() {
+  return !this.consumedAt &&
+         this.expiresAt > new Date() &&
+         this.attempts < OTP.MAX_ATTEMPTS;
+});
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
\ No newline at end of file
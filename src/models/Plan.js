@@ -0,0 +1,120 @@
+// src/models/Plan.js
+const mongoose = require('mongoose');
+const { SUBSCRIPTION_PLANS, FEATURES, DEFAULT_PLANS } = require('../config/constants');
+
+// Entitlements of a subscription plan. Super admins can change them at
+// runtime; a plan without a stored document uses DEFAULT_PLANS.
+const planSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    enum: Object.values(SUBSCRIPTION_PLANS),
+    required: true,
+    unique: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [50, 'Plan name cannot exceed 50 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  // Modules included in the plan
+  features: [{
+    type: String,
+    enum: {
+      values: Object.values(FEATURES),
+      message: 'Invalid feature: {VALUE}'
+    }
+  }],
+
+  // Limits (a tenant's own subscription.maxStudents / maxTeachers take precedence)
+  quotas: {
+    maxStudents: {
+      type: Number,
+      min: 0,
+      required: true
+    },
+    maxTeachers: {
+      type: Number,
+      min: 0,
+      required: true
+    }
+  },
+
+  // Price per billing cycle; per-student price is charged per month
+  pricing: {
+    monthlyPrice: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    yearlyPrice: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    pricePerStudent: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Plans are read on every gated request, so keep them in memory for a short while
+const CACHE_TTL = 60 * 1000; // 1 minute
+let cache = null;
+
+// All plans by code, stored entitlements over the defaults
+planSchema.statics.getCatalogue = async function() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.plans;
+  }
+  
+  const stored = await this.find().lean();
+  const plans = {};
+  
+  Object.values(SUBSCRIPTION_PLANS).forEach(code => {
+    const plan = stored.find(p => p.code === code);
+    plans[code] = plan
+      ? {
+        code,
+        name: plan.name,
+        description: plan.description,
+        features: plan.features,
+        quotas: plan.quotas,
+        pricing: plan.pricing || DEFAULT_PLANS[code].pricing
+      }
+      : { code, ...DEFAULT_PLANS[code] };
+  });
+  
+  cache = { plans, loadedAt: Date.now() };
+  return plans;
+};
+
+// Single plan by code (unknown codes fall back to basic)
+planSchema.statics.getPlan = async function(code) {
+  const plans = await this.getCatalogue();
+  return plans[code] || plans[SUBSCRIPTION_PLANS.BASIC];
+};
+
+// Forget cached plans after a change
+planSchema.statics.clearCache = function() {
+  cache = null;
+};
+
+module.exports = mongoose.model('Plan', planSchema);
\ No newline at end of file
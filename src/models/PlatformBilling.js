@@ -0,0 +1,245 @@
+// src/models/PlatformBilling.js
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const {
+  SUBSCRIPTION_PLANS,
+  BILLING_CYCLES,
+  PLATFORM_BILLING,
+  INVOICE_STATUS,
+  PLATFORM_PAYMENT_METHODS
+} = require('../config/constants');
+
+// Platform invoice - what a school owes for its subscription
+const platformInvoiceSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  
+  invoiceNumber: {
+    type: String,
+    unique: true
+  },
+  
+  plan: {
+    type: String,
+    enum: Object.values(SUBSCRIPTION_PLANS),
+    required: true
+  },
+  
+  billingCycle: {
+    type: String,
+    enum: Object.keys(BILLING_CYCLES),
+    required: true
+  },
+  
+  // Subscription period paid for by this invoice
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  
+  lineItems: [{
+    _id: false,
+    description: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  taxPercent: {
+    type: Number,
+    default: PLATFORM_BILLING.TAX_PERCENT,
+    min: 0
+  },
+  
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  
+  currency: {
+    type: String,
+    default: PLATFORM_BILLING.CURRENCY
+  },
+  
+  status: {
+    type: String,
+    enum: Object.values(INVOICE_STATUS),
+    default: INVOICE_STATUS.ISSUED
+  },
+  
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  
+  paidAt: Date,
+  
+  // Stays null until voided; the unique period index only covers null
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  
+  voidReason: String,
+  
+  notes: String,
+  
+  // Super admin who created it (null when generated by the billing job)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Platform payment - money received from a school against an invoice
+const platformPaymentSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlatformInvoice',
+    required: true
+  },
+  
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be positive']
+  },
+  
+  paymentMethod: {
+    type: String,
+    required: true,
+    enum: PLATFORM_PAYMENT_METHODS
+  },
+  
+  reference: String,
+  
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  notes: String,
+  
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// One live invoice per school and period (void invoices are left out)
+platformInvoiceSchema.index(
+  { tenant: 1, periodStart: 1 },
+  { unique: true, partialFilterExpression: { voidedAt: { $type: 'null' } } }
+);
+platformInvoiceSchema.index({ status: 1, dueDate: 1 });
+platformPaymentSchema.index({ tenant: 1, paidAt: -1 });
+platformPaymentSchema.index({ invoice: 1 });
+
+// Virtual for the amount still owed
+platformInvoiceSchema.virtual('balance').get(function() {
+  if (this.status === INVOICE_STATUS.VOID) {
+    return 0;
+  }
+  return Math.max(this.total - this.amountPaid, 0);
+});
+
+// Pre-save hooks
+platformInvoiceSchema.pre('save', async function(next) {
+  if (this.isNew && !this.invoiceNumber) {
+    const year = new Date().getFullYear();
+    const seq = await Counter.next(`platformInvoice_${year}`, { session: this.$session() });
+    this.invoiceNumber = `${PLATFORM_BILLING.INVOICE_NUMBER_PREFIX}${year}${seq.toString().padStart(6, '0')}`;
+  }
+  next();
+});
+
+// Instance methods
+// Work out the status from payments and the due date (void invoices stay void)
+platformInvoiceSchema.methods.updateStatus = function(now = new Date()) {
+  if (this.status === INVOICE_STATUS.VOID) {
+    return;
+  }
+  
+  if (this.amountPaid >= this.total) {
+    this.status = INVOICE_STATUS.PAID;
+    this.paidAt = this.paidAt || now;
+  } else if (this.dueDate < now) {
+    this.status = INVOICE_STATUS.OVERDUE;
+  } else if (this.amountPaid > 0) {
+    this.status = INVOICE_STATUS.PARTIALLY_PAID;
+  } else {
+    this.status = INVOICE_STATUS.ISSUED;
+  }
+};
+
+// Include virtuals in JSON
+platformInvoiceSchema.set('toJSON', { virtuals: true });
+
+// Create models
+const PlatformInvoice = mongoose.model('PlatformInvoice', platformInvoiceSchema);
+const PlatformPayment = mongoose.model('PlatformPayment', platformPaymentSchema);
+
+module.exports = {
+  PlatformInvoice,
+  PlatformPayment
+};
\ No newline at end of file
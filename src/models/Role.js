@@ -0,0 +1,51 @@
+// src/models/Role.js
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/constants');
+
+// Tenant-defined role bundling permissions (e.g. "Hifz coordinator").
+// Assigned to users through User.customRole on top of their built-in role.
+const roleSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  permissions: [{
+    type: String,
+    enum: {
+      values: Object.values(PERMISSIONS),
+      message: 'Invalid permission: {VALUE}'
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roleSchema.index({ tenant: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
\ No newline at end of file
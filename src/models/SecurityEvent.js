@@ -0,0 +1,63 @@
+// src/models/SecurityEvent.js
+const mongoose = require('mongoose');
+const { SECURITY_EVENTS } = require('../config/constants');
+
+// Security-relevant events (lockouts, unlocks, ...) kept for review
+const securityEventSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: Object.values(SECURITY_EVENTS),
+    required: true
+  },
+
+  // User the event is about
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // User who triggered the event (e.g. admin who unlocked)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  ipAddress: String,
+
+  userAgent: String,
+
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+securityEventSchema.index({ tenant: 1, createdAt: -1 });
+securityEventSchema.index({ tenant: 1, user: 1, createdAt: -1 });
+securityEventSchema.index({ tenant: 1, type: 1, createdAt: -1 });
+
+// Static method to record an event from a request
+securityEventSchema.statics.record = function(type, { tenant, user, actor, req, details } = {}) {
+  return this.create({
+    tenant,
+    type,
+    user: user || null,
+    actor: actor || null,
+    ipAddress: req ? req.ip : undefined,
+    userAgent: req ? req.headers['user-agent'] : undefined,
+    details: details || {}
+  });
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
\ No newline at end of file
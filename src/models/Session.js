@@ -0,0 +1,116 @@
+// src/models/Session.js
+const mongoose = require('mongoose');
+
+// One session per login. Holds the hash of the current refresh token;
+// rotating the refresh token replaces the hash on the same session.
+const sessionSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // sha256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Client details
+  ipAddress: String,
+  userAgent: String,
+  
+  // Device details reported by the app when it registers for push notifications
+  deviceName: String,
+  
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web', null],
+    default: null
+  },
+
+  // Number of times the refresh token was rotated
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'password_change', 'password_reset', 'user_deactivated', 'tenant_deleted', 'reuse_detected', 'admin_revoked', 'user_revoked', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ tenant: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Sessions shown to the user (not revoked, not expired)
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort('-lastUsedAt');
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+// Revoke every active session of a user (optionally keeping one)
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Revoke every active session of a tenant
+sessionSchema.statics.revokeAllForTenant = function(tenantId, reason) {
+  return this.updateMany(
+    { tenant: tenantId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Include virtuals in JSON
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -1,5 +1,35 @@
 // src/models/Student.js
 const mongoose = require('mongoose');
+const { GUARDIAN_RELATIONSHIPS, GUARDIAN_RIGHTS } = require('../config/constants');
+const auditTrail = require('../utils/auditTrail');
+
+// A parent account linked to the student, with what they may do for the child
+const guardianSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  relationship: {
+    type: String,
+    enum: Object.values(GUARDIAN_RELATIONSHIPS),
+    default: GUARDIAN_RELATIONSHIPS.GUARDIAN
+  },
+  
+  // Primary contact - mirrored into Student.parent
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  
+  rights: {
+    [GUARDIAN_RIGHTS.VIEW_FEES]: { type: Boolean, default: true },
+    [GUARDIAN_RIGHTS.PAY_FEES]: { type: Boolean, default: true },
+    [GUARDIAN_RIGHTS.APPLY_LEAVE]: { type: Boolean, default: true },
+    [GUARDIAN_RIGHTS.ACKNOWLEDGE_HIFZ]: { type: Boolean, default: true }
+  }
+}, { _id: false });
 
 const studentSchema = new mongoose.Schema({
   // Multi-tenant reference
@@ -80,13 +110,16 @@ const studentSchema = new mongoose.Schema({
     required: [true, 'Admission number is required']
   },
   
-  // Parent Information
+  // Parent Information (primary guardian, kept in sync with guardians)
   parent: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Parent is required']
   },
   
+  // All parent accounts that can log in for this student
+  guardians: [guardianSchema],
+  
   // Emergency Contact
   emergencyContact: {
     name: String,
@@ -148,6 +181,7 @@ studentSchema.index({ tenant: 1, studentId: 1 }, { unique: true });
 studentSchema.index({ tenant: 1, admissionNumber: 1 }, { unique: true });
 studentSchema.index({ tenant: 1, class: 1, rollNumber: 1 }, { unique: true });
 studentSchema.index({ tenant: 1, parent: 1 });
+studentSchema.index({ tenant: 1, 'guardians.user': 1 });
 studentSchema.index({ tenant: 1, isActive: 1 });
 
 // Virtual for full name
@@ -192,9 +226,46 @@ studentSchema.methods.getAttendancePercentage = async function(startDate, endDat
   return totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
 };
 
+// Get guardian entry for a user
+studentSchema.methods.getGuardian = function(userId) {
+  return this.guardians.find(guardian => 
+    (guardian.user._id || guardian.user).toString() === userId.toString()
+  );
+};
+
+// Check if a user is a guardian with the given right
+studentSchema.methods.guardianHasRight = function(userId, right) {
+  const guardian = this.getGuardian(userId);
+  return !!(guardian && guardian.rights && guardian.rights[right]);
+};
+
+// Query condition for students a user is guardian of (optionally with a right)
+studentSchema.statics.guardianFilter = function(userId, right) {
+  const match = { user: userId };
+  if (right) match[`rights.${right}`] = true;
+  return { guardians: { $elemMatch: match } };
+};
+
 // Include virtuals in JSON
 studentSchema.set('toJSON', { virtuals: true });
 
+// Keep guardians and parent in sync: a student created with only a parent gets
+// that parent as primary guardian, and parent always points at the primary guardian
+studentSchema.pre('validate', function(next) {
+  if (this.guardians.length === 0 && this.parent) {
+    this.guardians.push({ user: this.parent, isPrimary: true });
+  }
+  
+  const primary = this.guardians.find(guardian => guardian.isPrimary) || this.guardians[0];
+  if (primary) {
+    this.guardians.forEach(guardian => {
+      guardian.isPrimary = guardian === primary;
+    });
+    this.parent = primary.user._id || primary.user;
+  }
+  next();
+});
+
 // Pre-save hook to generate student ID if not provided
 studentSchema.pre('save', async function(next) {
   if (this.isNew && !this.studentId) {
@@ -205,4 +276,7 @@ studentSchema.pre('save', async function(next) {
   next();
 });
 
+// Record changes in the audit log
+studentSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
@@ -0,0 +1,98 @@
+// src/models/Subject.js
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditTrail');
+const { SUBJECT } = require('../config/constants');
+
+// Subject catalogue of a school. Classes, teachers, homework, notes and
+// timetables refer to subjects by id so spellings cannot drift apart.
+const subjectSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant is required']
+  },
+  
+  name: {
+    type: String,
+    required: [true, 'Subject name is required'],
+    trim: true
+  },
+  
+  // Short code shown in timetables and reports ("MATH")
+  code: {
+    type: String,
+    required: [true, 'Subject code is required'],
+    trim: true,
+    uppercase: true,
+    match: [SUBJECT.CODE_PATTERN, 'Code must be 2-10 letters, digits or hyphens']
+  },
+  
+  category: {
+    type: String,
+    enum: SUBJECT.CATEGORIES,
+    default: 'academic'
+  },
+  
+  // Class names (grades) the subject is taught in; empty means every grade
+  grades: [{
+    type: String,
+    trim: true
+  }],
+  
+  // Other spellings accepted for this subject ("maths", "mathematics")
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  
+  description: String,
+  
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+subjectSchema.index({ tenant: 1, code: 1 }, { unique: true });
+subjectSchema.index({ tenant: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+subjectSchema.index({ tenant: 1, aliases: 1 });
+
+// Check if the subject can be taught in a class (by class name)
+subjectSchema.methods.isForGrade = function(className) {
+  if (this.grades.length === 0) {
+    return true;
+  }
+  
+  const name = className.trim().toLowerCase();
+  return this.grades.some(grade => grade.toLowerCase() === name);
+};
+
+// Where the subject is still referenced, by collection
+subjectSchema.methods.getUsage = async function() {
+  const query = { tenant: this.tenant };
+  
+  const [classes, teachers, homework, notes, timetables, substitutions] = await Promise.all([
+    mongoose.model('Class').countDocuments({ ...query, 'subjectTeachers.subject': this._id }),
+    mongoose.model('User').countDocuments({ ...query, 'teacherInfo.subjects': this._id }),
+    mongoose.model('Homework').countDocuments({ ...query, subject: this._id }),
+    mongoose.model('Note').countDocuments({ ...query, subject: this._id }),
+    mongoose.model('Timetable').countDocuments({ ...query, 'slots.subject': this._id }),
+    mongoose.model('Substitution').countDocuments({ ...query, subject: this._id })
+  ]);
+  
+  const usage = { classes, teachers, homework, notes, timetables, substitutions };
+  usage.total = Object.values(usage).reduce((sum, count) => sum + count, 0);
+  return usage;
+};
+
+// Include virtuals in JSON
+subjectSchema.set('toJSON', { virtuals: true });
+
+// Record changes in the audit log
+subjectSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Subject', subjectSchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+// src/models/SubscriptionEvent.js
+const mongoose = require('mongoose');
+const { SUBSCRIPTION_EVENTS, SUBSCRIPTION_STATUS } = require('../config/constants');
+
+// History of a school's subscription: warnings, state changes, extensions and renewals
+const subscriptionEventSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: Object.values(SUBSCRIPTION_EVENTS),
+    required: true
+  },
+
+  fromStatus: {
+    type: String,
+    enum: [...Object.values(SUBSCRIPTION_STATUS), null],
+    default: null
+  },
+
+  toStatus: {
+    type: String,
+    enum: [...Object.values(SUBSCRIPTION_STATUS), null],
+    default: null
+  },
+
+  previousEndDate: Date,
+
+  newEndDate: Date,
+
+  // Super admin who made the change (null for the daily job)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+subscriptionEventSchema.index({ tenant: 1, createdAt: -1 });
+
+// Static method to record an event for a tenant
+subscriptionEventSchema.statics.record = function(type, tenant, { fromStatus, toStatus, previousEndDate, actor, details } = {}) {
+  return this.create({
+    tenant: tenant._id,
+    type,
+    fromStatus: fromStatus || null,
+    toStatus: toStatus || null,
+    previousEndDate,
+    newEndDate: tenant.subscription.endDate,
+    actor: actor || null,
+    details: details || {}
+  });
+};
+
+module.exports = mongoose.model('SubscriptionEvent', subscriptionEventSchema);
\ No newline at end of file
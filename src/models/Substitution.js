@@ -0,0 +1,149 @@
+// src/models/Substitution.js
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditTrail');
+const { SUBSTITUTION, TIMETABLE } = require('../config/constants');
+
+// Teacher away from school (dates are calendar dates at UTC midnight, both inclusive)
+const teacherAbsenceSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher is required']
+  },
+  
+  fromDate: {
+    type: Date,
+    required: [true, 'From date is required']
+  },
+  
+  toDate: {
+    type: Date,
+    required: [true, 'To date is required']
+  },
+  
+  type: {
+    type: String,
+    enum: SUBSTITUTION.ABSENCE_TYPES,
+    default: 'personal'
+  },
+  
+  reason: {
+    type: String,
+    trim: true
+  },
+  
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One lesson of an absent teacher covered by another teacher
+const substitutionSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  
+  // Calendar date (UTC midnight) and its day name
+  date: {
+    type: Date,
+    required: true
+  },
+  
+  day: {
+    type: String,
+    enum: TIMETABLE.DAYS,
+    required: true
+  },
+  
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  
+  period: {
+    type: Number,
+    required: true
+  },
+  
+  startTime: String,
+  
+  endTime: String,
+  
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  
+  absentTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  absence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeacherAbsence'
+  },
+  
+  substitute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Substitute teacher is required']
+  },
+  
+  // Substitute teaches the subject (teacherInfo.subjects)
+  qualified: {
+    type: Boolean,
+    default: false
+  },
+  
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+teacherAbsenceSchema.index({ tenant: 1, fromDate: 1, toDate: 1 });
+teacherAbsenceSchema.index({ tenant: 1, teacher: 1, fromDate: -1 });
+substitutionSchema.index({ tenant: 1, date: 1, class: 1, period: 1 }, { unique: true });
+substitutionSchema.index({ tenant: 1, substitute: 1, date: 1 });
+substitutionSchema.index({ absence: 1 });
+
+// Absences covering a calendar date
+teacherAbsenceSchema.statics.findOnDate = function(tenantId, date) {
+  return this.find({
+    tenant: tenantId,
+    fromDate: { $lte: date },
+    toDate: { $gte: date }
+  });
+};
+
+// Record changes in the audit log
+teacherAbsenceSchema.plugin(auditTrail);
+substitutionSchema.plugin(auditTrail);
+
+const TeacherAbsence = mongoose.model('TeacherAbsence', teacherAbsenceSchema);
+const Substitution = mongoose.model('Substitution', substitutionSchema);
+
+module.exports = {
+  TeacherAbsence,
+  Substitution
+};
\ No newline at end of file
@@ -1,5 +1,16 @@
 // src/models/Tenant.js
 const mongoose = require('mongoose');
+const {
+  DEFAULT_PASSWORD_POLICY,
+  PASSWORD_POLICY_LIMITS,
+  SUBSCRIPTION_PLANS,
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_LIFECYCLE,
+  BILLING_CYCLES,
+  ACADEMIC_CALENDAR,
+  TIMETABLE
+} = require('../config/constants');
+const { isValidTimeZone } = require('../utils/academicCalendar');
 
 const tenantSchema = new mongoose.Schema({
   // School/Institution name
@@ -33,6 +44,16 @@ const tenantSchema = new mongoose.Schema({
     required: [true, 'Phone number is required']
   },
   
+  // Custom domains the school's app is served from (e.g. portal.school.org)
+  customDomains: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    default: []
+  },
+  
   address: {
     street: String,
     city: String,
@@ -48,8 +69,8 @@ const tenantSchema = new mongoose.Schema({
   subscription: {
     plan: {
       type: String,
-      enum: ['basic', 'standard', 'premium'],
-      default: 'basic'
+      enum: Object.values(SUBSCRIPTION_PLANS),
+      default: SUBSCRIPTION_PLANS.BASIC
     },
     startDate: {
       type: Date,
@@ -60,13 +81,41 @@ const tenantSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // How often the school is invoiced (see BILLING_CYCLES)
+    billingCycle: {
+      type: String,
+      enum: Object.keys(BILLING_CYCLES),
+      default: 'yearly'
+    },
+    // Lifecycle state, moved on by the daily subscription job
+    status: {
+      type: String,
+      enum: Object.values(SUBSCRIPTION_STATUS),
+      default: SUBSCRIPTION_STATUS.ACTIVE
+    },
+    graceEndsAt: {
+      type: Date,
+      default: null
+    },
+    suspendedAt: {
+      type: Date,
+      default: null
+    },
+    // Days-before-expiry warnings already sent for the current end date
+    expiryWarningsSent: {
+      type: [Number],
+      default: []
+    },
+    // Limits for this school only; null uses the plan's quota
     maxStudents: {
       type: Number,
-      default: 100
+      min: 0,
+      default: null
     },
     maxTeachers: {
       type: Number,
-      default: 10
+      min: 0,
+      default: null
     }
   },
   
@@ -78,25 +127,99 @@ const tenantSchema = new mongoose.Schema({
   
   // Settings
   settings: {
+    // Months (1-12) of the academic year, see utils/academicCalendar
     academicYearStart: {
       type: Number,
-      default: 4 // April
+      min: 1,
+      max: 12,
+      default: ACADEMIC_CALENDAR.DEFAULT_START_MONTH
     },
     academicYearEnd: {
       type: Number,
-      default: 3 // March
+      min: 1,
+      max: 12,
+      default: ACADEMIC_CALENDAR.DEFAULT_END_MONTH
+    },
+    termsPerYear: {
+      type: Number,
+      min: 1,
+      max: ACADEMIC_CALENDAR.MAX_TERMS_PER_YEAR,
+      default: ACADEMIC_CALENDAR.DEFAULT_TERMS_PER_YEAR
     },
     workingDays: {
       type: [String],
-      default: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+      default: TIMETABLE.DEFAULT_WORKING_DAYS,
+      validate: {
+        validator: function(days) {
+          return days.length > 0
+            && new Set(days).size === days.length
+            && days.every(day => TIMETABLE.DAYS.includes(day));
+        },
+        message: `Working days must be distinct day names (${TIMETABLE.DAYS.join(', ')})`
+      }
     },
     timeZone: {
       type: String,
-      default: 'Asia/Kolkata'
+      default: ACADEMIC_CALENDAR.DEFAULT_TIME_ZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid time zone: {VALUE}'
+      }
     },
     currency: {
       type: String,
       default: 'INR'
+    },
+    // Allow users to log in before verifying their email
+    allowUnverifiedLogin: {
+      type: Boolean,
+      default: true
+    },
+    // Admins must use two-factor authentication (set by super admins)
+    requireTwoFactorForAdmins: {
+      type: Boolean,
+      default: false
+    },
+    // Password rules for the school's users (see DEFAULT_PASSWORD_POLICY)
+    passwordPolicy: {
+      minLength: {
+        type: Number,
+        min: PASSWORD_POLICY_LIMITS.MIN_LENGTH,
+        max: PASSWORD_POLICY_LIMITS.MAX_LENGTH,
+        default: DEFAULT_PASSWORD_POLICY.minLength
+      },
+      requireUppercase: {
+        type: Boolean,
+        default: DEFAULT_PASSWORD_POLICY.requireUppercase
+      },
+      requireLowercase: {
+        type: Boolean,
+        default: DEFAULT_PASSWORD_POLICY.requireLowercase
+      },
+      requireNumber: {
+        type: Boolean,
+        default: DEFAULT_PASSWORD_POLICY.requireNumber
+      },
+      requireSymbol: {
+        type: Boolean,
+        default: DEFAULT_PASSWORD_POLICY.requireSymbol
+      },
+      expiryDays: {
+        type: Number,
+        min: 0,
+        max: PASSWORD_POLICY_LIMITS.MAX_EXPIRY_DAYS,
+        default: DEFAULT_PASSWORD_POLICY.expiryDays
+      },
+      historyCount: {
+        type: Number,
+        min: 0,
+        max: PASSWORD_POLICY_LIMITS.MAX_HISTORY,
+        default: DEFAULT_PASSWORD_POLICY.historyCount
+      },
+      forceChangeOnFirstLogin: {
+        type: Boolean,
+        default: DEFAULT_PASSWORD_POLICY.forceChangeOnFirstLogin
+      }
     }
   },
   
@@ -115,6 +238,25 @@ const tenantSchema = new mongoose.Schema({
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  
+  // Set by deleteTenant; the school can be restored until the purge job runs
+  deletion: {
+    deletedAt: Date,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    purgeAfter: Date,
+    purgeStartedAt: Date,
+    // State to bring back on restore
+    wasActive: Boolean,
+    deactivatedUsers: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: undefined,
+      select: false
+    }
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
@@ -123,15 +265,88 @@ const tenantSchema = new mongoose.Schema({
 // Indexes for better query performance
 tenantSchema.index({ code: 1 });
 tenantSchema.index({ isActive: 1 });
+tenantSchema.index({ customDomains: 1 }, { unique: true, partialFilterExpression: { 'customDomains.0': { $exists: true } } });
+tenantSchema.index({ isDeleted: 1, 'deletion.purgeAfter': 1 });
 
 // Instance methods
+// Entitlements of the tenant's subscription plan
+tenantSchema.methods.getPlan = function() {
+  return mongoose.model('Plan').getPlan(this.subscription && this.subscription.plan);
+};
+
+// Check if the plan includes a module (the super admin tenant has everything)
+tenantSchema.methods.hasFeature = async function(feature) {
+  if (this.isSuperAdmin) {
+    return true;
+  }
+  
+  const plan = await this.getPlan();
+  return plan.features.includes(feature);
+};
+
+// Limit for this school: its own override, otherwise the plan's quota
+tenantSchema.methods.getQuota = async function(quota) {
+  const override = this.subscription && this.subscription[quota];
+  if (override !== null && override !== undefined) {
+    return override;
+  }
+  
+  const plan = await this.getPlan();
+  return plan.quotas[quota];
+};
+
+// Current subscription state. Worked out from the dates as well, so an expired
+// school is read-only even before the daily job has recorded it.
+tenantSchema.methods.getSubscriptionStatus = function(now = new Date()) {
+  const subscription = this.subscription || {};
+  
+  if (this.isSuperAdmin) {
+    return SUBSCRIPTION_STATUS.ACTIVE;
+  }
+  
+  if (subscription.status === SUBSCRIPTION_STATUS.SUSPENDED || subscription.isActive === false) {
+    return SUBSCRIPTION_STATUS.SUSPENDED;
+  }
+  
+  if (!subscription.endDate || subscription.endDate > now) {
+    return SUBSCRIPTION_STATUS.ACTIVE;
+  }
+  
+  return this.getGraceEndDate() > now ? SUBSCRIPTION_STATUS.GRACE : SUBSCRIPTION_STATUS.SUSPENDED;
+};
+
+// End of the read-only period after the subscription end date
+tenantSchema.methods.getGraceEndDate = function() {
+  const { endDate, graceEndsAt } = this.subscription || {};
+  
+  if (graceEndsAt) {
+    return graceEndsAt;
+  }
+  return endDate
+    ? new Date(endDate.getTime() + SUBSCRIPTION_LIFECYCLE.GRACE_DAYS * 24 * 60 * 60 * 1000)
+    : null;
+};
+
+// Move the subscription end date; a future end date starts the lifecycle again
+tenantSchema.methods.setSubscriptionEndDate = function(endDate, now = new Date()) {
+  this.subscription.endDate = endDate;
+  this.subscription.expiryWarningsSent = [];
+  this.subscription.graceEndsAt = null;
+  
+  if (!endDate || endDate > now) {
+    this.subscription.status = SUBSCRIPTION_STATUS.ACTIVE;
+    this.subscription.isActive = true;
+    this.subscription.suspendedAt = null;
+  }
+};
+
 tenantSchema.methods.canAddMoreStudents = async function(count = 1) {
   const Student = mongoose.model('Student');
   const currentCount = await Student.countDocuments({ 
     tenant: this._id, 
     isActive: true 
   });
-  return (currentCount + count) <= this.subscription.maxStudents;
+  return (currentCount + count) <= await this.getQuota('maxStudents');
 };
 
 tenantSchema.methods.canAddMoreTeachers = async function(count = 1) {
@@ -141,7 +356,7 @@ tenantSchema.methods.canAddMoreTeachers = async function(count = 1) {
     role: 'teacher',
     isActive: true 
   });
-  return (currentCount + count) <= this.subscription.maxTeachers;
+  return (currentCount + count) <= await this.getQuota('maxTeachers');
 };
 
 // Static methods
@@ -0,0 +1,133 @@
+// src/models/Timetable.js
+const mongoose = require('mongoose');
+const auditTrail = require('../utils/auditTrail');
+const { TIMETABLE } = require('../config/constants');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Weekly timetable of a class: the periods of its school day and what is taught in each
+const timetableSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant is required']
+  },
+  
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class is required']
+  },
+  
+  // Copied from the class so timetables of one year can be checked together
+  academicYear: {
+    type: String,
+    required: true
+  },
+  
+  // Bell schedule, same for every working day
+  periods: {
+    type: [{
+      _id: false,
+      number: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      label: {
+        type: String,
+        trim: true
+      },
+      startTime: {
+        type: String, // "09:00"
+        required: [true, 'Period start time is required'],
+        match: [TIME_FORMAT, 'Time must be in format HH:MM']
+      },
+      endTime: {
+        type: String, // "09:45"
+        required: [true, 'Period end time is required'],
+        match: [TIME_FORMAT, 'Time must be in format HH:MM']
+      },
+      // Breaks (recess, lunch) have no lessons
+      isBreak: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    validate: {
+      validator: function(periods) {
+        return periods.length > 0 && periods.length <= TIMETABLE.MAX_PERIODS_PER_DAY;
+      },
+      message: `A timetable needs between 1 and ${TIMETABLE.MAX_PERIODS_PER_DAY} periods`
+    }
+  },
+  
+  // Lessons: one per day and period
+  slots: [{
+    _id: false,
+    day: {
+      type: String,
+      required: true,
+      enum: TIMETABLE.DAYS
+    },
+    period: {
+      type: Number,
+      required: true
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      required: [true, 'Subject is required']
+    },
+    teacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Teacher is required']
+    },
+    room: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  }],
+  
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+timetableSchema.index({ tenant: 1, class: 1 }, { unique: true });
+timetableSchema.index({ tenant: 1, academicYear: 1, 'slots.teacher': 1 });
+
+// Period by number
+timetableSchema.methods.getPeriod = function(number) {
+  return this.periods.find(period => period.number === number);
+};
+
+// Lessons of one day in period order, with their times
+timetableSchema.methods.getDay = function(day) {
+  return this.slots
+    .filter(slot => slot.day === day)
+    .map(slot => {
+      const period = this.getPeriod(slot.period) || {};
+      return {
+        period: slot.period,
+        label: period.label,
+        startTime: period.startTime,
+        endTime: period.endTime,
+        subject: slot.subject,
+        teacher: slot.teacher,
+        room: slot.room
+      };
+    })
+    .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+};
+
+// Record changes in the audit log
+timetableSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Timetable', timetableSchema);
\ No newline at end of file
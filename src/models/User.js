@@ -2,7 +2,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { USER_ROLES } = require('../config/constants');
+const { USER_ROLES, PERMISSIONS, ROLE_PERMISSIONS, LOGIN_PROTECTION, PASSWORD_POLICY_LIMITS } = require('../config/constants');
 
 const userSchema = new mongoose.Schema({
   // Reference to tenant (for multi-tenancy)
@@ -37,12 +37,26 @@ const userSchema = new mongoose.Schema({
     enum: ['android', 'ios', 'web'],
     default: 'android'
   },
+  // Login session (device) the token was registered from
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  deviceName: String,
   lastUpdated: {
     type: Date,
     default: Date.now
   }
 }],
   
+  // FCM topics the user's devices are subscribed to (see utils/fcmTopics)
+  fcmTopics: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  
   email: {
     type: String,
     required: [true, 'Email is required'],
@@ -72,6 +86,13 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Tenant-defined role adding permissions to the built-in role
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
+  
   // Profile picture
   avatar: {
     type: String,
@@ -81,7 +102,10 @@ const userSchema = new mongoose.Schema({
   // Teacher specific fields
   teacherInfo: {
     employeeId: String,
-    subjects: [String],
+    subjects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject'
+    }],
     qualification: String,
     experience: Number, // in years
     joiningDate: Date
@@ -105,12 +129,70 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting to be confirmed during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted time step (prevents code replay)
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
   // Security
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   
   lastLogin: Date,
   
+  // Password policy
+  passwordChangedAt: Date,
+  
+  // Set for generated/admin-set passwords; protect only allows changing the password
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Hashes of recent passwords (newest first, includes the current one)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  
+  lastFailedLoginAt: Date,
+  
+  // Earliest time the next password attempt is accepted (progressive delay)
+  nextLoginAttemptAt: Date,
+  
+  lockUntil: Date,
+  
   // Status
   isActive: {
     type: Boolean,
@@ -133,6 +215,9 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ tenant: 1, email: 1 }, { unique: true });
 userSchema.index({ tenant: 1, role: 1 });
 userSchema.index({ tenant: 1, isActive: 1 });
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ tenant: 1, isEmailVerified: 1 });
 
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
@@ -144,16 +229,49 @@ userSchema.pre('save', async function(next) {
   // Generate salt and hash password
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  this.passwordChangedAt = new Date();
+  this.$locals.passwordChanged = true;
   next();
 });
-userSchema.methods.updateFCMToken = async function(token, platform = 'android') {
-  // Remove existing token for this platform
-  this.fcmTokens = this.fcmTokens.filter(t => t.platform !== platform);
+
+// Record the new password hash in the history (atomic, so an unselected
+// passwordHistory on this document is never overwritten)
+userSchema.post('save', async function() {
+  if (!this.$locals.passwordChanged) {
+    return;
+  }
+  
+  this.$locals.passwordChanged = false;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $push: {
+        passwordHistory: {
+          $each: [this.password],
+          $position: 0,
+          $slice: PASSWORD_POLICY_LIMITS.MAX_HISTORY
+        }
+      }
+    },
+    { session: this.$session() }
+  );
+});
+
+userSchema.methods.updateFCMToken = async function(token, platform = 'android', { session = null, deviceName } = {}) {
+  // Remove this token and any older token of the same device (session),
+  // or of the same platform for tokens registered without a session
+  this.fcmTokens = this.fcmTokens.filter(t => {
+    if (t.token === token) return false;
+    if (session) return !t.session || t.session.toString() !== session.toString();
+    return t.platform !== platform;
+  });
   
   // Add new token
   this.fcmTokens.push({
     token,
     platform,
+    session,
+    deviceName,
     lastUpdated: new Date()
   });
   
@@ -176,6 +294,142 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check if a candidate password matches the current or one of the last `historyCount` passwords
+userSchema.methods.isPasswordReused = async function(candidate, historyCount) {
+  const user = await this.constructor.findById(this._id).select('+password +passwordHistory');
+  
+  const hashes = [user.password, ...(user.passwordHistory || []).slice(0, historyCount)];
+  
+  for (const hash of new Set(hashes)) {
+    if (hash && await bcrypt.compare(candidate, hash)) {
+      return true;
+    }
+  }
+  
+  return false;
+};
+
+// Check if the password must be changed before using the app
+userSchema.methods.needsPasswordChange = function(policy) {
+  if (this.mustChangePassword) {
+    return true;
+  }
+  
+  const changedAt = this.passwordChangedAt || this.createdAt;
+  if (policy && policy.expiryDays > 0 && changedAt) {
+    const expiresAt = changedAt.getTime() + policy.expiryDays * 24 * 60 * 60 * 1000;
+    return expiresAt < Date.now();
+  }
+  
+  return false;
+};
+
+// Check if account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed password attempt; applies progressive delay and lockout
+userSchema.methods.registerFailedLogin = async function() {
+  const now = Date.now();
+  
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: now }
+    },
+    { new: true }
+  );
+  
+  const attempts = updated.failedLoginAttempts;
+  const update = {};
+  let locked = false;
+  
+  if (attempts >= LOGIN_PROTECTION.MAX_FAILED_ATTEMPTS) {
+    // Lock and start counting again once the lock expires
+    update.lockUntil = new Date(now + LOGIN_PROTECTION.LOCK_MINUTES * 60 * 1000);
+    update.failedLoginAttempts = 0;
+    update.nextLoginAttemptAt = null;
+    locked = true;
+  } else if (attempts > LOGIN_PROTECTION.DELAY_AFTER_ATTEMPTS) {
+    const delaySeconds = LOGIN_PROTECTION.BASE_DELAY_SECONDS *
+      Math.pow(2, attempts - LOGIN_PROTECTION.DELAY_AFTER_ATTEMPTS - 1);
+    update.nextLoginAttemptAt = new Date(now + delaySeconds * 1000);
+  }
+  
+  if (Object.keys(update).length > 0) {
+    await this.constructor.updateOne({ _id: this._id }, { $set: update });
+    Object.assign(this, update);
+  }
+  this.failedLoginAttempts = locked ? 0 : attempts;
+  
+  return {
+    attempts,
+    locked,
+    lockUntil: update.lockUntil,
+    nextLoginAttemptAt: update.nextLoginAttemptAt
+  };
+};
+
+// Clear failed attempts and lock
+userSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil && !this.nextLoginAttemptAt) {
+    return;
+  }
+  
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.nextLoginAttemptAt = undefined;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lockUntil: 1, nextLoginAttemptAt: 1 }
+    }
+  );
+};
+
+// Effective permissions: built-in role plus active custom role (cached per document)
+userSchema.methods.getPermissions = async function() {
+  if (!this.$locals.permissions) {
+    const permissions = new Set(ROLE_PERMISSIONS[this.role] || []);
+    
+    if (this.customRole) {
+      const customRole = await mongoose.model('Role').findOne({
+        _id: this.customRole._id || this.customRole,
+        tenant: this.tenant._id || this.tenant,
+        isActive: true
+      });
+      
+      if (customRole) {
+        customRole.permissions.forEach(permission => permissions.add(permission));
+      }
+    }
+    
+    this.$locals.permissions = [...permissions];
+  }
+  
+  return this.$locals.permissions;
+};
+
+// Check a single permission
+userSchema.methods.hasPermission = async function(permission) {
+  const permissions = await this.getPermissions();
+  return permissions.includes(permission);
+};
+
+// Two-factor authentication is offered to admins and super admins
+userSchema.methods.canUseTwoFactor = function() {
+  return this.role === USER_ROLES.ADMIN || this.isSuperAdmin;
+};
+
+// Check if tenant policy makes two-factor authentication mandatory for this user
+userSchema.methods.requiresTwoFactor = function(tenant) {
+  return this.canUseTwoFactor() &&
+    !!(tenant && tenant.settings && tenant.settings.requireTwoFactorForAdmins);
+};
+
 // Instance method to generate JWT token
 userSchema.methods.getSignedJwtToken = function() {
   return jwt.sign(
@@ -216,6 +470,28 @@ userSchema.statics.findByTenantAndRole = function(tenantId, role) {
   });
 };
 
+// Filter for the active staff who teach: those whose built-in role or active custom role
+// lets them mark attendance (class teachers, subject teachers, principals, ...)
+userSchema.statics.teachingStaffFilter = async function(tenantId) {
+  const roles = Object.keys(ROLE_PERMISSIONS).filter(role =>
+    ROLE_PERMISSIONS[role].includes(PERMISSIONS.ATTENDANCE_MARK)
+  );
+  const customRoles = await mongoose.model('Role').find({
+    tenant: tenantId,
+    isActive: true,
+    permissions: PERMISSIONS.ATTENDANCE_MARK
+  }).distinct('_id');
+  
+  return {
+    tenant: tenantId,
+    isActive: true,
+    $or: [
+      { role: { $in: roles } },
+      { customRole: { $in: customRoles } }
+    ]
+  };
+};
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   if (this.lastName) {
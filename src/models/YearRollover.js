@@ -0,0 +1,118 @@
+// src/models/YearRollover.js
+const mongoose = require('mongoose');
+const { ROLLOVER } = require('../config/constants');
+
+// One academic year rollover of a school: what was cloned, moved and created,
+// with enough of the previous state to undo it within the undo window
+const yearRolloverSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+
+  fromYear: {
+    type: String,
+    required: true
+  },
+
+  toYear: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['completed', 'undone'],
+    default: 'completed'
+  },
+
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Options the rollover was run with (grade order, overrides, fee changes)
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Old class -> class of the new year (created: cloned by this rollover)
+  classMap: [{
+    _id: false,
+    fromClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    toClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    created: Boolean
+  }],
+
+  // Old classes deactivated by the rollover
+  deactivatedClasses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+
+  // Every student moved, with the values to restore on undo
+  students: [{
+    _id: false,
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+    action: { type: String, enum: ROLLOVER.STUDENT_ACTIONS },
+    fromClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    toClass: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+    previousRollNumber: Number,
+    newRollNumber: Number,
+    previousStatus: String
+  }],
+
+  // Fee structures carried over into the new year
+  feeStructures: [{
+    _id: false,
+    fromStructure: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeStructure' },
+    toStructure: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeStructure' },
+    previousAmount: Number,
+    newAmount: Number
+  }],
+
+  feeAssignments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeAssignment'
+  }],
+
+  summary: {
+    classesCreated: { type: Number, default: 0 },
+    promoted: { type: Number, default: 0 },
+    held: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    feeStructures: { type: Number, default: 0 },
+    feeAssignments: { type: Number, default: 0 }
+  },
+
+  undoDeadline: {
+    type: Date,
+    required: true
+  },
+
+  undoneAt: Date,
+
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+yearRolloverSchema.index({ tenant: 1, createdAt: -1 });
+yearRolloverSchema.index({ tenant: 1, fromYear: 1, status: 1 });
+
+// Virtual to check if the rollover can still be undone
+yearRolloverSchema.virtual('canUndo').get(function() {
+  return this.status === 'completed' && this.undoDeadline > new Date();
+});
+
+// Include virtuals in JSON
+yearRolloverSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('YearRollover', yearRolloverSchema);
\ No newline at end of file
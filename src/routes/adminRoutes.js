@@ -15,16 +15,28 @@ const {
   getStudents,
   updateStudent,
   deleteStudent,
+  addGuardian,
+  updateGuardian,
+  removeGuardian,
   resetUserPassword,
+  unlockUser,
+  getSecurityEvents,
+  getUnverifiedUsers,
+  resendUserVerification,
+  updateUserEmail,
+  updateTenantSettings,
+  getAcademicCalendar,
   getDashboardData,
   getAvailableTeachers
 } = require('../controllers/adminController');
+const { getCalendarSummary } = require('../utils/academicCalendar');
 const {
   createFeeStructure,
   getFeeStructures,
   assignFeeToStudent,
   getStudentFees,
   recordFeePayment,
+  confirmFeePayment,
   getPayments,
   getFeeSummary,
   getSchoolFeeSummary,   
@@ -38,32 +50,116 @@ const {
   deleteAnnouncement,
   getNotificationStats
 } = require('../controllers/notificationController');
-const { protect } = require('../middleware/auth');
-const { isAdmin } = require('../middleware/rolecheck');
+const {
+  getPermissionCatalogue,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getStaff,
+  assignUserRole
+} = require('../controllers/roleController');
+const {
+  getApiKeyScopes,
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { getAuditLogs } = require('../controllers/auditController');
+const { getMySubscription } = require('../controllers/planController');
+const { getMyBilling } = require('../controllers/billingController');
+const {
+  previewRollover,
+  runRollover,
+  getRollovers,
+  getRollover,
+  undoYearRollover
+} = require('../controllers/rolloverController');
+const {
+  getClassTimetable,
+  saveClassTimetable,
+  deleteClassTimetable,
+  getTimetableConflicts
+} = require('../controllers/timetableController');
+const {
+  recordTeacherAbsence,
+  getTeacherAbsences,
+  deleteTeacherAbsence,
+  getUncoveredPeriods,
+  getSubstitutions,
+  createSubstitution,
+  deleteSubstitution
+} = require('../controllers/substitutionController');
+const {
+  getSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject
+} = require('../controllers/subjectController');
+const {
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
+} = require('../controllers/sessionController');
+const { protect, blockImpersonation } = require('../middleware/auth');
+const { authorize } = require('../middleware/rolecheck');
 const { ensureTenant } = require('../middleware/tenantCheck');
+const { requireFeature } = require('../middleware/planCheck');
+const { PERMISSIONS, FEATURES } = require('../config/constants');
 
-// All routes require authentication and admin role
+// All routes require authentication; each route checks its own permission
 router.use(protect);
-router.use(isAdmin);
 router.use(ensureTenant);
 
+// Modules that depend on the subscription plan
+router.use('/fees', requireFeature(FEATURES.FEES));
+router.use('/notifications', requireFeature(FEATURES.NOTIFICATIONS));
+router.use('/api-keys', requireFeature(FEATURES.API_ACCESS));
+router.use('/audit', requireFeature(FEATURES.AUDIT_LOG));
+
 // Dashboard
-router.get('/dashboard', getDashboardData);
+router.get('/dashboard', authorize(PERMISSIONS.DASHBOARD_VIEW), getDashboardData);
+router.get('/calendar', authorize(PERMISSIONS.DASHBOARD_VIEW), getAcademicCalendar);
+
+// Academic year rollover (preview is a dry run)
+router.post('/rollover/preview', authorize(PERMISSIONS.ROLLOVER_MANAGE), previewRollover);
+router.route('/rollover')
+  .get(authorize(PERMISSIONS.ROLLOVER_MANAGE), getRollovers)
+  .post(authorize(PERMISSIONS.ROLLOVER_MANAGE), runRollover);
+router.get('/rollover/:id', authorize(PERMISSIONS.ROLLOVER_MANAGE), getRollover);
+router.post('/rollover/:id/undo', authorize(PERMISSIONS.ROLLOVER_MANAGE), undoYearRollover);
+
+// Subscription plan and usage
+router.get('/subscription', authorize(PERMISSIONS.SETTINGS_MANAGE, PERMISSIONS.DASHBOARD_VIEW), getMySubscription);
+router.get('/billing', authorize(PERMISSIONS.SETTINGS_MANAGE), getMyBilling);
 
 // Teacher routes
 router.route('/teachers')
-  .get(getTeachers)
-  .post(createTeacher);
+  .get(authorize(PERMISSIONS.TEACHERS_VIEW), getTeachers)
+  .post(authorize(PERMISSIONS.TEACHERS_MANAGE), createTeacher);
 
 router.route('/teachers/:id')
-  .put(updateTeacher)
-  .delete(deleteTeacher);
+  .put(authorize(PERMISSIONS.TEACHERS_MANAGE), updateTeacher)
+  .delete(authorize(PERMISSIONS.TEACHERS_MANAGE), deleteTeacher);
 
 // Get available teachers for class assignment
-router.get('/teachers/available', getAvailableTeachers);
+router.get('/teachers/available', authorize(PERMISSIONS.TEACHERS_VIEW), getAvailableTeachers);
+
+// Teacher absences and substitute cover
+router.route('/teacher-absences')
+  .get(authorize(PERMISSIONS.TEACHERS_VIEW), getTeacherAbsences)
+  .post(authorize(PERMISSIONS.TEACHERS_MANAGE), recordTeacherAbsence);
+router.delete('/teacher-absences/:id', authorize(PERMISSIONS.TEACHERS_MANAGE), deleteTeacherAbsence);
+
+router.get('/substitutions/uncovered', authorize(PERMISSIONS.TEACHERS_VIEW), getUncoveredPeriods);
+router.route('/substitutions')
+  .get(authorize(PERMISSIONS.TEACHERS_VIEW), getSubstitutions)
+  .post(authorize(PERMISSIONS.TEACHERS_MANAGE), createSubstitution);
+router.delete('/substitutions/:id', authorize(PERMISSIONS.TEACHERS_MANAGE), deleteSubstitution);
 // Add this temporary debug endpoint to your adminRoutes.js to check fee assignments:
 
-router.get('/fees/debug-assignment/:assignmentId', async (req, res) => {
+router.get('/fees/debug-assignment/:assignmentId', authorize(PERMISSIONS.FEES_VIEW), async (req, res) => {
   try {
     const { assignmentId } = req.params;
     
@@ -107,75 +203,146 @@ router.get('/fees/debug-assignment/:assignmentId', async (req, res) => {
 
 // Class routes
 router.route('/classes')
-  .get(getClasses)
-  .post(createClass);
+  .get(authorize(PERMISSIONS.CLASSES_VIEW), getClasses)
+  .post(authorize(PERMISSIONS.CLASSES_MANAGE), createClass);
 
 router.route('/classes/:id')
-  .put(updateClass);
+  .put(authorize(PERMISSIONS.CLASSES_MANAGE), updateClass);
+
+// Subject catalogue
+router.route('/subjects')
+  .get(authorize(PERMISSIONS.SUBJECTS_MANAGE), getSubjects)
+  .post(authorize(PERMISSIONS.SUBJECTS_MANAGE), createSubject);
+
+router.route('/subjects/:id')
+  .put(authorize(PERMISSIONS.SUBJECTS_MANAGE), updateSubject)
+  .delete(authorize(PERMISSIONS.SUBJECTS_MANAGE), deleteSubject);
+
+// Timetables
+router.get('/timetables/conflicts', authorize(PERMISSIONS.CLASSES_VIEW), getTimetableConflicts);
+router.route('/timetables/:classId')
+  .get(authorize(PERMISSIONS.CLASSES_VIEW), getClassTimetable)
+  .put(authorize(PERMISSIONS.CLASSES_MANAGE), saveClassTimetable)
+  .delete(authorize(PERMISSIONS.CLASSES_MANAGE), deleteClassTimetable);
 
 // Student routes
 router.route('/students')
-  .get(getStudents)
-  .post(createStudent);
+  .get(authorize(PERMISSIONS.STUDENTS_VIEW), getStudents)
+  .post(authorize(PERMISSIONS.STUDENTS_EDIT), createStudent);
 
 router.route('/students/:id')
-  .put(updateStudent)
-  .delete(deleteStudent);
+  .put(authorize(PERMISSIONS.STUDENTS_EDIT), updateStudent)
+  .delete(authorize(PERMISSIONS.STUDENTS_EDIT), deleteStudent);
+
+// Student guardians
+router.post('/students/:id/guardians', authorize(PERMISSIONS.STUDENTS_EDIT), addGuardian);
+
+router.route('/students/:id/guardians/:userId')
+  .put(authorize(PERMISSIONS.STUDENTS_EDIT), updateGuardian)
+  .delete(authorize(PERMISSIONS.STUDENTS_EDIT), removeGuardian);
 
 // Reset user password
-router.put('/users/:id/reset-password', resetUserPassword);
+router.put('/users/:id/reset-password', authorize(PERMISSIONS.USERS_MANAGE), blockImpersonation, resetUserPassword);
+
+// Account lockout
+router.put('/users/:id/unlock', authorize(PERMISSIONS.USERS_MANAGE), unlockUser);
+router.get('/security-events', authorize(PERMISSIONS.SECURITY_VIEW), getSecurityEvents);
+
+// Audit log
+router.get('/audit', authorize(PERMISSIONS.AUDIT_VIEW), getAuditLogs);
+
+// User sessions (devices)
+router.route('/users/:id/sessions')
+  .get(authorize(PERMISSIONS.USERS_MANAGE), getUserSessions)
+  .delete(authorize(PERMISSIONS.USERS_MANAGE), blockImpersonation, revokeAllUserSessions);
+
+router.delete('/users/:id/sessions/:sessionId', authorize(PERMISSIONS.USERS_MANAGE), blockImpersonation, revokeUserSession);
+
+// Email verification
+router.get('/users/unverified', authorize(PERMISSIONS.USERS_MANAGE), getUnverifiedUsers);
+router.post('/users/:id/resend-verification', authorize(PERMISSIONS.USERS_MANAGE), resendUserVerification);
+router.put('/users/:id/email', authorize(PERMISSIONS.USERS_MANAGE), blockImpersonation, updateUserEmail);
+
+// Roles and permissions
+router.get('/permissions', authorize(PERMISSIONS.ROLES_MANAGE), getPermissionCatalogue);
+
+router.route('/roles')
+  .get(authorize(PERMISSIONS.ROLES_MANAGE), getRoles)
+  .post(authorize(PERMISSIONS.ROLES_MANAGE), createRole);
+
+router.route('/roles/:id')
+  .put(authorize(PERMISSIONS.ROLES_MANAGE), updateRole)
+  .delete(authorize(PERMISSIONS.ROLES_MANAGE), deleteRole);
+
+router.get('/staff', authorize(PERMISSIONS.ROLES_MANAGE, PERMISSIONS.TEACHERS_VIEW), getStaff);
+router.put('/users/:id/role', authorize(PERMISSIONS.ROLES_MANAGE), blockImpersonation, assignUserRole);
+
+// API keys for integrations
+router.get('/api-keys/scopes', authorize(PERMISSIONS.API_KEYS_MANAGE), getApiKeyScopes);
+
+router.route('/api-keys')
+  .get(authorize(PERMISSIONS.API_KEYS_MANAGE), getApiKeys)
+  .post(authorize(PERMISSIONS.API_KEYS_MANAGE), blockImpersonation, createApiKey);
+
+router.route('/api-keys/:id')
+  .put(authorize(PERMISSIONS.API_KEYS_MANAGE), blockImpersonation, updateApiKey)
+  .delete(authorize(PERMISSIONS.API_KEYS_MANAGE), revokeApiKey);
+
+// School settings
+router.put('/settings', authorize(PERMISSIONS.SETTINGS_MANAGE), updateTenantSettings);
 
 // Fee management routes
 router.route('/fees/structure')
-  .get(getFeeStructures)
-  .post(createFeeStructure);
+  .get(authorize(PERMISSIONS.FEES_VIEW), getFeeStructures)
+  .post(authorize(PERMISSIONS.FEES_MANAGE), createFeeStructure);
 
-router.post('/fees/assign', assignFeeToStudent);
-router.get('/fees/student/:studentId', getStudentFees);
-router.post('/fees/payment', recordFeePayment);
-router.get('/fees/payments', getPayments);
+router.post('/fees/assign', authorize(PERMISSIONS.FEES_MANAGE), assignFeeToStudent);
+router.get('/fees/student/:studentId', authorize(PERMISSIONS.FEES_VIEW), getStudentFees);
+router.post('/fees/payment', authorize(PERMISSIONS.FEES_COLLECT), blockImpersonation, recordFeePayment);
+router.get('/fees/payments', authorize(PERMISSIONS.FEES_VIEW), getPayments);
+router.put('/fees/payments/:id/confirm', authorize(PERMISSIONS.FEES_COLLECT), blockImpersonation, confirmFeePayment);
 
 // Enhanced fee summary endpoints
-router.get('/fees/summary', getFeeSummary);
+router.get('/fees/summary', authorize(PERMISSIONS.FEES_VIEW), getFeeSummary);
 
 // Convenience endpoints for specific summary levels
-router.get('/fees/summary/school', (req, res, next) => {
+router.get('/fees/summary/school', authorize(PERMISSIONS.FEES_VIEW), (req, res, next) => {
   req.query.level = 'school';
   next();
 }, getFeeSummary);
 
-router.get('/fees/summary/class/:classId', (req, res, next) => {
+router.get('/fees/summary/class/:classId', authorize(PERMISSIONS.FEES_VIEW), (req, res, next) => {
   req.query.level = 'class';
   req.query.classId = req.params.classId;
   next();
 }, getClassFeeSummary);
 
-router.get('/fees/summary/student/:studentId', (req, res, next) => {
+router.get('/fees/summary/student/:studentId', authorize(PERMISSIONS.FEES_VIEW), (req, res, next) => {
   req.query.level = 'student';
   req.query.studentId = req.params.studentId;
   next();
 },getStudentFeeSummary);
 
 // Get comprehensive summary (all levels)
-router.get('/fees/summary/comprehensive', (req, res, next) => {
+router.get('/fees/summary/comprehensive', authorize(PERMISSIONS.FEES_VIEW), (req, res, next) => {
   req.query.level = 'all';
   next();
 }, getFeeSummary);
 
 // Notification routes
-router.post('/notifications', sendNotification);
-router.get('/notifications/stats', getNotificationStats);
+router.post('/notifications', authorize(PERMISSIONS.NOTIFICATIONS_SEND), sendNotification);
+router.get('/notifications/stats', authorize(PERMISSIONS.NOTIFICATIONS_SEND), getNotificationStats);
 
 // Announcement routes
 router.route('/announcements')
-  .post(createAnnouncement);
+  .post(authorize(PERMISSIONS.ANNOUNCEMENTS_MANAGE), createAnnouncement);
 
 router.route('/announcements/:id')
-  .put(updateAnnouncement)
-  .delete(deleteAnnouncement);
+  .put(authorize(PERMISSIONS.ANNOUNCEMENTS_MANAGE), updateAnnouncement)
+  .delete(authorize(PERMISSIONS.ANNOUNCEMENTS_MANAGE), deleteAnnouncement);
 
 // Debug routes (remove in production)
-router.get('/fees/debug/:classId', async (req, res) => {
+router.get('/fees/debug/:classId', authorize(PERMISSIONS.FEES_VIEW), async (req, res) => {
   try {
     const { classId } = req.params;
     const tenantId = req.user.tenant._id;
@@ -281,7 +448,7 @@ router.get('/fees/debug/:classId', async (req, res) => {
 });
 
 
-router.get('/fees/debug-student/:studentId', async (req, res) => {
+router.get('/fees/debug-student/:studentId', authorize(PERMISSIONS.FEES_VIEW), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { FeeAssignment } = require('../models/Fee');
@@ -329,27 +496,9 @@ router.get('/fees/debug-student/:studentId', async (req, res) => {
   }
 });
 
-router.get('/fees/debug-year', async (req, res) => {
-  const currentDate = new Date();
-  const currentYear = currentDate.getFullYear();
-  const currentMonth = currentDate.getMonth();
-  
-  let academicYear;
-  if (currentMonth >= 3) { // April (month 3) onwards
-    academicYear = `${currentYear}-${currentYear + 1}`;
-  } else {
-    academicYear = `${currentYear - 1}-${currentYear}`;
-  }
-  
-  res.json({
-    currentDate: currentDate.toISOString(),
-    currentYear,
-    currentMonth: currentMonth + 1, // +1 for human readable
-    calculatedAcademicYear: academicYear,
-    explanation: currentMonth >= 3 ? 
-      'Month is April or later, so academic year is current-next' : 
-      'Month is before April, so academic year is previous-current'
-  });
+// Academic year as the fee code computes it (school settings and time zone)
+router.get('/fees/debug-year', authorize(PERMISSIONS.FEES_VIEW), (req, res) => {
+  res.json(getCalendarSummary(req.user.tenant));
 });
 
 module.exports = router;
\ No newline at end of file
@@ -2,24 +2,70 @@
 const express = require('express');
 const router = express.Router();
 const {
+  getSchool,
   registerTenant,
   login,
   getMe,
+  getSupportAccess,
   logout,
-  updatePassword
+  refreshToken,
+  updatePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  requestOtp,
+  verifyOtp
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions
+} = require('../controllers/sessionController');
+const { protect, protectTwoFactorSetup, blockImpersonation } = require('../middleware/auth');
 const { updateFCMToken, removeFCMToken } = require('../controllers/authController');
 
 // Public routes
+router.get('/school', getSchool);
 router.post('/register-tenant', registerTenant);
 router.post('/login', login);
-router.post('/fcm-token', protect, updateFCMToken);
-router.delete('/fcm-token', protect, removeFCMToken);
+router.post('/refresh', refreshToken);
+router.post('/forgot-password', forgotPassword);
+router.put('/reset-password/:token', resetPassword);
+router.post('/verify-email/resend', resendVerificationEmail);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/otp/request', requestOtp);
+router.post('/otp/verify', verifyOtp);
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.post('/fcm-token', protect, blockImpersonation, updateFCMToken);
+router.delete('/fcm-token', protect, blockImpersonation, removeFCMToken);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.get('/support-access', protect, getSupportAccess);
+
+// Sessions (devices)
+router.route('/sessions')
+  .get(protect, getMySessions)
+  .delete(protect, blockImpersonation, revokeOtherSessions);
+
+router.delete('/sessions/:id', protect, blockImpersonation, revokeMySession);
 router.get('/logout', protect, logout);
-router.put('/updatepassword', protect, updatePassword);
+router.put('/updatepassword', protect, blockImpersonation, updatePassword);
+
+// Two-factor authentication (setup also accepts the setup token from login)
+router.get('/2fa/status', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protectTwoFactorSetup, blockImpersonation, setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorSetup, blockImpersonation, enableTwoFactor);
+router.post('/2fa/disable', protect, blockImpersonation, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, blockImpersonation, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,7 @@ const {
   markAllNotificationsAsRead,
   getAnnouncements
 } = require('../controllers/notificationController');
+const { getActiveSubjects } = require('../controllers/subjectController');
 const { protect } = require('../middleware/auth');
 const { ensureTenant } = require('../middleware/tenantCheck');
 
@@ -22,4 +23,7 @@ router.put('/notifications/read-all', markAllNotificationsAsRead);
 // Announcement routes
 router.get('/announcements', getAnnouncements);
 
+// Subject catalogue
+router.get('/subjects', getActiveSubjects);
+
 module.exports = router;
\ No newline at end of file
@@ -12,25 +12,27 @@ const {
   getHifzProgress
 } = require('../controllers/hifzController');
 const { protect } = require('../middleware/auth');
-const { isTeacher, isParent, isTeacherOrAdmin } = require('../middleware/rolecheck');
+const { authorize, isParent } = require('../middleware/rolecheck');
 const { ensureTenant } = require('../middleware/tenantCheck');
+const { requireFeature } = require('../middleware/planCheck');
+const { PERMISSIONS, FEATURES } = require('../config/constants');
 
-// All routes require authentication and tenant check
+// All routes require authentication, tenant check and a plan with the hifz tracker
 router.use(protect);
 router.use(ensureTenant);
+router.use(requireFeature(FEATURES.HIFZ));
 
 // Teacher routes
-router.use('/teacher', isTeacherOrAdmin);
 router.route('/teacher/hifz-tracker')
-  .get(getTeacherHifzEntries)
-  .post(createHifzEntry);
+  .get(authorize(PERMISSIONS.HIFZ_READ), getTeacherHifzEntries)
+  .post(authorize(PERMISSIONS.HIFZ_WRITE), createHifzEntry);
 
 router.route('/teacher/hifz-tracker/:id')
-  .get(getHifzEntry)
-  .put(updateHifzEntry)
-  .delete(deleteHifzEntry);
+  .get(authorize(PERMISSIONS.HIFZ_READ), getHifzEntry)
+  .put(authorize(PERMISSIONS.HIFZ_WRITE), updateHifzEntry)
+  .delete(authorize(PERMISSIONS.HIFZ_WRITE), deleteHifzEntry);
 
-router.get('/teacher/hifz-tracker/progress/:studentId', getHifzProgress);
+router.get('/teacher/hifz-tracker/progress/:studentId', authorize(PERMISSIONS.HIFZ_READ), getHifzProgress);
 
 // Parent routes
 router.use('/parent', isParent);
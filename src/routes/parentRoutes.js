@@ -10,11 +10,15 @@ const {
   getLeaveHistory,
   getChildNotes,
   getChildAttendance,
-  getFeeReceipts
+  getFeeReceipts,
+  startFeePayment
 } = require('../controllers/parentController');
+const { getChildTimetable, getChildrenTimetableToday } = require('../controllers/timetableController');
 const { protect } = require('../middleware/auth');
 const { isParent } = require('../middleware/rolecheck');
 const { ensureTenant } = require('../middleware/tenantCheck');
+const { requireFeature } = require('../middleware/planCheck');
+const { FEATURES } = require('../config/constants');
 
 // All routes require authentication and parent role
 router.use(protect);
@@ -29,8 +33,10 @@ router.get('/homework/today', getTodaysHomework);
 router.get('/homework/:studentId', getChildHomework);
 
 // Fees
+router.use('/fees', requireFeature(FEATURES.FEES));
 router.get('/fees/:studentId', trackChildFees);
 router.get('/fees/receipts/:studentId', getFeeReceipts);
+router.post('/fees/:studentId/pay', startFeePayment);
 
 // Leave
 router.post('/leave/apply', applyLeave);
@@ -42,4 +48,8 @@ router.get('/notes/:studentId', getChildNotes);
 // Attendance
 router.get('/attendance/:studentId', getChildAttendance);
 
+// Timetable
+router.get('/timetable/today', getChildrenTimetableToday);
+router.get('/timetable/:studentId', getChildTimetable);
+
 module.exports = router;
\ No newline at end of file
@@ -5,11 +5,38 @@ const {
   getAllTenants,
   createTenant,
   updateTenant,
+  getSubscriptionEvents,
   deleteTenant,
+  addTenantDomain,
+  removeTenantDomain,
+  getDeletedTenants,
+  restoreTenant,
+  getDeletionCertificates,
+  getDeletionCertificate,
+  updateTwoFactorPolicy,
+  impersonateUser,
+  getImpersonations,
+  getImpersonationRequests,
+  endImpersonation,
   getSystemStats,
   makeSuperAdmin,
   removeSuperAdmin
 } = require('../controllers/superAdminController');
+const { getPlans, updatePlan } = require('../controllers/planController');
+const {
+  getInvoices,
+  getInvoice,
+  createTenantInvoice,
+  recordInvoicePayment,
+  voidInvoice,
+  getOutstandingBalances,
+  getTenantBilling
+} = require('../controllers/billingController');
+const {
+  uploadArchive,
+  exportTenantData,
+  importTenantData
+} = require('../controllers/tenantArchiveController');
 const { protect } = require('../middleware/auth');
 const { isSuperAdmin } = require('../middleware/rolecheck');
 
@@ -22,10 +49,43 @@ router.route('/tenants')
   .get(getAllTenants)
   .post(createTenant);
 
+router.get('/tenants/deleted', getDeletedTenants);
+
 router.route('/tenants/:id')
   .put(updateTenant)
   .delete(deleteTenant);
 
+router.post('/tenants/import', uploadArchive, importTenantData);
+router.get('/tenants/:id/export', exportTenantData);
+router.put('/tenants/:id/restore', restoreTenant);
+router.post('/tenants/:id/domains', addTenantDomain);
+router.delete('/tenants/:id/domains/:domain', removeTenantDomain);
+router.get('/tenants/:id/subscription-events', getSubscriptionEvents);
+router.put('/tenants/:id/two-factor-policy', updateTwoFactorPolicy);
+
+// Plan catalogue and entitlements
+router.get('/plans', getPlans);
+router.put('/plans/:code', updatePlan);
+
+// Platform billing of schools
+router.get('/tenants/:id/billing', getTenantBilling);
+router.post('/tenants/:id/invoices', createTenantInvoice);
+router.get('/billing/outstanding', getOutstandingBalances);
+router.get('/billing/invoices', getInvoices);
+router.get('/billing/invoices/:id', getInvoice);
+router.post('/billing/invoices/:id/payments', recordInvoicePayment);
+router.put('/billing/invoices/:id/void', voidInvoice);
+
+// Deletion certificates of purged tenants
+router.get('/deletion-certificates', getDeletionCertificates);
+router.get('/deletion-certificates/:id', getDeletionCertificate);
+
+// Support access (impersonation)
+router.post('/impersonate/:userId', impersonateUser);
+router.get('/impersonations', getImpersonations);
+router.get('/impersonations/:id/requests', getImpersonationRequests);
+router.delete('/impersonations/:id', endImpersonation);
+
 // System statistics
 router.get('/stats', getSystemStats);
 
@@ -25,22 +25,38 @@ const {
   // Students
   getClassStudents
 } = require('../controllers/teacherController');
+const { getTeacherTimetable, getTeacherTimetableToday } = require('../controllers/timetableController');
+const { getMySubstitutions } = require('../controllers/substitutionController');
 const { protect } = require('../middleware/auth');
-const { isTeacher, isTeacherOrAdmin } = require('../middleware/rolecheck');
+const { authorize } = require('../middleware/rolecheck');
 const { ensureTenant } = require('../middleware/tenantCheck');
+const { PERMISSIONS } = require('../config/constants');
 
-// All routes require authentication and teacher role
+// Any teaching permission gives access to the user's own classes
+const canTeach = authorize(
+  PERMISSIONS.HOMEWORK_WRITE,
+  PERMISSIONS.NOTES_WRITE,
+  PERMISSIONS.ATTENDANCE_MARK,
+  PERMISSIONS.LEAVES_REVIEW
+);
+
+// All routes require authentication; each route checks its own permission
 router.use(protect);
-router.use(isTeacherOrAdmin);
 router.use(ensureTenant);
 
 // Get teacher's classes
-router.get('/classes', getTeacherClasses);
+router.get('/classes', canTeach, getTeacherClasses);
 
 // Get students in a class
-router.get('/students/:classId', getClassStudents);
+router.get('/students/:classId', canTeach, getClassStudents);
+
+// Timetable
+router.get('/timetable', canTeach, getTeacherTimetable);
+router.get('/timetable/today', canTeach, getTeacherTimetableToday);
+router.get('/substitutions', canTeach, getMySubstitutions);
 
 // Homework routes
+router.use('/homework', authorize(PERMISSIONS.HOMEWORK_WRITE));
 router.route('/homework')
   .get(getTeacherHomework)
   .post(createHomework);
@@ -50,6 +66,7 @@ router.route('/homework/:id')
   .delete(deleteHomework);
 
 // Notes routes
+router.use('/notes', authorize(PERMISSIONS.NOTES_WRITE));
 router.route('/notes')
   .get(getTeacherNotes)
   .post(uploadNotes);
@@ -59,10 +76,11 @@ router.route('/notes/:id')
   .delete(deleteNote);
 
 // Attendance routes
-router.post('/attendance', markAttendance);
-router.get('/attendance/:classId', getClassAttendance);
+router.post('/attendance', authorize(PERMISSIONS.ATTENDANCE_MARK), markAttendance);
+router.get('/attendance/:classId', authorize(PERMISSIONS.ATTENDANCE_MARK), getClassAttendance);
 
 // Leave routes
+router.use('/leaves', authorize(PERMISSIONS.LEAVES_REVIEW));
 router.get('/leaves/pending', getPendingLeaves);
 router.get('/leaves/approved', getApprovedLeaves);
 router.get('/leaves/rejected', getRejectedLeaves);
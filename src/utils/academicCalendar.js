@@ -0,0 +1,282 @@
+// src/utils/academicCalendar.js
+// Academic year, terms and fee periods of a school, in the school's time zone.
+//
+// Calendar dates (academic year and term boundaries, "today") are returned as
+// Date objects at UTC midnight of that date, the same way attendance dates are
+// stored. Due dates are the instant the due day starts in the school's time zone.
+const { ACADEMIC_CALENDAR } = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Months covered by one fee period of each frequency ('yearly' is the whole academic year)
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  'half-yearly': 6
+};
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'long'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar settings of a tenant, with defaults for missing values
+const getCalendarSettings = (tenant) => {
+  const settings = (tenant && tenant.settings) || {};
+  
+  return {
+    startMonth: settings.academicYearStart || ACADEMIC_CALENDAR.DEFAULT_START_MONTH,
+    endMonth: settings.academicYearEnd || ACADEMIC_CALENDAR.DEFAULT_END_MONTH,
+    termsPerYear: settings.termsPerYear || ACADEMIC_CALENDAR.DEFAULT_TERMS_PER_YEAR,
+    timeZone: settings.timeZone && isValidTimeZone(settings.timeZone)
+      ? settings.timeZone
+      : ACADEMIC_CALENDAR.DEFAULT_TIME_ZONE
+  };
+};
+
+// Wall-clock date and time of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday
+  };
+};
+
+// Calendar date (UTC midnight); month is 1-12 and may overflow into the next years
+const toCalendarDate = (year, month, day = 1) => new Date(Date.UTC(year, month - 1, day));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Instant a calendar date starts in a time zone
+const getStartOfDay = (calendarDate, timeZone) => {
+  const midnight = calendarDate.getTime();
+  const offset = getTimeZoneOffset(midnight - getTimeZoneOffset(midnight, timeZone), timeZone);
+  return new Date(midnight - offset);
+};
+
+// Today's date for the school
+const getToday = (tenant, now = new Date()) => {
+  const { year, month, day } = getZonedParts(now, getCalendarSettings(tenant).timeZone);
+  return toCalendarDate(year, month, day);
+};
+
+// Start of the school's current local month, as an instant
+const getStartOfMonth = (tenant, now = new Date(), monthOffset = 0) => {
+  const { timeZone } = getCalendarSettings(tenant);
+  const { year, month } = getZonedParts(now, timeZone);
+  return getStartOfDay(toCalendarDate(year, month + monthOffset, 1), timeZone);
+};
+
+const getYearLength = ({ startMonth, endMonth }) => ((endMonth - startMonth + 12) % 12) + 1;
+
+// Academic year starting in startYear
+const buildAcademicYear = (settings, startYear) => {
+  const months = getYearLength(settings);
+  const startDate = toCalendarDate(startYear, settings.startMonth, 1);
+  const nextStart = toCalendarDate(startYear, settings.startMonth + months, 1);
+  const endDate = new Date(nextStart.getTime() - DAY);
+  
+  return {
+    label: `${startYear}-${endDate.getUTCFullYear()}`,
+    startYear,
+    endYear: endDate.getUTCFullYear(),
+    startDate,
+    endDate,
+    months
+  };
+};
+
+// Academic year a date falls in; during a break between years, the upcoming one
+const getAcademicYear = (tenant, now = new Date()) => {
+  const settings = getCalendarSettings(tenant);
+  const { year, month } = getZonedParts(now, settings.timeZone);
+  
+  const monthsSinceStart = (month - settings.startMonth + 12) % 12;
+  const inYear = monthsSinceStart < getYearLength(settings);
+  
+  let startYear;
+  if (inYear) {
+    startYear = month >= settings.startMonth ? year : year - 1;
+  } else {
+    startYear = month < settings.startMonth ? year : year + 1;
+  }
+  
+  return buildAcademicYear(settings, startYear);
+};
+
+// Academic year from a "YYYY-YYYY" label
+const getAcademicYearByLabel = (tenant, label) => {
+  const match = /^(\d{4})-(\d{4})$/.exec(label || '');
+  
+  if (!match) {
+    const error = new Error('Academic year must be in format YYYY-YYYY');
+    error.status = 400;
+    throw error;
+  }
+  
+  return buildAcademicYear(getCalendarSettings(tenant), Number(match[1]));
+};
+
+// Label for query filters: "current" means the school's current academic year
+const resolveAcademicYearLabel = (tenant, value, now = new Date()) => {
+  return value === 'current' ? getAcademicYear(tenant, now).label : value;
+};
+
+// Split an academic year into consecutive blocks of months
+const splitYear = (academicYear, startMonth, blockSizes) => {
+  let offset = 0;
+  
+  return blockSizes.map((size, index) => {
+    const startDate = toCalendarDate(academicYear.startYear, startMonth + offset, 1);
+    offset += size;
+    const nextStart = toCalendarDate(academicYear.startYear, startMonth + offset, 1);
+    
+    return {
+      number: index + 1,
+      startDate,
+      endDate: new Date(nextStart.getTime() - DAY)
+    };
+  });
+};
+
+// Terms of an academic year (months shared out evenly, earlier terms get the extra months)
+const getTerms = (tenant, academicYear = getAcademicYear(tenant)) => {
+  const settings = getCalendarSettings(tenant);
+  const count = Math.min(settings.termsPerYear, academicYear.months);
+  const size = Math.floor(academicYear.months / count);
+  const extra = academicYear.months % count;
+  
+  const sizes = Array.from({ length: count }, (value, index) => size + (index < extra ? 1 : 0));
+  
+  return splitYear(academicYear, settings.startMonth, sizes).map(term => ({
+    ...term,
+    name: `Term ${term.number}`
+  }));
+};
+
+// Term a date falls in (null during a break)
+const getCurrentTerm = (tenant, now = new Date()) => {
+  const today = getToday(tenant, now);
+  return getTerms(tenant, getAcademicYear(tenant, now))
+    .find(term => term.startDate <= today && today <= term.endDate) || null;
+};
+
+// Fee periods of an academic year for a frequency, aligned to the year start
+const getPeriods = (tenant, frequency, academicYear = getAcademicYear(tenant)) => {
+  const settings = getCalendarSettings(tenant);
+  const size = FREQUENCY_MONTHS[frequency] || academicYear.months;
+  
+  const sizes = [];
+  for (let offset = 0; offset < academicYear.months; offset += size) {
+    sizes.push(Math.min(size, academicYear.months - offset));
+  }
+  
+  return splitYear(academicYear, settings.startMonth, sizes);
+};
+
+// Due day within a month, moved back for short months
+const getDueDay = (year, month, dueDay) => {
+  return toCalendarDate(year, month, Math.min(dueDay, daysInMonth(year, month)));
+};
+
+// Next due date of a fee: on dueDay of the current (or next) period
+const calculateDueDate = (tenant, frequency, dueDay = 10, now = new Date()) => {
+  const { timeZone } = getCalendarSettings(tenant);
+  const today = getToday(tenant, now);
+  
+  let dueDate;
+  
+  if (frequency === 'quarterly' || frequency === 'half-yearly' || frequency === 'yearly') {
+    const academicYear = getAcademicYear(tenant, now);
+    const nextYear = buildAcademicYear(getCalendarSettings(tenant), academicYear.startYear + 1);
+    
+    dueDate = [...getPeriods(tenant, frequency, academicYear), ...getPeriods(tenant, frequency, nextYear)]
+      .map(period => getDueDay(period.startDate.getUTCFullYear(), period.startDate.getUTCMonth() + 1, dueDay))
+      .find(date => date >= today);
+  } else {
+    // This month's due day, or next month's once it has passed
+    const year = today.getUTCFullYear();
+    const month = today.getUTCMonth() + 1;
+    
+    dueDate = getDueDay(year, month, dueDay);
+    
+    // Other frequencies are due next month
+    if (dueDate < today || !['one-time', 'monthly'].includes(frequency)) {
+      const nextMonth = toCalendarDate(year, month + 1, 1);
+      dueDate = getDueDay(nextMonth.getUTCFullYear(), nextMonth.getUTCMonth() + 1, dueDay);
+    }
+  }
+  
+  return getStartOfDay(dueDate, timeZone);
+};
+
+// Current academic year, term and local date of a school
+const getCalendarSummary = (tenant, now = new Date()) => {
+  const settings = getCalendarSettings(tenant);
+  const academicYear = getAcademicYear(tenant, now);
+  
+  return {
+    timeZone: settings.timeZone,
+    today: getToday(tenant, now).toISOString().slice(0, 10),
+    academicYear,
+    terms: getTerms(tenant, academicYear),
+    currentTerm: getCurrentTerm(tenant, now)
+  };
+};
+
+module.exports = {
+  isValidTimeZone,
+  getCalendarSettings,
+  getZonedParts,
+  getToday,
+  getStartOfMonth,
+  getStartOfDay,
+  getAcademicYear,
+  getAcademicYearByLabel,
+  resolveAcademicYearLabel,
+  getTerms,
+  getCurrentTerm,
+  getPeriods,
+  calculateDueDate,
+  getCalendarSummary
+};
\ No newline at end of file
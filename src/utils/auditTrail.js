@@ -0,0 +1,244 @@
+// src/utils/auditTrail.js
+const AuditLog = require('../models/AuditLog');
+const { getCurrentRequest } = require('./requestContext');
+
+// Fields never compared or stored
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const UPDATE_OPERATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'];
+const DELETE_OPERATIONS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Plain JSON copy (ObjectIds as strings, dates as ISO strings)
+const toPlain = (value) => {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+// Flatten to dotted paths; array items are compared by position
+const flatten = (value, prefix, result) => {
+  const isContainer = value !== null && typeof value === 'object';
+  const keys = isContainer ? Object.keys(value) : [];
+  
+  if (!isContainer || keys.length === 0) {
+    result[prefix] = value;
+    return result;
+  }
+  
+  keys.forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, result));
+  return result;
+};
+
+const isExcluded = (path, exclude) => {
+  const field = path.split('.')[0];
+  return IGNORED_FIELDS.includes(field) || exclude.includes(field);
+};
+
+// List of changed paths between two versions of a document
+const diff = (before, after, exclude) => {
+  const flatBefore = before ? flatten(toPlain(before), '', {}) : {};
+  const flatAfter = after ? flatten(toPlain(after), '', {}) : {};
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  
+  const changes = [];
+  paths.forEach(path => {
+    if (!path || isExcluded(path, exclude)) {
+      return;
+    }
+    if (JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path])) {
+      changes.push({ path, before: flatBefore[path], after: flatAfter[path] });
+    }
+  });
+  
+  return changes;
+};
+
+// Whole document without ignored and excluded fields
+const snapshot = (doc, exclude) => {
+  const plain = toPlain(doc);
+  Object.keys(plain).forEach(field => {
+    if (IGNORED_FIELDS.includes(field) || exclude.includes(field)) {
+      delete plain[field];
+    }
+  });
+  return plain;
+};
+
+// Actor and request details from the current request, if any
+const getRequestDetails = () => {
+  const req = getCurrentRequest();
+  
+  if (!req || !req.user) {
+    return {
+      actorType: 'system',
+      method: req ? req.method : undefined,
+      path: req ? req.originalUrl : undefined,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.headers['user-agent'] : undefined
+    };
+  }
+  
+  return {
+    actorType: req.apiKey ? 'api_key' : 'user',
+    actor: req.user._id,
+    apiKey: req.apiKey ? req.apiKey._id : null,
+    impersonatedBy: req.impersonation ? req.impersonation.actor : null,
+    method: req.method,
+    path: req.originalUrl,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  };
+};
+
+// Write audit entries; a failure is logged but never fails the change itself
+const writeEntries = async (entries, session) => {
+  const details = getRequestDetails();
+  
+  const docs = entries
+    .filter(entry => entry.doc && entry.doc.tenant)
+    .map(entry => ({
+      tenant: entry.doc.tenant._id || entry.doc.tenant,
+      model: entry.model,
+      documentId: entry.doc._id,
+      action: entry.action,
+      changes: entry.changes,
+      snapshot: entry.snapshot,
+      ...details
+    }));
+  
+  if (docs.length === 0) {
+    return;
+  }
+  
+  try {
+    await AuditLog.insertMany(docs, { session: session || null });
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+  }
+};
+
+// Mongoose plugin - record create, update and delete of a model in AuditLog.
+// Options: exclude - top-level fields left out of diffs and snapshots
+const auditTrail = (schema, options = {}) => {
+  const exclude = options.exclude || [];
+  
+  // Keep the stored version of loaded documents to diff against on save
+  schema.pre('init', function(raw) {
+    this.$locals.auditOriginal = raw;
+  });
+  
+  schema.pre('save', function() {
+    this.$locals.auditIsNew = this.isNew;
+    this.$locals.auditModifiedPaths = this.modifiedPaths();
+  });
+  
+  schema.post('save', async function(doc) {
+    const current = doc.toObject({ depopulate: true });
+    const model = doc.constructor.modelName;
+    
+    if (doc.$locals.auditIsNew) {
+      await writeEntries([{ model, doc, action: 'create', snapshot: snapshot(current, exclude) }], doc.$session());
+    } else {
+      // Only paths that were modified (the stored version has no schema defaults)
+      const modifiedPaths = doc.$locals.auditModifiedPaths || [];
+      const changes = diff(doc.$locals.auditOriginal, current, exclude).filter(change =>
+        modifiedPaths.some(path => change.path === path || change.path.startsWith(`${path}.`))
+      );
+      if (changes.length > 0) {
+        await writeEntries([{ model, doc, action: 'update', changes }], doc.$session());
+      }
+    }
+    
+    doc.$locals.auditOriginal = current;
+  });
+  
+  schema.post('insertMany', async function(docs) {
+    const model = this.modelName;
+    
+    await writeEntries(docs.map(doc => ({
+      model,
+      doc,
+      action: 'create',
+      snapshot: snapshot(doc.toObject({ depopulate: true }), exclude)
+    })));
+  });
+  
+  // Query updates - load the matching documents before and after
+  schema.pre(UPDATE_OPERATIONS, async function() {
+    this._auditBefore = await this.model.find(this.getFilter())
+      .session(this.getOptions().session || null)
+      .lean();
+  });
+  
+  schema.post(UPDATE_OPERATIONS, async function() {
+    const before = this._auditBefore || [];
+    const session = this.getOptions().session || null;
+    const model = this.model.modelName;
+    
+    // Upsert that inserted a new document
+    if (before.length === 0) {
+      if (this.getOptions().upsert) {
+        const created = await this.model.findOne(this.getFilter()).session(session).lean();
+        if (created) {
+          await writeEntries([{ model, doc: created, action: 'create', snapshot: snapshot(created, exclude) }], session);
+        }
+      }
+      return;
+    }
+    
+    const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+      .session(session)
+      .lean();
+    const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+    
+    const entries = [];
+    before.forEach(original => {
+      const updated = afterById.get(original._id.toString());
+      const changes = updated ? diff(original, updated, exclude) : [];
+      if (changes.length > 0) {
+        entries.push({ model, doc: updated, action: 'update', changes });
+      }
+    });
+    
+    await writeEntries(entries, session);
+  });
+  
+  // Query deletes - log the documents that are gone afterwards
+  schema.pre(DELETE_OPERATIONS, async function() {
+    this._auditBefore = await this.model.find(this.getFilter())
+      .session(this.getOptions().session || null)
+      .lean();
+  });
+  
+  schema.post(DELETE_OPERATIONS, async function() {
+    const before = this._auditBefore || [];
+    if (before.length === 0) {
+      return;
+    }
+    
+    const session = this.getOptions().session || null;
+    const remaining = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+      .session(session)
+      .distinct('_id');
+    const remainingIds = new Set(remaining.map(id => id.toString()));
+    
+    await writeEntries(before
+      .filter(doc => !remainingIds.has(doc._id.toString()))
+      .map(doc => ({
+        model: this.model.modelName,
+        doc,
+        action: 'delete',
+        snapshot: snapshot(doc, exclude)
+      })), session);
+  });
+  
+  // document.deleteOne()
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await writeEntries([{
+      model: doc.constructor.modelName,
+      doc,
+      action: 'delete',
+      snapshot: snapshot(doc.toObject({ depopulate: true }), exclude)
+    }], doc.$session());
+  });
+};
+
+module.exports = auditTrail;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// src/utils/csv.js
+
+// Quote a value for CSV when needed
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  
+  // Stop spreadsheet apps from reading text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Build CSV text from column definitions ({ header, value: row => ... }) and rows
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+  
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  });
+  
+  return lines.join('\r\n');
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
\ No newline at end of file
@@ -0,0 +1,165 @@
+// src/utils/emailService.js
+const nodemailer = require('nodemailer');
+const mongoose = require('mongoose');
+
+// Transport currently in use (created lazily, can be swapped with setTransport)
+let transport = null;
+
+// Messages are only printed to the console when asked for, or outside production
+const usesConsoleTransport = () => process.env.EMAIL_TRANSPORT === 'console' ||
+  (process.env.EMAIL_TRANSPORT !== 'smtp' && process.env.NODE_ENV !== 'production');
+
+// Build transport from environment
+// EMAIL_TRANSPORT=smtp  -> real SMTP server or a local catcher (MailHog, Mailpit: localhost:1025)
+// EMAIL_TRANSPORT=console (default outside production) -> message is printed to the console only
+// In production without either, sending fails instead of printing tokens and links to the logs
+const createTransport = () => {
+  if (process.env.EMAIL_TRANSPORT === 'smtp') {
+    const options = {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure: process.env.SMTP_SECURE === 'true'
+    };
+
+    if (process.env.SMTP_USER) {
+      options.auth = {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      };
+    }
+
+    return nodemailer.createTransport(options);
+  }
+
+  if (usesConsoleTransport()) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  throw new Error('Email transport is not configured (set EMAIL_TRANSPORT=smtp)');
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the transport (any object with a nodemailer-compatible sendMail)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'Al Fithra <no-reply@alfithra.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (info && info.message && usesConsoleTransport()) {
+    console.log('Email (console transport):', info.message.toString());
+  }
+
+  return info;
+};
+
+// Escape text placed in the HTML body (names are entered by users)
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Build a link to the client application
+const buildClientUrl = (path) => {
+  const baseUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${baseUrl.replace(/\/$/, '')}${path}`;
+};
+
+// Send password reset email
+const sendPasswordResetEmail = async (user, tenant, resetToken) => {
+  const resetUrl = buildClientUrl(`/reset-password/${resetToken}?school=${tenant.code}`);
+
+  return sendEmail({
+    to: user.email,
+    subject: `${tenant.name} - Password reset`,
+    text: `Hello ${user.firstName},\n\n` +
+      `A password reset was requested for your ${tenant.name} account.\n` +
+      `Open the link below to choose a new password. It expires in 30 minutes.\n\n` +
+      `${resetUrl}\n\n` +
+      `If you did not request this, you can ignore this email.`,
+    html: `<p>Hello ${escapeHtml(user.firstName)},</p>` +
+      `<p>A password reset was requested for your ${escapeHtml(tenant.name)} account.</p>` +
+      `<p><a href="${resetUrl}">Choose a new password</a> (link expires in 30 minutes).</p>` +
+      `<p>If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+// Send email address verification email
+const sendVerificationEmail = async (user, tenant, verificationToken) => {
+  const verifyUrl = buildClientUrl(`/verify-email/${verificationToken}?school=${tenant.code}`);
+
+  return sendEmail({
+    to: user.email,
+    subject: `${tenant.name} - Verify your email address`,
+    text: `Hello ${user.firstName},\n\n` +
+      `An account has been set up for you at ${tenant.name}.\n` +
+      `Please confirm this is your email address by opening the link below. It expires in 24 hours.\n\n` +
+      `${verifyUrl}\n\n` +
+      `If you were not expecting this email, please let the school office know.`,
+    html: `<p>Hello ${escapeHtml(user.firstName)},</p>` +
+      `<p>An account has been set up for you at ${escapeHtml(tenant.name)}.</p>` +
+      `<p><a href="${verifyUrl}">Verify my email address</a> (link expires in 24 hours).</p>` +
+      `<p>If you were not expecting this email, please let the school office know.</p>`
+  });
+};
+
+// Send a subscription notice (expiry warning, read-only period, suspension) to an admin
+const sendSubscriptionNotice = async (user, tenant, subject, paragraphs) => {
+  return sendEmail({
+    to: user.email,
+    subject: `${tenant.name} - ${subject}`,
+    text: `Hello ${user.firstName},\n\n` +
+      paragraphs.join('\n\n') +
+      `\n\nIf you have any questions, please contact Al Fithra support.`,
+    html: `<p>Hello ${escapeHtml(user.firstName)},</p>` +
+      paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('') +
+      `<p>If you have any questions, please contact Al Fithra support.</p>`
+  });
+};
+
+// Send a subscription notice to every active admin of the school, returns how many were sent
+const sendSubscriptionNoticeToAdmins = async (tenant, subject, paragraphs) => {
+  const admins = await mongoose.model('User').find({
+    tenant: tenant._id,
+    role: 'admin',
+    isActive: true
+  });
+  
+  let sent = 0;
+  for (const admin of admins) {
+    try {
+      await sendSubscriptionNotice(admin, tenant, subject, paragraphs);
+      sent++;
+    } catch (error) {
+      console.error(`Error sending subscription notice to ${admin.email}:`, error.message);
+    }
+  }
+  return sent;
+};
+
+module.exports = {
+  sendEmail,
+  setTransport,
+  escapeHtml,
+  buildClientUrl,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendSubscriptionNotice,
+  sendSubscriptionNoticeToAdmins
+};
\ No newline at end of file
@@ -0,0 +1,129 @@
+// src/utils/fcmTopics.js
+const { admin } = require('../config/firebaseAdmin');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const { USER_ROLES, PERMISSIONS } = require('../config/constants');
+
+// Topic names are namespaced by tenant so one school's broadcast never reaches
+// another school's devices. FCM allows [a-zA-Z0-9-_.~%] in topic names.
+const tenantTopic = (tenantId, name) => `tenant_${tenantId}_${name}`;
+
+const allUsersTopic = (tenantId) => tenantTopic(tenantId, 'all_users');
+const teachersTopic = (tenantId) => tenantTopic(tenantId, 'teachers');
+const parentsTopic = (tenantId) => tenantTopic(tenantId, 'parents');
+const classTopic = (tenantId, classId) => tenantTopic(tenantId, `class_${classId}`);
+
+// Topics a user's devices should be subscribed to
+const getTopicsForUser = async (user) => {
+  if (!user.isActive) {
+    return [];
+  }
+  
+  const tenantId = user.tenant._id || user.tenant;
+  const topics = [allUsersTopic(tenantId)];
+  
+  // Anyone who teaches, including staff whose custom role lets them
+  if (await user.hasPermission(PERMISSIONS.HOMEWORK_WRITE)) {
+    topics.push(teachersTopic(tenantId));
+  }
+  
+  if (user.role === USER_ROLES.PARENT) {
+    topics.push(parentsTopic(tenantId));
+    
+    const children = await Student.find({
+      tenant: tenantId,
+      ...Student.guardianFilter(user._id),
+      isActive: true
+    }).select('class');
+    
+    const classIds = [...new Set(children.map(child => child.class.toString()))];
+    classIds.forEach(classId => topics.push(classTopic(tenantId, classId)));
+  }
+  
+  return topics;
+};
+
+// Subscribe/unsubscribe tokens, logging failures instead of throwing
+const changeSubscription = async (method, tokens, topic) => {
+  if (tokens.length === 0) {
+    return;
+  }
+  
+  try {
+    const response = await admin.messaging()[method](tokens, topic);
+    if (response.failureCount > 0) {
+      console.error(`FCM ${method} ${topic}: ${response.failureCount} of ${tokens.length} tokens failed`);
+    }
+  } catch (error) {
+    console.error(`FCM ${method} ${topic} failed:`, error.message);
+  }
+};
+
+const subscribe = (tokens, topic) => changeSubscription('subscribeToTopic', tokens, topic);
+const unsubscribe = (tokens, topic) => changeSubscription('unsubscribeFromTopic', tokens, topic);
+
+// Bring a user's device subscriptions in line with their tenant, role and children's classes.
+// newTokens were just registered (subscribed to everything); removedTokens were just
+// dropped from the user (unsubscribed from everything they had).
+const syncUserTopics = async (userOrId, { newTokens = [], removedTokens = [] } = {}) => {
+  const user = await User.findById(userOrId._id || userOrId).select('+fcmTopics');
+  if (!user) {
+    return [];
+  }
+  
+  const desired = await getTopicsForUser(user);
+  const current = user.fcmTopics || [];
+  
+  const tokens = user.fcmTokens.map(t => t.token);
+  const addedTokens = newTokens.filter(token => tokens.includes(token));
+  const existingTokens = tokens.filter(token => !addedTokens.includes(token));
+  
+  for (const topic of desired) {
+    await subscribe(current.includes(topic) ? addedTokens : tokens, topic);
+  }
+  
+  for (const topic of current) {
+    if (!desired.includes(topic)) {
+      await unsubscribe([...existingTokens, ...removedTokens], topic);
+    } else {
+      await unsubscribe(removedTokens, topic);
+    }
+  }
+  
+  await User.updateOne({ _id: user._id }, { fcmTopics: desired });
+  
+  return desired;
+};
+
+// Remove push tokens registered from the given sessions (devices)
+const removeSessionTokens = async (userId, sessionIds) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return [];
+  }
+  
+  const ids = sessionIds.map(id => id.toString());
+  const removedTokens = user.fcmTokens
+    .filter(t => t.session && ids.includes(t.session.toString()))
+    .map(t => t.token);
+  
+  if (removedTokens.length > 0) {
+    user.fcmTokens = user.fcmTokens.filter(t => !removedTokens.includes(t.token));
+    await user.save({ validateBeforeSave: false });
+    await syncUserTopics(user._id, { removedTokens });
+  }
+  
+  return removedTokens;
+};
+
+module.exports = {
+  allUsersTopic,
+  teachersTopic,
+  parentsTopic,
+  classTopic,
+  getTopicsForUser,
+  subscribe,
+  unsubscribe,
+  syncUserTopics,
+  removeSessionTokens
+};
\ No newline at end of file
@@ -1,16 +1,59 @@
 // src/utils/passwordUtils.js
 const crypto = require('crypto');
+const { DEFAULT_PASSWORD_POLICY, PASSWORD_POLICY_LIMITS } = require('../config/constants');
 
-// Generate random password
-const generateRandomPassword = (length = 8) => {
-  const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%';
-  let password = '';
+const UPPERCASE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWERCASE = 'abcdefghijklmnopqrstuvwxyz';
+const NUMBERS = '0123456789';
+const SYMBOLS = '!@#$%&*?';
+
+// Generate random password (cryptographically secure, always contains
+// an uppercase letter, a lowercase letter, a number and a symbol)
+const generateRandomPassword = (length = PASSWORD_POLICY_LIMITS.GENERATED_LENGTH) => {
+  const charset = UPPERCASE + LOWERCASE + NUMBERS + SYMBOLS;
+  const pick = (chars) => chars.charAt(crypto.randomInt(chars.length));
+  
+  const characters = [pick(UPPERCASE), pick(LOWERCASE), pick(NUMBERS), pick(SYMBOLS)];
+  while (characters.length < length) {
+    characters.push(pick(charset));
+  }
   
-  for (let i = 0; i < length; i++) {
-    password += charset.charAt(Math.floor(Math.random() * charset.length));
+  // Shuffle so the guaranteed characters are not always first (Fisher-Yates)
+  for (let i = characters.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [characters[i], characters[j]] = [characters[j], characters[i]];
   }
   
-  return password;
+  return characters.join('');
+};
+
+// Generate a password that satisfies a tenant's policy
+const generatePolicyPassword = (policy = DEFAULT_PASSWORD_POLICY) => {
+  return generateRandomPassword(Math.max(PASSWORD_POLICY_LIMITS.GENERATED_LENGTH, policy.minLength));
+};
+
+// Get a tenant's password policy (defaults for missing values)
+const getPasswordPolicy = (tenant) => {
+  const tenantPolicy = tenant && tenant.settings && tenant.settings.passwordPolicy;
+  const policy = { ...DEFAULT_PASSWORD_POLICY };
+  
+  if (tenantPolicy) {
+    Object.keys(DEFAULT_PASSWORD_POLICY).forEach(key => {
+      if (tenantPolicy[key] !== undefined && tenantPolicy[key] !== null) {
+        policy[key] = tenantPolicy[key];
+      }
+    });
+  }
+  
+  return policy;
+};
+
+// Hash a token for storage (sha256)
+const hashToken = (token) => {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
 };
 
 // Generate reset token
@@ -19,10 +62,7 @@ const generateResetToken = () => {
   const resetToken = crypto.randomBytes(20).toString('hex');
   
   // Hash token
-  const hashedToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
+  const hashedToken = hashToken(resetToken);
   
   // Set expire time (30 minutes)
   const expireTime = Date.now() + 30 * 60 * 1000;
@@ -34,26 +74,47 @@ const generateResetToken = () => {
   };
 };
 
-// Validate password strength
-const validatePasswordStrength = (password) => {
+// Generate email verification token (valid for 24 hours)
+const generateEmailVerificationToken = () => {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+  
+  return {
+    verificationToken,
+    hashedToken: hashToken(verificationToken),
+    expireTime: Date.now() + 24 * 60 * 60 * 1000
+  };
+};
+
+// Generate numeric one-time password
+const generateOtp = (length = 6) => {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+};
+
+// Validate password strength against a password policy
+const validatePasswordStrength = (password, policy = DEFAULT_PASSWORD_POLICY) => {
   const errors = [];
   
-  if (password.length < 6) {
-    errors.push('Password must be at least 6 characters long');
+  if (!password || password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+    password = password || '';
   }
   
-  if (!/[A-Z]/.test(password)) {
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
     errors.push('Password must contain at least one uppercase letter');
   }
   
-  if (!/[a-z]/.test(password)) {
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
     errors.push('Password must contain at least one lowercase letter');
   }
   
-  if (!/[0-9]/.test(password)) {
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
     errors.push('Password must contain at least one number');
   }
   
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one symbol');
+  }
+  
   return {
     isValid: errors.length === 0,
     errors
@@ -62,6 +123,11 @@ const validatePasswordStrength = (password) => {
 
 module.exports = {
   generateRandomPassword,
+  generatePolicyPassword,
+  getPasswordPolicy,
   generateResetToken,
+  generateEmailVerificationToken,
+  generateOtp,
+  hashToken,
   validatePasswordStrength
 };
\ No newline at end of file
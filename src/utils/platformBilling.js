@@ -0,0 +1,286 @@
+// src/utils/platformBilling.js
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const Student = require('../models/Student');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const { PlatformInvoice, PlatformPayment } = require('../models/PlatformBilling');
+const { sendSubscriptionNoticeToAdmins } = require('./emailService');
+const {
+  BILLING_CYCLES,
+  PLATFORM_BILLING,
+  INVOICE_STATUS,
+  SUBSCRIPTION_EVENTS
+} = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Start of the next period to bill: after the last invoiced period or the current end date
+const getNextPeriodStart = async (tenant, now = new Date()) => {
+  const lastInvoice = await PlatformInvoice.findOne({
+    tenant: tenant._id,
+    status: { $ne: INVOICE_STATUS.VOID }
+  }).sort('-periodEnd');
+  
+  const candidates = [tenant.subscription.endDate, lastInvoice && lastInvoice.periodEnd].filter(Boolean);
+  
+  return candidates.length > 0
+    ? new Date(Math.max(...candidates.map(date => date.getTime())))
+    : now;
+};
+
+// Line items and totals for one billing period of a school
+const buildInvoice = async (tenant, { periodStart, billingCycle, discount = 0, now = new Date() }) => {
+  const cycle = billingCycle || tenant.subscription.billingCycle;
+  const months = BILLING_CYCLES[cycle];
+  
+  if (!months) {
+    throw createError(`Invalid billing cycle. Use one of: ${Object.keys(BILLING_CYCLES).join(', ')}`);
+  }
+  
+  const plan = await tenant.getPlan();
+  const pricing = plan.pricing || {};
+  
+  const periodEnd = new Date(periodStart);
+  periodEnd.setMonth(periodEnd.getMonth() + months);
+  
+  // Plan price, with the yearly price when one is set
+  const planPrice = cycle === 'yearly' && pricing.yearlyPrice > 0
+    ? pricing.yearlyPrice
+    : (pricing.monthlyPrice || 0) * months;
+  
+  const lineItems = [{
+    description: `${plan.name} plan, ${cycle} (${formatDate(periodStart)} to ${formatDate(periodEnd)})`,
+    quantity: 1,
+    unitPrice: planPrice,
+    amount: planPrice
+  }];
+  
+  // Per-student price for the active students at invoice time
+  if (pricing.pricePerStudent > 0) {
+    const studentCount = await Student.countDocuments({ tenant: tenant._id, isActive: true });
+    const unitPrice = roundAmount(pricing.pricePerStudent * months);
+    
+    if (studentCount > 0) {
+      lineItems.push({
+        description: `Active students (${pricing.pricePerStudent} per student per month)`,
+        quantity: studentCount,
+        unitPrice,
+        amount: roundAmount(unitPrice * studentCount)
+      });
+    }
+  }
+  
+  const subtotal = roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const appliedDiscount = Math.min(Math.max(discount, 0), subtotal);
+  const taxAmount = roundAmount((subtotal - appliedDiscount) * PLATFORM_BILLING.TAX_PERCENT / 100);
+  
+  return {
+    tenant: tenant._id,
+    plan: plan.code,
+    billingCycle: cycle,
+    periodStart,
+    periodEnd,
+    lineItems,
+    subtotal,
+    discount: appliedDiscount,
+    taxPercent: PLATFORM_BILLING.TAX_PERCENT,
+    taxAmount,
+    total: roundAmount(subtotal - appliedDiscount + taxAmount),
+    currency: PLATFORM_BILLING.CURRENCY,
+    issuedAt: now,
+    dueDate: new Date(now.getTime() + PLATFORM_BILLING.PAYMENT_TERMS_DAYS * DAY)
+  };
+};
+
+// Extend the school's subscription to the end of a paid invoice's period
+const applyPaidInvoice = async (invoice, actor = null) => {
+  const tenant = await Tenant.findById(invoice.tenant);
+  const previousEndDate = tenant && tenant.subscription.endDate;
+  
+  if (!tenant || (previousEndDate && previousEndDate >= invoice.periodEnd)) {
+    return null;
+  }
+  
+  const now = new Date();
+  const previousStatus = tenant.getSubscriptionStatus(now);
+  
+  tenant.setSubscriptionEndDate(invoice.periodEnd, now);
+  if (!previousEndDate) {
+    tenant.subscription.startDate = invoice.periodStart;
+  }
+  await tenant.save();
+  
+  await SubscriptionEvent.record(SUBSCRIPTION_EVENTS.RENEWED, tenant, {
+    fromStatus: previousStatus,
+    toStatus: tenant.getSubscriptionStatus(now),
+    previousEndDate,
+    actor,
+    details: { invoice: invoice._id, invoiceNumber: invoice.invoiceNumber }
+  });
+  
+  return tenant;
+};
+
+// Create an invoice for the next (or given) period and email the school's admins
+const createInvoice = async (tenant, { periodStart, billingCycle, discount, notes, actor = null, now = new Date() } = {}) => {
+  const start = periodStart ? new Date(periodStart) : await getNextPeriodStart(tenant, now);
+  
+  const existing = await PlatformInvoice.findOne({
+    tenant: tenant._id,
+    periodStart: start,
+    status: { $ne: INVOICE_STATUS.VOID }
+  });
+  
+  if (existing) {
+    throw createError(`Invoice ${existing.invoiceNumber} already covers the period starting ${formatDate(start)}`);
+  }
+  
+  const invoice = new PlatformInvoice({
+    ...(await buildInvoice(tenant, { periodStart: start, billingCycle, discount, now })),
+    notes,
+    createdBy: actor
+  });
+  
+  // Nothing to pay (free plan or full discount)
+  invoice.updateStatus(now);
+  try {
+    await invoice.save();
+  } catch (error) {
+    // Another server (or admin) created the invoice for this period meanwhile
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.periodStart) {
+      throw createError(`An invoice already covers the period starting ${formatDate(start)}`);
+    }
+    throw error;
+  }
+  
+  if (invoice.status === INVOICE_STATUS.PAID) {
+    await applyPaidInvoice(invoice, actor);
+  } else {
+    await sendSubscriptionNoticeToAdmins(tenant, `Invoice ${invoice.invoiceNumber}`, [
+      `A new invoice has been issued for your ${tenant.name} subscription ` +
+        `(${formatDate(invoice.periodStart)} to ${formatDate(invoice.periodEnd)}).`,
+      `Amount due: ${invoice.currency} ${invoice.total.toFixed(2)}, payable by ${formatDate(invoice.dueDate)}.`
+    ]);
+  }
+  
+  return invoice;
+};
+
+// Record a payment against an invoice; a fully paid invoice extends the subscription
+const recordPayment = async (invoice, { amount, paymentMethod, reference, paidAt, notes }, actor = null) => {
+  if (invoice.status === INVOICE_STATUS.VOID) {
+    throw createError('Cannot record a payment against a void invoice');
+  }
+  
+  if (invoice.status === INVOICE_STATUS.PAID) {
+    throw createError('Invoice is already paid');
+  }
+  
+  const paymentAmount = roundAmount(Number(amount));
+  if (!(paymentAmount > 0) || paymentAmount > invoice.balance) {
+    throw createError(`Payment amount must be between 0.01 and the balance of ${invoice.balance.toFixed(2)}`);
+  }
+  
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  let payment;
+  let updated;
+  try {
+    // Add the payment only while it still fits in the balance, so two payments
+    // at the same time cannot both be counted against the same amount
+    updated = await PlatformInvoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        status: { $nin: [INVOICE_STATUS.VOID, INVOICE_STATUS.PAID] },
+        $expr: { $lte: [{ $add: ['$amountPaid', paymentAmount] }, { $add: ['$total', 0.001] }] }
+      },
+      [{ $set: { amountPaid: { $round: [{ $add: ['$amountPaid', paymentAmount] }, 2] } } }],
+      { new: true, session }
+    );
+    
+    if (!updated) {
+      throw createError('Invoice has changed (another payment or a void). Reload it and try again', 409);
+    }
+    
+    updated.updateStatus();
+    await updated.save({ session });
+    
+    [payment] = await PlatformPayment.create([{
+      tenant: invoice.tenant,
+      invoice: invoice._id,
+      amount: paymentAmount,
+      paymentMethod,
+      reference,
+      paidAt: paidAt || Date.now(),
+      notes,
+      recordedBy: actor
+    }], { session });
+    
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+  
+  const tenant = updated.status === INVOICE_STATUS.PAID
+    ? await applyPaidInvoice(updated, actor)
+    : null;
+  
+  return { payment, invoice: updated, subscriptionExtended: !!tenant };
+};
+
+// Invoiced, paid and outstanding totals per school (optionally a single school)
+const getBalances = async (tenantId = null) => {
+  const match = { status: { $ne: INVOICE_STATUS.VOID } };
+  if (tenantId) match.tenant = tenantId;
+  
+  const now = new Date();
+  
+  return PlatformInvoice.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$tenant',
+        invoiced: { $sum: '$total' },
+        paid: { $sum: '$amountPaid' },
+        invoiceCount: { $sum: 1 },
+        overdue: {
+          $sum: {
+            $cond: [
+              { $and: [{ $lt: ['$dueDate', now] }, { $lt: ['$amountPaid', '$total'] }] },
+              { $subtract: ['$total', '$amountPaid'] },
+              0
+            ]
+          }
+        },
+        oldestUnpaidDueDate: {
+          $min: { $cond: [{ $lt: ['$amountPaid', '$total'] }, '$dueDate', null] }
+        }
+      }
+    },
+    { $addFields: { outstanding: { $subtract: ['$invoiced', '$paid'] } } },
+    { $sort: { outstanding: -1 } }
+  ]);
+};
+
+module.exports = {
+  getNextPeriodStart,
+  buildInvoice,
+  createInvoice,
+  recordPayment,
+  applyPaidInvoice,
+  getBalances
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+// src/utils/rateLimiter.js
+
+// Fixed-window request counters kept in memory. Counts are per process, so
+// with several instances each one enforces the limit on its own share.
+const windows = new Map();
+
+// Drop finished windows once the map grows
+const MAX_TRACKED_KEYS = 10000;
+
+const pruneExpired = (now) => {
+  for (const [key, window] of windows) {
+    if (window.resetAt <= now) {
+      windows.delete(key);
+    }
+  }
+};
+
+// Count one request for a key and report whether it is within the limit
+const consume = (key, limit, windowSeconds) => {
+  const now = Date.now();
+  let window = windows.get(key);
+  
+  if (!window || window.resetAt <= now) {
+    if (windows.size >= MAX_TRACKED_KEYS) {
+      pruneExpired(now);
+    }
+    window = { count: 0, resetAt: now + windowSeconds * 1000 };
+    windows.set(key, window);
+  }
+  
+  window.count += 1;
+  
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: window.resetAt
+  };
+};
+
+// Set the standard rate limit headers on a response
+const setRateLimitHeaders = (res, result) => {
+  res.set({
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000))
+  });
+  
+  if (!result.allowed) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000))));
+  }
+};
+
+module.exports = {
+  consume,
+  setRateLimitHeaders
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+// src/utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Keeps the current request reachable from code that has no access to it
+// (e.g. model hooks writing the audit log)
+const storage = new AsyncLocalStorage();
+
+// Express middleware - run the rest of the request inside its own context
+const requestContext = (req, res, next) => {
+  storage.run({ req }, () => next());
+};
+
+// Current request, or null outside a request (jobs, migrations)
+const getCurrentRequest = () => {
+  const store = storage.getStore();
+  return store ? store.req : null;
+};
+
+module.exports = {
+  requestContext,
+  getCurrentRequest
+};
\ No newline at end of file
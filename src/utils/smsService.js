@@ -0,0 +1,61 @@
+// src/utils/smsService.js
+const fs = require('fs');
+const path = require('path');
+
+// Built-in providers. A provider is any object with an async send(to, message).
+const providers = {
+  // Print messages to the console
+  console: {
+    send: async (to, message) => {
+      console.log(`SMS to ${to}: ${message}`);
+      return { provider: 'console', to };
+    }
+  },
+
+  // Append messages to a local outbox file (one JSON line per message)
+  file: {
+    send: async (to, message) => {
+      const outboxFile = process.env.SMS_OUTBOX_FILE || path.join('logs', 'sms-outbox.log');
+      await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+      await fs.promises.appendFile(
+        outboxFile,
+        JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + '\n'
+      );
+      return { provider: 'file', to };
+    }
+  }
+};
+
+// Provider currently in use (SMS_PROVIDER=console|file, default console)
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = providers[process.env.SMS_PROVIDER] || providers.console;
+  }
+  return provider;
+};
+
+// Replace the provider (e.g. a real SMS gateway client)
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+// Send an SMS
+const sendSms = async (to, message) => {
+  return getProvider().send(to, message);
+};
+
+// Send login OTP
+const sendOtpSms = async (phone, tenant, otp, expiryMinutes) => {
+  return sendSms(
+    phone,
+    `${otp} is your ${tenant.name} login code. It expires in ${expiryMinutes} minutes. Do not share it with anyone.`
+  );
+};
+
+module.exports = {
+  sendSms,
+  setProvider,
+  sendOtpSms
+};
\ No newline at end of file
@@ -0,0 +1,107 @@
+// src/utils/subjectCatalogue.js
+// Resolve subjects given by id, code, name or alias to the school's catalogue.
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// "  Islamic   Studies " -> "islamic studies"
+const normalizeSubjectName = (value) => value.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId
+  || (typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value));
+
+const matches = (subject, value) => {
+  if (isObjectId(value) && subject._id.toString() === value.toString()) {
+    return true;
+  }
+  
+  const name = normalizeSubjectName(value);
+  return normalizeSubjectName(subject.name) === name
+    || subject.code === name.toUpperCase()
+    || subject.aliases.includes(name);
+};
+
+// Active subjects for a list of values, in the same order. Throws a 400
+// error naming every value that is not in the catalogue.
+const resolveSubjects = async (tenantId, values, { session = null } = {}) => {
+  const list = (Array.isArray(values) ? values : [values])
+    .filter(value => value !== undefined && value !== null && value !== '');
+  
+  if (list.length === 0) {
+    return [];
+  }
+  
+  const ids = list.filter(isObjectId);
+  const names = list.filter(value => !isObjectId(value)).map(normalizeSubjectName);
+  
+  const subjects = await Subject.find({
+    tenant: tenantId,
+    isActive: true,
+    $or: [
+      { _id: { $in: ids } },
+      { name: { $in: names } },
+      { code: { $in: names.map(name => name.toUpperCase()) } },
+      { aliases: { $in: names } }
+    ]
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .session(session);
+  
+  const unknown = [];
+  const resolved = list.map(value => {
+    const subject = subjects.find(item => matches(item, value));
+    if (!subject) unknown.push(value);
+    return subject;
+  });
+  
+  if (unknown.length > 0) {
+    throw createError(`Unknown subject(s): ${unknown.join(', ')}. Add them to the subject catalogue first`);
+  }
+  
+  return resolved;
+};
+
+// One active subject
+const resolveSubject = async (tenantId, value, options) => {
+  if (value === undefined || value === null || value === '') {
+    throw createError('Subject is required');
+  }
+  
+  const [subject] = await resolveSubjects(tenantId, [value], options);
+  return subject;
+};
+
+// Query condition for a subject filter (?subject=); unknown subjects match nothing
+const subjectFilter = async (tenantId, value) => {
+  try {
+    const subject = await resolveSubject(tenantId, value);
+    return subject._id;
+  } catch (error) {
+    if (error.status === 400) {
+      return { $in: [] };
+    }
+    throw error;
+  }
+};
+
+// Subjects of a class that may be used for its grade
+const checkGrades = (subjects, className) => {
+  const invalid = subjects.filter(subject => !subject.isForGrade(className));
+  
+  if (invalid.length > 0) {
+    throw createError(`${invalid.map(subject => subject.name).join(', ')} not taught in ${className}`);
+  }
+};
+
+module.exports = {
+  normalizeSubjectName,
+  resolveSubjects,
+  resolveSubject,
+  subjectFilter,
+  checkGrades
+};
\ No newline at end of file
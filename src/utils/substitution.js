@@ -0,0 +1,228 @@
+// src/utils/substitution.js
+// Cover for absent teachers: lessons left without a teacher on a date and
+// free teachers to take them, preferring those qualified for the subject and
+// those with the fewest recent substitutions.
+const mongoose = require('mongoose');
+const { TeacherAbsence, Substitution } = require('../models/Substitution');
+const { overlaps, getWorkingDays, getActiveTimetables } = require('./timetable');
+const { getToday } = require('./academicCalendar');
+const { SUBSTITUTION, TIMETABLE } = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Calendar date (UTC midnight) from "YYYY-MM-DD"; the school's today by default
+const parseCalendarDate = (tenant, value) => {
+  if (!value || value === 'today') {
+    return getToday(tenant);
+  }
+  
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  
+  if (!date || date.getUTCDate() !== Number(match[3])) {
+    throw createError('Date must be in format YYYY-MM-DD');
+  }
+  return date;
+};
+
+// Day name of a calendar date ("Monday")
+const getDayName = (date) => TIMETABLE.DAYS[(date.getUTCDay() + 6) % 7];
+
+const getTeacherName = (teacher) => teacher && teacher.firstName
+  ? `${teacher.firstName} ${teacher.lastName}`
+  : null;
+
+// Everything needed to plan cover on a date: absences, lessons and substitutions
+const loadDay = async (tenant, date) => {
+  const day = getDayName(date);
+  const isWorkingDay = getWorkingDays(tenant).includes(day);
+  
+  const [absences, timetables, substitutions] = await Promise.all([
+    TeacherAbsence.findOnDate(tenant._id, date).populate('teacher', 'firstName lastName'),
+    isWorkingDay ? getActiveTimetables(tenant) : [],
+    Substitution.find({ tenant: tenant._id, date }).populate('substitute', 'firstName lastName')
+  ]);
+  
+  const lessons = timetables.flatMap(timetable => timetable.getDay(day).map(lesson => ({
+    ...lesson,
+    class: timetable.class
+  })));
+  
+  return { date, day, isWorkingDay, absences, lessons, substitutions };
+};
+
+// Lessons of absent teachers on a date, split into uncovered and covered
+const getCoverPlan = async (tenant, date, loaded = null) => {
+  const data = loaded || await loadDay(tenant, date);
+  const { absences, lessons, substitutions } = data;
+  
+  const uncovered = [];
+  const covered = [];
+  
+  for (const lesson of lessons) {
+    const absence = absences.find(item => sameId(item.teacher, lesson.teacher));
+    if (!absence) continue;
+    
+    const substitution = substitutions.find(item =>
+      sameId(item.class, lesson.class) && item.period === lesson.period
+    );
+    
+    const entry = {
+      class: lesson.class,
+      period: lesson.period,
+      startTime: lesson.startTime,
+      endTime: lesson.endTime,
+      subject: lesson.subject,
+      room: lesson.room,
+      absentTeacher: absence.teacher,
+      absence: absence._id,
+      substitution: substitution || null
+    };
+    
+    (substitution ? covered : uncovered).push(entry);
+  }
+  
+  const byTime = (a, b) => a.startTime.localeCompare(b.startTime);
+  
+  return {
+    date: data.date,
+    day: data.day,
+    isWorkingDay: data.isWorkingDay,
+    uncovered: uncovered.sort(byTime),
+    covered: covered.sort(byTime)
+  };
+};
+
+// Free teachers for a lesson, best first: qualified for the subject (teacherInfo.subjects), then the
+// fewest substitutions today and in the last LOAD_WINDOW_DAYS, then the lightest day
+const suggestSubstitutes = async (tenant, lesson, loaded, limit = SUBSTITUTION.MAX_SUGGESTIONS) => {
+  const { date, absences, lessons, substitutions } = loaded;
+  
+  const User = mongoose.model('User');
+  const teachers = await User.find(await User.teachingStaffFilter(tenant._id))
+    .select('firstName lastName teacherInfo.subjects');
+  
+  const recent = await Substitution.aggregate([
+    {
+      $match: {
+        tenant: tenant._id,
+        date: { $gte: new Date(date.getTime() - SUBSTITUTION.LOAD_WINDOW_DAYS * DAY), $lte: date }
+      }
+    },
+    { $group: { _id: '$substitute', count: { $sum: 1 } } }
+  ]);
+  const recentCount = new Map(recent.map(item => [item._id.toString(), item.count]));
+  
+  const candidates = teachers
+    .filter(teacher => !absences.some(absence => sameId(absence.teacher, teacher)))
+    .map(teacher => {
+      const ownLessons = lessons.filter(item => sameId(item.teacher, teacher));
+      const covering = substitutions.filter(item =>
+        sameId(item.substitute, teacher)
+        && !(sameId(item.class, lesson.class) && item.period === lesson.period)
+      );
+      
+      const busy = ownLessons.some(item => overlaps(item, lesson)) || covering.some(item => overlaps(item, lesson));
+      
+      return {
+        teacher: { _id: teacher._id, name: getTeacherName(teacher) },
+        busy,
+        qualified: ((teacher.teacherInfo && teacher.teacherInfo.subjects) || [])
+          .some(item => sameId(item, lesson.subject)),
+        lessonsToday: ownLessons.length,
+        substitutionsToday: covering.length,
+        recentSubstitutions: recentCount.get(teacher._id.toString()) || 0
+      };
+    })
+    .filter(candidate => !candidate.busy)
+    .map(({ busy, ...candidate }) => candidate);
+  
+  candidates.sort((a, b) =>
+    (b.qualified - a.qualified)
+    || (a.substitutionsToday - b.substitutionsToday)
+    || (a.recentSubstitutions - b.recentSubstitutions)
+    || ((a.lessonsToday + a.substitutionsToday) - (b.lessonsToday + b.substitutionsToday))
+    || a.teacher.name.localeCompare(b.teacher.name)
+  );
+  
+  return limit ? candidates.slice(0, limit) : candidates;
+};
+
+// Uncovered lessons on a date, each with suggested substitutes
+const getUncoveredWithSuggestions = async (tenant, date) => {
+  const loaded = await loadDay(tenant, date);
+  const plan = await getCoverPlan(tenant, date, loaded);
+  
+  for (const lesson of plan.uncovered) {
+    lesson.suggestions = await suggestSubstitutes(tenant, lesson, loaded);
+  }
+  
+  return plan;
+};
+
+// Assign (or change) the substitute for a lesson of an absent teacher
+const assignSubstitute = async (tenant, { date, classId, period, substitute }, actor) => {
+  const loaded = await loadDay(tenant, date);
+  
+  if (!loaded.isWorkingDay) {
+    throw createError(`${loaded.day} is not a working day`);
+  }
+  
+  const plan = await getCoverPlan(tenant, date, loaded);
+  const lesson = [...plan.uncovered, ...plan.covered].find(item =>
+    sameId(item.class, classId) && item.period === Number(period)
+  );
+  
+  if (!lesson) {
+    throw createError('No lesson of an absent teacher in that class and period on this date', 404);
+  }
+  
+  const candidates = await suggestSubstitutes(tenant, lesson, loaded, 0);
+  const candidate = candidates.find(item => sameId(item.teacher, substitute));
+  
+  if (!candidate) {
+    throw createError('Substitute must be an active teacher who is present and free during this lesson', 409);
+  }
+  
+  const substitution = lesson.substitution
+    ? await Substitution.findById(lesson.substitution._id)
+    : new Substitution({
+      tenant: tenant._id,
+      date,
+      day: loaded.day,
+      class: lesson.class._id,
+      period: lesson.period
+    });
+  
+  substitution.set({
+    startTime: lesson.startTime,
+    endTime: lesson.endTime,
+    subject: lesson.subject,
+    absentTeacher: lesson.absentTeacher._id,
+    absence: lesson.absence,
+    substitute: candidate.teacher._id,
+    qualified: candidate.qualified,
+    assignedBy: actor._id
+  });
+  await substitution.save();
+  
+  return substitution;
+};
+
+module.exports = {
+  parseCalendarDate,
+  getDayName,
+  loadDay,
+  getCoverPlan,
+  suggestSubstitutes,
+  getUncoveredWithSuggestions,
+  assignSubstitute
+};
\ No newline at end of file
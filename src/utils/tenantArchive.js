@@ -0,0 +1,245 @@
+// src/utils/tenantArchive.js
+const zlib = require('zlib');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Subject = require('../models/Subject');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const HifzTracker = require('../models/HifzTracker');
+const Leave = require('../models/Leave');
+const Homework = require('../models/Homework');
+const Note = require('../models/Note');
+const Timetable = require('../models/Timetable');
+const { TeacherAbsence, Substitution } = require('../models/Substitution');
+const { FeeStructure, FeeAssignment, FeePayment } = require('../models/Fee');
+const { Notification, Announcement } = require('../models/Notification');
+const { TENANT_ARCHIVE } = require('../config/constants');
+
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+// User fields never written to an archive (credentials, tokens, devices)
+const USER_SECRET_FIELDS = [
+  'password',
+  'passwordHistory',
+  'twoFactor.secret',
+  'twoFactor.pendingSecret',
+  'twoFactor.recoveryCodes',
+  'twoFactor.lastUsedStep',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'emailVerificationExpire',
+  'fcmTokens',
+  'fcmTopics'
+];
+
+// Tenant-scoped collections in the archive. Sessions, API keys, OTPs, login
+// attempts, security/audit logs and year rollovers belong to the running school and are not exported.
+const COLLECTIONS = [
+  { name: 'roles', model: Role },
+  { name: 'subjects', model: Subject },
+  { name: 'users', model: User, exclude: USER_SECRET_FIELDS },
+  { name: 'classes', model: Class },
+  { name: 'students', model: Student },
+  { name: 'feeStructures', model: FeeStructure },
+  { name: 'feeAssignments', model: FeeAssignment },
+  { name: 'feePayments', model: FeePayment },
+  { name: 'attendance', model: Attendance },
+  { name: 'hifz', model: HifzTracker },
+  { name: 'leaves', model: Leave },
+  { name: 'homework', model: Homework },
+  { name: 'notes', model: Note },
+  { name: 'notifications', model: Notification },
+  { name: 'announcements', model: Announcement },
+  { name: 'timetables', model: Timetable },
+  { name: 'teacherAbsences', model: TeacherAbsence },
+  { name: 'substitutions', model: Substitution }
+];
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Write every tenant-scoped collection of a school to a gzipped archive
+const exportTenant = async (tenantId, actor = null) => {
+  const tenant = await Tenant.findById(tenantId).lean();
+  
+  if (!tenant) {
+    throw createError('Tenant not found', 404);
+  }
+  
+  const data = {};
+  const collections = {};
+  
+  for (const { name, model, exclude = [] } of COLLECTIONS) {
+    const docs = await model.find({ tenant: tenant._id })
+      .select(exclude.map(field => `-${field}`).join(' '))
+      .sort('_id')
+      .lean();
+    
+    data[name] = docs;
+    collections[name] = {
+      model: model.modelName,
+      count: docs.length
+    };
+  }
+  
+  const manifest = {
+    format: TENANT_ARCHIVE.FORMAT,
+    schemaVersion: TENANT_ARCHIVE.SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy: actor ? actor.toString() : null,
+    tenant: {
+      id: tenant._id.toString(),
+      code: tenant.code,
+      name: tenant.name
+    },
+    collections
+  };
+  
+  const buffer = zlib.gzipSync(EJSON.stringify({ manifest, tenant, data }));
+  
+  return { manifest, buffer };
+};
+
+// Unzip and check an archive against its manifest
+const readArchive = (buffer) => {
+  let archive;
+  try {
+    const json = zlib.gunzipSync(buffer, { maxOutputLength: TENANT_ARCHIVE.MAX_UNCOMPRESSED_SIZE });
+    archive = EJSON.parse(json.toString('utf8'));
+  } catch (error) {
+    throw createError(`Archive could not be read: ${error.message}`);
+  }
+  
+  const { manifest, tenant, data } = archive || {};
+  
+  if (!manifest || manifest.format !== TENANT_ARCHIVE.FORMAT || !tenant || !data) {
+    throw createError('File is not a tenant archive');
+  }
+  
+  if (manifest.schemaVersion !== TENANT_ARCHIVE.SCHEMA_VERSION) {
+    throw createError(`Unsupported archive schema version ${manifest.schemaVersion} (expected ${TENANT_ARCHIVE.SCHEMA_VERSION})`);
+  }
+  
+  COLLECTIONS.forEach(({ name }) => {
+    const expected = manifest.collections[name] ? manifest.collections[name].count : 0;
+    const actual = Array.isArray(data[name]) ? data[name].length : 0;
+    
+    if (expected !== actual) {
+      throw createError(`Archive is incomplete: ${name} has ${actual} of ${expected} documents`);
+    }
+  });
+  
+  return archive;
+};
+
+// Replace every archived ObjectId by its new id; ids outside the archive are kept
+const remapIds = (value, idMap) => {
+  if (value instanceof ObjectId) {
+    return idMap.get(value.toHexString()) || value;
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+  
+  // Plain objects only (dates and other BSON values are kept as they are)
+  if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, remapIds(item, idMap)])
+    );
+  }
+  
+  return value;
+};
+
+// Restore an archive into a new tenant with new ObjectIds.
+// Passwords are not archived: users get the given password (or an unknown one)
+// and must change it at next login.
+const importTenant = async (buffer, { code, name, email, password } = {}) => {
+  if (!code) {
+    throw createError('School code is required');
+  }
+  
+  const { manifest, tenant, data } = readArchive(buffer);
+  
+  if (await Tenant.exists({ code: code.trim().toLowerCase() })) {
+    throw createError('School code already exists');
+  }
+  
+  // New ids for the tenant and every archived document
+  const idMap = new Map();
+  idMap.set(tenant._id.toHexString(), new ObjectId());
+  COLLECTIONS.forEach(({ name: collection }) => {
+    data[collection].forEach(doc => idMap.set(doc._id.toHexString(), new ObjectId()));
+  });
+  
+  const newTenant = remapIds(tenant, idMap);
+  Object.assign(newTenant, {
+    code,
+    name: name || tenant.name,
+    email: email || tenant.email,
+    // Domains stay with the original school
+    customDomains: [],
+    isSuperAdmin: false,
+    isDeleted: false
+  });
+  delete newTenant.__v;
+  
+  const passwordHash = await bcrypt.hash(password || crypto.randomBytes(32).toString('hex'), 10);
+  
+  const created = await Tenant.create(newTenant);
+  const counts = {};
+  
+  try {
+    for (const { name: collection, model } of COLLECTIONS) {
+      let docs = data[collection].map(doc => remapIds(doc, idMap));
+      
+      if (collection === 'users') {
+        docs = docs.map(doc => ({
+          ...doc,
+          password: passwordHash,
+          passwordChangedAt: new Date(),
+          mustChangePassword: true,
+          isSuperAdmin: false,
+          twoFactor: { enabled: false },
+          failedLoginAttempts: 0,
+          lockUntil: null,
+          nextLoginAttemptAt: null
+        }));
+      }
+      
+      if (docs.length > 0) {
+        await model.insertMany(docs);
+      }
+      counts[collection] = docs.length;
+    }
+  } catch (error) {
+    // Leave nothing half-imported behind
+    await Promise.all(COLLECTIONS.map(({ model }) => model.collection.deleteMany({ tenant: created._id })));
+    await Tenant.collection.deleteOne({ _id: created._id });
+    throw createError(`Import failed: ${error.message}`);
+  }
+  
+  return {
+    tenant: created,
+    source: manifest.tenant,
+    schemaVersion: manifest.schemaVersion,
+    counts
+  };
+};
+
+module.exports = {
+  COLLECTIONS,
+  exportTenant,
+  readArchive,
+  importTenant
+};
\ No newline at end of file
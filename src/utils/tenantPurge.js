@@ -0,0 +1,187 @@
+// src/utils/tenantPurge.js
+const fs = require('fs');
+const path = require('path');
+const Tenant = require('../models/Tenant');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const OtpCode = require('../models/OtpCode');
+const LoginAttempt = require('../models/LoginAttempt');
+const SecurityEvent = require('../models/SecurityEvent');
+const Impersonation = require('../models/Impersonation');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const AuditLog = require('../models/AuditLog');
+const Student = require('../models/Student');
+const Note = require('../models/Note');
+const Homework = require('../models/Homework');
+const Leave = require('../models/Leave');
+const DeletionCertificate = require('../models/DeletionCertificate');
+const YearRollover = require('../models/YearRollover');
+const { Announcement } = require('../models/Notification');
+const { COLLECTIONS } = require('./tenantArchive');
+const { TENANT_DELETION } = require('../config/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A purge that has not finished after this long is retried
+const PURGE_RETRY_AFTER = 6 * 60 * 60 * 1000; // 6 hours
+
+// Everything stored for a school. Platform invoices and subscription events are
+// kept for the platform's own accounts. Audit logs go last (they hold snapshots).
+const PURGED_MODELS = [
+  ...COLLECTIONS.map(({ model }) => model),
+  YearRollover,
+  Session,
+  ApiKey,
+  OtpCode,
+  LoginAttempt,
+  SecurityEvent,
+  Impersonation,
+  ImpersonationLog,
+  AuditLog
+];
+
+// Document fields holding uploaded file URLs
+const FILE_FIELDS = [
+  { model: Student, path: 'photo' },
+  { model: Note, path: 'files.fileUrl' },
+  { model: Homework, path: 'attachments.fileUrl' },
+  { model: Leave, path: 'attachments.fileUrl' },
+  { model: Announcement, path: 'attachments.fileUrl' }
+];
+
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Retention window for new deletions
+const getDefaultRetentionDays = () => {
+  const days = parseInt(process.env.TENANT_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days >= 0
+    ? Math.min(days, TENANT_DELETION.MAX_RETENTION_DAYS)
+    : TENANT_DELETION.DEFAULT_RETENTION_DAYS;
+};
+
+const getPurgeDate = (retentionDays, from = new Date()) => new Date(from.getTime() + retentionDays * DAY);
+
+// Local path of an uploaded file URL, or null when it is not inside the upload directory
+const resolveUploadPath = (fileUrl) => {
+  const uploadDir = getUploadDir();
+  const relative = fileUrl
+    .replace(/^https?:\/\/[^/]+/, '')
+    .replace(/^\/+/, '')
+    .replace(/^uploads\//, '');
+  const filePath = path.resolve(uploadDir, relative);
+  
+  return filePath.startsWith(`${uploadDir}${path.sep}`) ? filePath : null;
+};
+
+// Uploaded files of a school that no other school refers to
+const collectFiles = async (tenantId) => {
+  const urls = new Set();
+  
+  for (const { model, path: field } of FILE_FIELDS) {
+    const values = await model.distinct(field, { tenant: tenantId });
+    values.filter(Boolean).forEach(url => urls.add(url));
+  }
+  
+  // Imported copies of a school point at the same files
+  const shared = new Set();
+  for (const { model, path: field } of FILE_FIELDS) {
+    const values = await model.distinct(field, {
+      tenant: { $ne: tenantId },
+      [field]: { $in: [...urls] }
+    });
+    values.forEach(url => shared.add(url));
+  }
+  
+  return {
+    files: [...urls].filter(url => !shared.has(url)),
+    kept: shared.size
+  };
+};
+
+const deleteFiles = async (tenantId, fileUrls) => {
+  const result = { deleted: 0, missing: 0 };
+  
+  for (const fileUrl of fileUrls) {
+    const filePath = resolveUploadPath(fileUrl);
+    if (!filePath) {
+      continue;
+    }
+    
+    try {
+      await fs.promises.unlink(filePath);
+      result.deleted++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      result.missing++;
+    }
+  }
+  
+  // Per-school upload folder, if one was used
+  await fs.promises.rm(path.join(getUploadDir(), tenantId.toString()), { recursive: true, force: true });
+  
+  return result;
+};
+
+// Permanently remove a deleted school whose retention window has passed and
+// write its deletion certificate. Returns null when the school is not due
+// (restored, not yet due, or being purged by another server).
+const purgeTenant = async (tenantId, now = new Date()) => {
+  const tenant = await Tenant.findOneAndUpdate(
+    {
+      _id: tenantId,
+      isDeleted: true,
+      'deletion.purgeAfter': { $lte: now },
+      $or: [
+        { 'deletion.purgeStartedAt': null },
+        { 'deletion.purgeStartedAt': { $lt: new Date(now.getTime() - PURGE_RETRY_AFTER) } }
+      ]
+    },
+    { $set: { 'deletion.purgeStartedAt': now } },
+    { new: true }
+  );
+  
+  if (!tenant) {
+    return null;
+  }
+  
+  const { files, kept } = await collectFiles(tenant._id);
+  
+  // Raw deletes: model hooks would write audit entries for the removed documents
+  const collections = {};
+  let totalDocuments = 0;
+  for (const model of PURGED_MODELS) {
+    const result = await model.collection.deleteMany({ tenant: tenant._id });
+    collections[model.modelName] = result.deletedCount;
+    totalDocuments += result.deletedCount;
+  }
+  
+  const fileResult = await deleteFiles(tenant._id, files);
+  
+  const certificate = await DeletionCertificate.create({
+    tenantId: tenant._id,
+    tenantCode: tenant.code,
+    tenantName: tenant.name,
+    deletedAt: tenant.deletion.deletedAt,
+    deletedBy: tenant.deletion.deletedBy,
+    reason: tenant.deletion.reason,
+    purgeAfter: tenant.deletion.purgeAfter,
+    purgedAt: new Date(),
+    collections,
+    totalDocuments,
+    files: { ...fileResult, kept }
+  });
+  
+  await Tenant.deleteOne({ _id: tenant._id });
+  
+  return certificate;
+};
+
+module.exports = {
+  PURGED_MODELS,
+  getDefaultRetentionDays,
+  getPurgeDate,
+  resolveUploadPath,
+  purgeTenant
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+// src/utils/tenantResolver.js
+const Tenant = require('../models/Tenant');
+const { TENANT_DOMAINS } = require('../config/constants');
+
+// Custom domain -> tenant code (null when no school uses the domain).
+// Least recently used first, capped at TENANT_DOMAINS.CACHE_MAX_ENTRIES.
+const domainCache = new Map();
+
+// Base domain of school subdomains, e.g. "ourapp.local" for alfitrah.ourapp.local
+const getBaseDomain = () => (process.env.APP_BASE_DOMAIN || '').toLowerCase().replace(/^\./, '');
+
+// Extra allowed CORS origins, comma separated (e.g. the super admin console)
+const getConfiguredOrigins = () => (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+const normalizeHost = (host) => String(host || '')
+  .toLowerCase()
+  .trim()
+  .replace(/:\d+$/, '')
+  .replace(/\.$/, '');
+
+const getOriginHost = (origin) => {
+  try {
+    return origin ? new URL(origin).hostname.toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isValidDomain = (domain) => /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(domain);
+
+const getCachedCode = (host) => {
+  const cached = domainCache.get(host);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    return undefined;
+  }
+  
+  // Move to the most recently used end
+  domainCache.delete(host);
+  domainCache.set(host, cached);
+  return cached.code;
+};
+
+const cacheCode = (host, code) => {
+  const now = Date.now();
+  domainCache.forEach((entry, key) => {
+    if (entry.expiresAt <= now) domainCache.delete(key);
+  });
+  
+  while (domainCache.size >= TENANT_DOMAINS.CACHE_MAX_ENTRIES) {
+    domainCache.delete(domainCache.keys().next().value);
+  }
+  
+  domainCache.set(host, { code, expiresAt: now + TENANT_DOMAINS.CACHE_SECONDS * 1000 });
+};
+
+// True for the base domain and any of its subdomains
+const isPlatformHost = (host) => {
+  const baseDomain = getBaseDomain();
+  return !!baseDomain && (host === baseDomain || host.endsWith(`.${baseDomain}`));
+};
+
+// Tenant code served at a host name, or null
+const getCodeForHost = async (hostname) => {
+  const host = normalizeHost(hostname);
+  
+  if (!host) {
+    return null;
+  }
+  
+  // <code>.<base domain>
+  if (isPlatformHost(host)) {
+    const label = host.slice(0, -(getBaseDomain().length + 1));
+    return label && !label.includes('.') && !TENANT_DOMAINS.RESERVED_SUBDOMAINS.includes(label)
+      ? label
+      : null;
+  }
+  
+  // IP addresses and malformed names can never be a school's custom domain
+  if (!isValidDomain(host)) {
+    return null;
+  }
+  
+  const cached = getCachedCode(host);
+  if (cached !== undefined) {
+    return cached;
+  }
+  
+  const tenant = await Tenant.findOne({ customDomains: host, isActive: true, isDeleted: false }).select('code');
+  const code = tenant ? tenant.code : null;
+  cacheCode(host, code);
+  
+  return code;
+};
+
+// School of a public request: the explicit code (mobile app) or else the host
+// the request was sent to, or the page it came from (Origin)
+const resolveTenant = async (req, tenantCode) => {
+  if (tenantCode) {
+    return Tenant.findByCode(tenantCode);
+  }
+  
+  const hosts = [req.hostname, getOriginHost(req.headers.origin)];
+  
+  for (const host of hosts) {
+    const code = await getCodeForHost(host);
+    if (code) {
+      return Tenant.findByCode(code);
+    }
+  }
+  
+  return null;
+};
+
+// CORS: configured origins, the platform domains, registered custom domains,
+// and localhost outside production
+const isAllowedOrigin = async (origin) => {
+  const host = getOriginHost(origin);
+  
+  if (!host) {
+    return false;
+  }
+  
+  if (getConfiguredOrigins().includes(origin.replace(/\/$/, ''))) {
+    return true;
+  }
+  
+  if (process.env.NODE_ENV !== 'production' && ['localhost', '127.0.0.1'].includes(host)) {
+    return true;
+  }
+  
+  return isPlatformHost(host) || !!(await getCodeForHost(host));
+};
+
+// Forget cached custom domains (after they are changed)
+const clearDomainCache = () => {
+  domainCache.clear();
+};
+
+module.exports = {
+  getBaseDomain,
+  normalizeHost,
+  isValidDomain,
+  isPlatformHost,
+  getCodeForHost,
+  resolveTenant,
+  isAllowedOrigin,
+  clearDomainCache
+};
\ No newline at end of file
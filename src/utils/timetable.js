@@ -0,0 +1,259 @@
+// src/utils/timetable.js
+// Validation of class timetables and detection of teachers or rooms booked
+// in two classes at overlapping times.
+const mongoose = require('mongoose');
+const Timetable = require('../models/Timetable');
+const { getZonedParts, getCalendarSettings, getToday } = require('./academicCalendar');
+const { resolveSubjects } = require('./subjectCatalogue');
+const { TIMETABLE } = require('../config/constants');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const createError = (message, status = 400, errors = []) => {
+  const error = new Error(message);
+  error.status = status;
+  error.errors = errors;
+  return error;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const overlaps = (a, b) => toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(b.startTime) < toMinutes(a.endTime);
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Days the school is open, in week order
+const getWorkingDays = (tenant) => {
+  const days = (tenant && tenant.settings && tenant.settings.workingDays) || [];
+  const workingDays = days.length > 0 ? days : TIMETABLE.DEFAULT_WORKING_DAYS;
+  return TIMETABLE.DAYS.filter(day => workingDays.includes(day));
+};
+
+// Today's day name for the school ("Monday") and whether it is a working day
+const getSchoolDay = (tenant, now = new Date()) => {
+  const { weekday } = getZonedParts(now, getCalendarSettings(tenant).timeZone);
+  
+  return {
+    date: getToday(tenant, now),
+    day: weekday,
+    isWorkingDay: getWorkingDays(tenant).includes(weekday)
+  };
+};
+
+// Check a timetable submitted for a class and fill in defaults:
+// period numbers follow their order, subjects are looked up in the catalogue,
+// a slot's teacher defaults to the class's teacher for that subject and its
+// room to the class room.
+// Throws a 400 error listing every problem found.
+const buildTimetable = async (tenant, cls, { periods, slots = [] } = {}) => {
+  const errors = [];
+  
+  if (!Array.isArray(periods) || periods.length === 0) {
+    throw createError('At least one period is required');
+  }
+  if (periods.length > TIMETABLE.MAX_PERIODS_PER_DAY) {
+    throw createError(`A timetable can have at most ${TIMETABLE.MAX_PERIODS_PER_DAY} periods`);
+  }
+  if (!Array.isArray(slots)) {
+    throw createError('slots must be a list');
+  }
+  
+  // Periods
+  const normalizedPeriods = periods.map((period, index) => ({
+    number: period.number !== undefined ? Number(period.number) : index + 1,
+    label: period.label,
+    startTime: period.startTime,
+    endTime: period.endTime,
+    isBreak: period.isBreak === true
+  }));
+  
+  normalizedPeriods.forEach(period => {
+    if (!Number.isInteger(period.number) || period.number < 1) {
+      errors.push(`Period number ${period.number} must be a positive whole number`);
+    } else if (!TIME_FORMAT.test(period.startTime || '') || !TIME_FORMAT.test(period.endTime || '')) {
+      errors.push(`Period ${period.number} needs a start and end time in format HH:MM`);
+    } else if (toMinutes(period.startTime) >= toMinutes(period.endTime)) {
+      errors.push(`Period ${period.number} must end after it starts`);
+    }
+  });
+  
+  if (new Set(normalizedPeriods.map(period => period.number)).size !== normalizedPeriods.length) {
+    errors.push('Period numbers must be unique');
+  }
+  
+  if (errors.length === 0) {
+    normalizedPeriods.sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+    for (let i = 1; i < normalizedPeriods.length; i++) {
+      if (overlaps(normalizedPeriods[i - 1], normalizedPeriods[i])) {
+        errors.push(`Periods ${normalizedPeriods[i - 1].number} and ${normalizedPeriods[i].number} overlap`);
+      }
+    }
+  }
+  
+  // Subjects of the lessons (ids, codes or names)
+  const subjectValues = [...new Set(slots.map(slot => slot.subject).filter(Boolean).map(String))];
+  const subjectsByValue = new Map();
+  try {
+    const subjects = await resolveSubjects(tenant._id, subjectValues);
+    subjects.forEach((subject, index) => subjectsByValue.set(subjectValues[index], subject));
+  } catch (error) {
+    if (error.status !== 400) throw error;
+    errors.push(error.message);
+  }
+  
+  // Lessons
+  const workingDays = getWorkingDays(tenant);
+  const periodsByNumber = new Map(normalizedPeriods.map(period => [period.number, period]));
+  const teacherBySubject = new Map(cls.subjectTeachers.map(({ subject, teacher }) => [(subject._id || subject).toString(), { subject, teacher }]));
+  const taken = new Set();
+  
+  const normalizedSlots = slots.map(slot => {
+    const period = periodsByNumber.get(Number(slot.period));
+    const subject = subjectsByValue.get(String(slot.subject));
+    const assigned = subject && teacherBySubject.get(subject._id.toString());
+    const name = `${slot.day} period ${slot.period}`;
+    
+    if (!workingDays.includes(slot.day)) {
+      errors.push(`${name}: ${slot.day} is not a working day (${workingDays.join(', ')})`);
+    }
+    if (!period) {
+      errors.push(`${name}: no such period`);
+    } else if (period.isBreak) {
+      errors.push(`${name}: period ${period.number} is a break`);
+    }
+    if (taken.has(`${slot.day}|${Number(slot.period)}`)) {
+      errors.push(`${name}: has more than one lesson`);
+    }
+    taken.add(`${slot.day}|${Number(slot.period)}`);
+    
+    if (!slot.subject) {
+      errors.push(`${name}: subject is required`);
+    } else if (subject && !assigned) {
+      errors.push(`${name}: ${subject.name} is not a subject of ${cls.name} - ${cls.section}`);
+    }
+    if (slot.teacher && !mongoose.Types.ObjectId.isValid(slot.teacher)) {
+      errors.push(`${name}: invalid teacher id`);
+    }
+    
+    return {
+      day: slot.day,
+      period: Number(slot.period),
+      subject: subject ? subject._id : slot.subject,
+      teacher: slot.teacher || (assigned && assigned.teacher),
+      room: slot.room !== undefined ? (slot.room || null) : cls.room
+    };
+  });
+  
+  // Teachers given explicitly must be active teachers of the school
+  if (errors.length === 0) {
+    const teacherIds = [...new Set(normalizedSlots.map(slot => slot.teacher.toString()))];
+    const User = mongoose.model('User');
+    const teachers = await User.find({
+      ...(await User.teachingStaffFilter(tenant._id)),
+      _id: { $in: teacherIds }
+    }).select('_id');
+    
+    const found = new Set(teachers.map(teacher => teacher._id.toString()));
+    teacherIds.filter(id => !found.has(id)).forEach(id => {
+      errors.push(`Teacher ${id} is not an active teacher of the school`);
+    });
+  }
+  
+  if (errors.length > 0) {
+    throw createError('Invalid timetable', 400, errors);
+  }
+  
+  return { periods: normalizedPeriods, slots: normalizedSlots };
+};
+
+// Teacher and room double-bookings between timetables of different classes
+const detectConflicts = (timetables, onlyClass = null) => {
+  const conflicts = [];
+  
+  const lessons = timetables.flatMap(timetable => timetable.slots.map(slot => {
+    const period = timetable.periods.find(item => item.number === slot.period);
+    return period && {
+      timetable,
+      day: slot.day,
+      period: slot.period,
+      startTime: period.startTime,
+      endTime: period.endTime,
+      subject: slot.subject,
+      teacher: slot.teacher,
+      room: slot.room
+    };
+  }).filter(Boolean));
+  
+  const describe = (lesson) => ({
+    class: lesson.timetable.class,
+    period: lesson.period,
+    startTime: lesson.startTime,
+    endTime: lesson.endTime,
+    subject: lesson.subject
+  });
+  
+  for (let i = 0; i < lessons.length; i++) {
+    for (let j = i + 1; j < lessons.length; j++) {
+      const a = lessons[i];
+      const b = lessons[j];
+      
+      if (a.day !== b.day || sameId(a.timetable.class, b.timetable.class) || !overlaps(a, b)) continue;
+      if (onlyClass && !sameId(a.timetable.class, onlyClass) && !sameId(b.timetable.class, onlyClass)) continue;
+      
+      if (sameId(a.teacher, b.teacher)) {
+        conflicts.push({ type: 'teacher', teacher: a.teacher, day: a.day, lessons: [describe(a), describe(b)] });
+      }
+      if (a.room && b.room && a.room.toLowerCase() === b.room.toLowerCase()) {
+        conflicts.push({ type: 'room', room: a.room, day: a.day, lessons: [describe(a), describe(b)] });
+      }
+    }
+  }
+  
+  return conflicts;
+};
+
+// Timetables of active classes (of an academic year when one is given)
+const getActiveTimetables = async (tenant, academicYear = null) => {
+  const query = { tenant: tenant._id };
+  if (academicYear) query.academicYear = academicYear;
+  
+  const timetables = await Timetable.find(query)
+    .populate('class', 'name section isActive')
+    .populate('slots.subject', 'name code');
+  
+  return timetables.filter(timetable => timetable.class && timetable.class.isActive);
+};
+
+// Conflicts a timetable for a class would have with the other classes of its year
+const findConflicts = async (tenant, cls, timetable) => {
+  const others = (await getActiveTimetables(tenant, cls.academicYear))
+    .filter(other => !sameId(other.class, cls));
+  
+  const candidate = {
+    class: { _id: cls._id, name: cls.name, section: cls.section },
+    periods: timetable.periods,
+    slots: timetable.slots
+  };
+  
+  return detectConflicts([candidate, ...others], cls._id);
+};
+
+// Lessons on days the school no longer works (after workingDays changed)
+const getInactiveSlots = (tenant, timetable) => {
+  const workingDays = getWorkingDays(tenant);
+  return timetable.slots.filter(slot => !workingDays.includes(slot.day));
+};
+
+module.exports = {
+  overlaps,
+  getWorkingDays,
+  getSchoolDay,
+  buildTimetable,
+  detectConflicts,
+  getActiveTimetables,
+  findConflicts,
+  getInactiveSlots
+};
\ No newline at end of file
@@ -1,5 +1,10 @@
 // src/utils/tokenGenerator.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { hashToken, getPasswordPolicy } = require('./passwordUtils');
+const { removeSessionTokens } = require('./fcmTopics');
 
 // Generate JWT Token
 const generateToken = (payload, expiresIn = process.env.JWT_EXPIRE) => {
@@ -17,22 +22,31 @@ const verifyToken = (token) => {
   }
 };
 
-// Generate tokens for different purposes
-const generateAuthTokens = (user) => {
-  // Access token - short lived (1 day)
+// Refresh token lifetime in milliseconds
+const getRefreshTokenLifetime = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '7', 10);
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Generate access/refresh token pair bound to a session
+const generateAuthTokens = (user, sessionId) => {
+  // Access token - short lived
   const accessToken = generateToken({
     id: user._id,
-    tenant: user.tenant,
+    tenant: user.tenant._id || user.tenant,
     role: user.role,
-    email: user.email
-  }, '1d');
+    email: user.email,
+    sid: sessionId
+  }, process.env.ACCESS_TOKEN_EXPIRE || '15m');
   
-  // Refresh token - long lived (7 days)
+  // Refresh token - long lived, jti makes every rotated token unique
   const refreshToken = generateToken({
     id: user._id,
-    tenant: user.tenant,
-    type: 'refresh'
-  }, '7d');
+    tenant: user.tenant._id || user.tenant,
+    sid: sessionId,
+    type: 'refresh',
+    jti: crypto.randomBytes(16).toString('hex')
+  }, Math.floor(getRefreshTokenLifetime() / 1000));
   
   return {
     accessToken,
@@ -40,15 +54,144 @@ const generateAuthTokens = (user) => {
   };
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// Short-lived token for the second login step ('2fa_login') or forced enrolment ('2fa_setup')
+const generateTwoFactorToken = (user, type) => {
+  return generateToken({
+    id: user._id,
+    tenant: user.tenant._id || user.tenant,
+    type
+  }, '10m');
+};
+
+// Access token for a super admin acting as another user. Marked with 'imp'
+// (impersonation id) and 'act' (real actor); there is no refresh token.
+const generateImpersonationToken = (user, impersonation) => {
+  return generateToken({
+    id: user._id,
+    tenant: user.tenant._id || user.tenant,
+    role: user.role,
+    email: user.email,
+    imp: impersonation._id,
+    act: impersonation.actor
+  }, Math.max(1, Math.floor((impersonation.expiresAt - Date.now()) / 1000)));
+};
+
+// Get client details from request
+const getClientInfo = (req) => {
+  if (!req) {
+    return {};
+  }
+  return {
+    ipAddress: req.ip || (req.connection && req.connection.remoteAddress),
+    userAgent: req.headers && req.headers['user-agent']
+  };
+};
+
+// Create a new session for user and issue its tokens
+const createSession = async (user, req) => {
+  const session = new Session({
+    tenant: user.tenant._id || user.tenant,
+    user: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetime()),
+    ...getClientInfo(req)
+  });
+  
+  const tokens = generateAuthTokens(user, session._id);
+  session.refreshTokenHash = hashToken(tokens.refreshToken);
+  await session.save();
+  
+  return { session, tokens };
+};
+
+// Exchange a refresh token for a new token pair (rotation with reuse detection)
+const rotateRefreshToken = async (refreshToken, req) => {
+  const unauthorized = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+  };
+  
+  const decoded = verifyToken(refreshToken);
+  if (!decoded || decoded.type !== 'refresh' || !decoded.sid) {
+    throw unauthorized('Invalid refresh token');
+  }
+  
+  const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+  if (!session || session.user.toString() !== decoded.id.toString()) {
+    throw unauthorized('Invalid refresh token');
+  }
+  
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    throw unauthorized('Session has expired or been revoked');
+  }
+  
+  // A valid but already rotated token means it was copied - kill the session
+  const currentHash = hashToken(refreshToken);
+  if (session.refreshTokenHash !== currentHash) {
+    await session.revoke('reuse_detected');
+    throw unauthorized('Refresh token reuse detected. Please log in again.');
+  }
+  
+  const user = await User.findById(decoded.id).populate('tenant');
+  if (!user || !user.isActive || !user.tenant || !user.tenant.isActive) {
+    await session.revoke('user_deactivated');
+    throw unauthorized('Account is inactive');
+  }
+  
+  const tokens = generateAuthTokens(user, session._id);
+  const clientInfo = getClientInfo(req);
+  
+  const update = {
+    refreshTokenHash: hashToken(tokens.refreshToken),
+    lastUsedAt: new Date()
+  };
+  if (clientInfo.ipAddress) update.ipAddress = clientInfo.ipAddress;
+  if (clientInfo.userAgent) update.userAgent = clientInfo.userAgent;
+  
+  // Rotate only if the token is still the current one, so two requests
+  // with the same token cannot both get a new pair
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: currentHash, revokedAt: null },
+    { $set: update, $inc: { rotationCount: 1 } },
+    { new: true }
+  );
+  
+  if (!rotated) {
+    await session.revoke('reuse_detected');
+    throw unauthorized('Refresh token reuse detected. Please log in again.');
+  }
+  
+  return { user, session: rotated, tokens };
+};
+
+// Revoke a user's active sessions (optionally only those matching query) and
+// drop the push tokens their devices registered
+const revokeSessions = async (userId, reason, query = {}) => {
+  const sessions = await Session.find({ ...query, user: userId, revokedAt: null }).select('_id');
+  const sessionIds = sessions.map(session => session._id);
+  
+  if (sessionIds.length === 0) {
+    return { sessionsRevoked: 0, pushTokensRemoved: 0 };
+  }
   
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  
+  const removedTokens = await removeSessionTokens(userId, sessionIds);
+  
+  return {
+    sessionsRevoked: sessionIds.length,
+    pushTokensRemoved: removedTokens.length
+  };
+};
+
+// Cookie options shared by auth cookies
+const getCookieOptions = (expires) => {
   const options = {
-    expires: new Date(
-      Date.now() + 7 * 24 * 60 * 60 * 1000 // 7 days
-    ),
+    expires,
     httpOnly: true
   };
   
@@ -57,12 +200,26 @@ const sendTokenResponse = (user, statusCode, res) => {
     options.secure = true;
   }
   
+  return options;
+};
+
+// Send token pair in cookies and body
+const sendTokens = async (user, tokens, statusCode, res, extra = {}) => {
+  // The password expiry policy lives on the tenant
+  if (!user.populated('tenant')) {
+    await user.populate('tenant');
+  }
+  
+  // The cookie expires together with the (short lived) access token it carries
+  const { exp } = jwt.decode(tokens.accessToken);
+  
   res
     .status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', tokens.accessToken, getCookieOptions(new Date(exp * 1000)))
     .json({
       success: true,
-      token,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -70,14 +227,29 @@ const sendTokenResponse = (user, statusCode, res) => {
         email: user.email,
         role: user.role,
         tenant: user.tenant,
-        isSuperAdmin: user.isSuperAdmin || false
-      }
+        isSuperAdmin: user.isSuperAdmin || false,
+        mustChangePassword: user.needsPasswordChange(getPasswordPolicy(user.tenant))
+      },
+      ...extra
     });
 };
 
+// Start a new session and send token response
+const sendTokenResponse = async (user, statusCode, res, extra = {}) => {
+  const { tokens } = await createSession(user, res.req);
+  await sendTokens(user, tokens, statusCode, res, extra);
+};
+
 module.exports = {
   generateToken,
   verifyToken,
   generateAuthTokens,
+  generateTwoFactorToken,
+  generateImpersonationToken,
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  sendTokens,
   sendTokenResponse
 };
\ No newline at end of file
@@ -0,0 +1,639 @@
+// src/utils/yearRollover.js
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const YearRollover = require('../models/YearRollover');
+const Timetable = require('../models/Timetable');
+const { FeeStructure, FeeAssignment, FeePayment } = require('../models/Fee');
+const {
+  getAcademicYear,
+  getAcademicYearByLabel,
+  resolveAcademicYearLabel,
+  calculateDueDate
+} = require('./academicCalendar');
+const { ROLLOVER, FEE_STATUS } = require('../config/constants');
+
+const HOUR = 60 * 60 * 1000;
+
+const GRADUATE = 'graduate';
+
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// "Class 2" before "Class 10"
+const compareNames = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+const classKey = (name, section) => `${name.trim().toLowerCase()}|${section.trim().toUpperCase()}`;
+
+const describeClass = (cls) => `${cls.name} - ${cls.section}`;
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+// Validate the wizard input and fill in defaults.
+// - gradeOrder: class names lowest grade first (default: class names in natural order); the last grade graduates
+// - promotions: { oldClassId: classId | "graduate" } where classId is a class of the new year,
+//   or a class of the old year meaning its copy in the new year
+// - holds: ids of detained students, who stay in the new year's copy of their class
+// - feeIncreasePercent / feeAmounts: new fee amounts (feeAmounts by old fee structure id wins)
+const normalizeOptions = (tenant, input = {}, now = new Date()) => {
+  const fromYear = getAcademicYearByLabel(
+    tenant,
+    input.fromYear ? resolveAcademicYearLabel(tenant, input.fromYear, now) : getAcademicYear(tenant, now).label
+  );
+  
+  // Next year by default, same length as the year being closed
+  const span = fromYear.endYear - fromYear.startYear;
+  const toYear = getAcademicYearByLabel(
+    tenant,
+    input.toYear || `${fromYear.startYear + 1}-${fromYear.startYear + 1 + span}`
+  );
+  
+  if (toYear.startYear <= fromYear.startYear) {
+    throw createError('Target academic year must be after the year being closed');
+  }
+  
+  if (input.gradeOrder !== undefined && (!Array.isArray(input.gradeOrder) || input.gradeOrder.some(name => typeof name !== 'string' || !name.trim()))) {
+    throw createError('gradeOrder must be a list of class names, lowest grade first');
+  }
+  
+  const feeIncreasePercent = input.feeIncreasePercent === undefined ? 0 : Number(input.feeIncreasePercent);
+  if (!Number.isFinite(feeIncreasePercent) || feeIncreasePercent < -100) {
+    throw createError('feeIncreasePercent must be a number of at least -100');
+  }
+  
+  const feeAmounts = input.feeAmounts || {};
+  for (const [id, amount] of Object.entries(feeAmounts)) {
+    if (!isObjectId(id) || !Number.isFinite(Number(amount)) || Number(amount) < 0) {
+      throw createError('feeAmounts must map fee structure ids to amounts of 0 or more');
+    }
+  }
+  
+  const promotions = input.promotions || {};
+  if (typeof promotions !== 'object' || Array.isArray(promotions)) {
+    throw createError(`promotions must map class ids to a class id or "${GRADUATE}"`);
+  }
+  
+  const holds = input.holds || [];
+  if (!Array.isArray(holds) || holds.some(id => !isObjectId(id))) {
+    throw createError('holds must be a list of student ids');
+  }
+  
+  return {
+    fromYear,
+    toYear,
+    gradeOrder: input.gradeOrder ? input.gradeOrder.map(name => name.trim()) : null,
+    promotions,
+    holds: holds.map(id => id.toString()),
+    feeIncreasePercent,
+    feeAmounts,
+    carryOverFees: input.carryOverFees !== false,
+    assignFees: input.assignFees === true,
+    deactivateOldClasses: input.deactivateOldClasses !== false
+  };
+};
+
+// Work out everything a rollover would do without changing anything.
+// problems block the rollover, warnings are shown in the preview only.
+const planRollover = async (tenant, input, now = new Date()) => {
+  const options = normalizeOptions(tenant, input, now);
+  const { fromYear, toYear } = options;
+  const problems = [];
+  const warnings = [];
+  
+  const [fromClasses, toClasses, previous] = await Promise.all([
+    Class.find({ tenant: tenant._id, academicYear: fromYear.label, isActive: true }).lean(),
+    Class.find({ tenant: tenant._id, academicYear: toYear.label }).lean(),
+    YearRollover.findOne({ tenant: tenant._id, fromYear: fromYear.label, status: 'completed' }).select('toYear createdAt')
+  ]);
+  
+  if (previous) {
+    problems.push(`${fromYear.label} was already rolled over to ${previous.toYear}; undo that rollover first`);
+  }
+  
+  if (fromClasses.length === 0) {
+    problems.push(`No active classes found for ${fromYear.label}`);
+  }
+  
+  // Classes of the new year: existing ones are reused, the rest are cloned from the old year
+  const targets = new Map();
+  for (const cls of toClasses) {
+    targets.set(classKey(cls.name, cls.section), {
+      key: classKey(cls.name, cls.section),
+      name: cls.name,
+      section: cls.section,
+      existing: cls,
+      source: null,
+      students: []
+    });
+  }
+  
+  const targetForClass = new Map();
+  for (const cls of fromClasses) {
+    const key = classKey(cls.name, cls.section);
+    if (!targets.has(key)) {
+      targets.set(key, { key, name: cls.name, section: cls.section, existing: null, source: cls, students: [] });
+    }
+    targetForClass.set(cls._id.toString(), targets.get(key));
+  }
+  
+  // Grade order decides where each class is promoted to; the last grade graduates
+  const gradeOrder = options.gradeOrder || [...new Set(fromClasses.map(cls => cls.name))].sort(compareNames);
+  const gradeIndex = new Map(gradeOrder.map((name, index) => [name.toLowerCase(), index]));
+  
+  const findTarget = (value) => {
+    const id = value.toString();
+    if (targetForClass.has(id)) return targetForClass.get(id);
+    return [...targets.values()].find(target => target.existing && target.existing._id.toString() === id);
+  };
+  
+  const classPlans = fromClasses
+    .sort((a, b) => compareNames(a.name, b.name) || compareNames(a.section, b.section))
+    .map(cls => {
+      const override = options.promotions[cls._id.toString()];
+      let promotesTo = null;
+      let graduates = false;
+      
+      if (override === GRADUATE) {
+        graduates = true;
+      } else if (override) {
+        promotesTo = isObjectId(override) ? findTarget(override) : null;
+        if (!promotesTo) {
+          problems.push(`Promotion target for ${describeClass(cls)} is not a class of ${fromYear.label} or ${toYear.label}`);
+        }
+      } else if (!gradeIndex.has(cls.name.toLowerCase())) {
+        problems.push(`${describeClass(cls)} is not in the grade order`);
+      } else {
+        const index = gradeIndex.get(cls.name.toLowerCase());
+        
+        if (index === gradeOrder.length - 1) {
+          graduates = true;
+        } else {
+          // Same section in the next grade, or the only section it has
+          const nextName = gradeOrder[index + 1].toLowerCase();
+          const candidates = [...targets.values()].filter(target => target.name.toLowerCase() === nextName);
+          promotesTo = candidates.find(target => target.section === cls.section.toUpperCase())
+            || (candidates.length === 1 ? candidates[0] : null);
+          
+          if (!promotesTo) {
+            problems.push(candidates.length === 0
+              ? `No class named ${gradeOrder[index + 1]} to promote ${describeClass(cls)} into`
+              : `${describeClass(cls)} has no matching section in ${gradeOrder[index + 1]}; set a promotion for it`);
+          }
+        }
+      }
+      
+      return { cls, promotesTo, graduates };
+    });
+  
+  // Students of the old year
+  const students = await Student.find({
+    tenant: tenant._id,
+    class: { $in: fromClasses.map(cls => cls._id) },
+    isActive: true
+  })
+    .select('firstName lastName admissionNumber class rollNumber status')
+    .lean();
+  
+  const studentIds = new Set(students.map(student => student._id.toString()));
+  const holds = new Set(options.holds);
+  for (const id of holds) {
+    if (!studentIds.has(id)) {
+      problems.push(`Held student ${id} is not an active student of ${fromYear.label}`);
+    }
+  }
+  
+  const planByClass = new Map(classPlans.map(plan => [plan.cls._id.toString(), plan]));
+  const studentPlans = students.map(student => {
+    const plan = planByClass.get(student.class.toString());
+    const entry = {
+      student,
+      fromClass: plan.cls,
+      action: 'promoted',
+      target: plan.promotesTo
+    };
+    
+    if (holds.has(student._id.toString())) {
+      entry.action = 'held';
+      entry.target = targetForClass.get(plan.cls._id.toString());
+    } else if (plan.graduates) {
+      entry.action = 'graduated';
+      entry.target = null;
+    }
+    
+    if (entry.target) {
+      entry.target.students.push(entry);
+    }
+    return entry;
+  });
+  
+  // Roll numbers in each class of the new year, after any students already there
+  for (const target of targets.values()) {
+    if (target.students.length === 0) continue;
+    
+    let lastRoll = 0;
+    let current = 0;
+    if (target.existing) {
+      const last = await Student.findOne({ tenant: tenant._id, class: target.existing._id })
+        .sort('-rollNumber')
+        .select('rollNumber')
+        .lean();
+      lastRoll = last ? last.rollNumber : 0;
+      current = await Student.countDocuments({ tenant: tenant._id, class: target.existing._id, isActive: true });
+    }
+    
+    target.students
+      .sort((a, b) => compareNames(`${a.student.firstName} ${a.student.lastName}`, `${b.student.firstName} ${b.student.lastName}`))
+      .forEach((entry, index) => {
+        entry.newRollNumber = lastRoll + index + 1;
+      });
+    
+    const maxStudents = (target.existing || target.source).maxStudents;
+    if (maxStudents && current + target.students.length > maxStudents) {
+      warnings.push(`${target.name} - ${target.section} will have ${current + target.students.length} students (capacity ${maxStudents})`);
+    }
+  }
+  
+  // Fee structures carried over to the same classes of the new year
+  const feePlans = [];
+  if (options.carryOverFees) {
+    const [structures, existingNames] = await Promise.all([
+      FeeStructure.find({ tenant: tenant._id, academicYear: fromYear.label, isActive: true }).lean(),
+      FeeStructure.distinct('name', { tenant: tenant._id, academicYear: toYear.label })
+    ]);
+    
+    const structureIds = new Set(structures.map(structure => structure._id.toString()));
+    for (const id of Object.keys(options.feeAmounts)) {
+      if (!structureIds.has(id)) {
+        problems.push(`Fee structure ${id} is not an active fee structure of ${fromYear.label}`);
+      }
+    }
+    
+    for (const structure of structures) {
+      if (existingNames.includes(structure.name)) {
+        warnings.push(`Fee structure "${structure.name}" already exists for ${toYear.label} and is not carried over`);
+        continue;
+      }
+      
+      const override = options.feeAmounts[structure._id.toString()];
+      feePlans.push({
+        structure,
+        newAmount: override !== undefined
+          ? roundAmount(Number(override))
+          : roundAmount(structure.amount * (1 + options.feeIncreasePercent / 100)),
+        targets: structure.classes
+          .map(id => targetForClass.get(id.toString()))
+          .filter(Boolean)
+      });
+    }
+  }
+  
+  const count = (action) => studentPlans.filter(entry => entry.action === action).length;
+  
+  return {
+    options,
+    targets: [...targets.values()],
+    targetForClass,
+    classPlans,
+    studentPlans,
+    feePlans,
+    problems,
+    warnings,
+    summary: {
+      classesToCreate: [...targets.values()].filter(target => !target.existing).length,
+      promoted: count('promoted'),
+      held: count('held'),
+      graduated: count('graduated'),
+      feeStructures: feePlans.length
+    }
+  };
+};
+
+// JSON form of a plan for the dry-run preview
+const describePlan = (plan) => {
+  const targetName = (target) => target ? `${target.name} - ${target.section}` : null;
+  
+  return {
+    fromYear: plan.options.fromYear.label,
+    toYear: plan.options.toYear.label,
+    summary: plan.summary,
+    problems: plan.problems,
+    warnings: plan.warnings,
+    classes: plan.classPlans.map(({ cls, promotesTo, graduates }) => ({
+      _id: cls._id,
+      name: describeClass(cls),
+      nextYearClass: targetName(plan.targetForClass.get(cls._id.toString())),
+      promotesTo: graduates ? GRADUATE : targetName(promotesTo),
+      students: plan.studentPlans.filter(entry => entry.fromClass === cls).length
+    })),
+    students: plan.studentPlans.map(entry => ({
+      _id: entry.student._id,
+      name: `${entry.student.firstName} ${entry.student.lastName}`,
+      admissionNumber: entry.student.admissionNumber,
+      fromClass: describeClass(entry.fromClass),
+      action: entry.action,
+      toClass: targetName(entry.target),
+      rollNumber: entry.newRollNumber || null
+    })),
+    feeStructures: plan.feePlans.map(({ structure, newAmount, targets }) => ({
+      _id: structure._id,
+      name: structure.name,
+      frequency: structure.frequency,
+      previousAmount: structure.amount,
+      newAmount,
+      classes: targets.map(targetName)
+    }))
+  };
+};
+
+// Run the rollover in one transaction; the record keeps what is needed to undo it
+const executeRollover = async (tenant, input, actor, now = new Date()) => {
+  const plan = await planRollover(tenant, input, now);
+  
+  if (plan.problems.length > 0) {
+    const error = createError('Rollover cannot run until the problems in the preview are resolved');
+    error.preview = describePlan(plan);
+    throw error;
+  }
+  
+  const { options } = plan;
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    // Clone classes with their class and subject teachers
+    const classIds = new Map();
+    for (const target of plan.targets) {
+      if (target.existing) {
+        classIds.set(target.key, target.existing._id);
+        continue;
+      }
+      
+      const { source } = target;
+      const [created] = await Class.create([{
+        tenant: tenant._id,
+        name: source.name,
+        section: source.section,
+        academicYear: options.toYear.label,
+        classTeacher: source.classTeacher,
+        subjectTeachers: source.subjectTeachers.map(({ teacher, subject }) => ({ teacher, subject })),
+        room: source.room,
+        maxStudents: source.maxStudents,
+        schedule: source.schedule
+      }], { session });
+      classIds.set(target.key, created._id);
+    }
+    
+    const classMap = plan.classPlans.map(({ cls }) => {
+      const target = plan.targetForClass.get(cls._id.toString());
+      return { fromClass: cls._id, toClass: classIds.get(target.key), created: !target.existing };
+    });
+    
+    // Move students
+    const studentRecords = [];
+    for (const entry of plan.studentPlans) {
+      const { student } = entry;
+      const record = {
+        student: student._id,
+        action: entry.action,
+        fromClass: entry.fromClass._id,
+        previousRollNumber: student.rollNumber,
+        previousStatus: student.status
+      };
+      
+      if (entry.action === 'graduated') {
+        await Student.updateOne(
+          { _id: student._id, tenant: tenant._id },
+          { status: 'graduated', isActive: false },
+          { session }
+        );
+      } else {
+        record.toClass = classIds.get(entry.target.key);
+        record.newRollNumber = entry.newRollNumber;
+        await Student.updateOne(
+          { _id: student._id, tenant: tenant._id },
+          { class: record.toClass, rollNumber: record.newRollNumber },
+          { session }
+        );
+      }
+      
+      studentRecords.push(record);
+    }
+    
+    // Carry over fee structures with their new amounts
+    const feeRecords = [];
+    const newStructures = [];
+    for (const { structure, newAmount, targets } of plan.feePlans) {
+      const [created] = await FeeStructure.create([{
+        tenant: tenant._id,
+        name: structure.name,
+        category: structure.category,
+        classes: [...new Set(targets.map(target => classIds.get(target.key).toString()))],
+        amount: newAmount,
+        frequency: structure.frequency,
+        academicYear: options.toYear.label,
+        dueDate: structure.dueDate,
+        description: structure.description
+      }], { session });
+      
+      newStructures.push(created);
+      feeRecords.push({
+        fromStructure: structure._id,
+        toStructure: created._id,
+        previousAmount: structure.amount,
+        newAmount
+      });
+    }
+    
+    // Optionally assign the new fees to the students now in those classes
+    const assignmentIds = [];
+    if (options.assignFees && newStructures.length > 0) {
+      // Due dates count from the start of the new year when it has not started yet
+      const dueFrom = options.toYear.startDate > now ? options.toYear.startDate : now;
+      
+      const assignments = [];
+      for (const record of studentRecords) {
+        if (!record.toClass) continue;
+        
+        for (const structure of newStructures) {
+          if (!structure.classes.some(id => id.toString() === record.toClass.toString())) continue;
+          
+          assignments.push({
+            tenant: tenant._id,
+            student: record.student,
+            feeStructure: structure._id,
+            academicYear: options.toYear.label,
+            totalAmount: structure.amount,
+            discount: { amount: 0 },
+            finalAmount: structure.amount,
+            dueDate: calculateDueDate(tenant, structure.frequency, structure.dueDate || 10, dueFrom),
+            status: FEE_STATUS.PENDING
+          });
+        }
+      }
+      
+      if (assignments.length > 0) {
+        const created = await FeeAssignment.create(assignments, { session, ordered: true });
+        assignmentIds.push(...created.map(assignment => assignment._id));
+      }
+    }
+    
+    // Old classes are closed once everyone has moved on
+    const deactivatedClasses = options.deactivateOldClasses
+      ? plan.classPlans.map(({ cls }) => cls._id)
+      : [];
+    if (deactivatedClasses.length > 0) {
+      await Class.updateMany(
+        { _id: { $in: deactivatedClasses }, tenant: tenant._id },
+        { isActive: false },
+        { session }
+      );
+    }
+    
+    const [rollover] = await YearRollover.create([{
+      tenant: tenant._id,
+      fromYear: options.fromYear.label,
+      toYear: options.toYear.label,
+      performedBy: actor._id,
+      options: {
+        gradeOrder: input.gradeOrder || null,
+        promotions: options.promotions,
+        holds: options.holds,
+        feeIncreasePercent: options.feeIncreasePercent,
+        feeAmounts: options.feeAmounts,
+        carryOverFees: options.carryOverFees,
+        assignFees: options.assignFees,
+        deactivateOldClasses: options.deactivateOldClasses
+      },
+      classMap,
+      deactivatedClasses,
+      students: studentRecords,
+      feeStructures: feeRecords,
+      feeAssignments: assignmentIds,
+      summary: {
+        classesCreated: classMap.filter(entry => entry.created).length,
+        promoted: plan.summary.promoted,
+        held: plan.summary.held,
+        graduated: plan.summary.graduated,
+        feeStructures: feeRecords.length,
+        feeAssignments: assignmentIds.length
+      },
+      undoDeadline: new Date(now.getTime() + ROLLOVER.UNDO_HOURS * HOUR)
+    }], { session });
+    
+    await session.commitTransaction();
+    return rollover;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Put students, classes and fees back as they were before a rollover
+const undoRollover = async (tenant, rolloverId, actor, now = new Date()) => {
+  const rollover = await YearRollover.findOne({ _id: rolloverId, tenant: tenant._id });
+  
+  if (!rollover) {
+    throw createError('Rollover not found', 404);
+  }
+  
+  if (rollover.status !== 'completed') {
+    throw createError('This rollover has already been undone');
+  }
+  
+  if (rollover.undoDeadline <= now) {
+    throw createError(`The undo window of ${ROLLOVER.UNDO_HOURS} hours for this rollover has passed`);
+  }
+  
+  const later = await YearRollover.exists({
+    tenant: tenant._id,
+    status: 'completed',
+    createdAt: { $gt: rollover.createdAt }
+  });
+  if (later) {
+    throw createError('A later rollover exists; undo that one first');
+  }
+  
+  // Fees already collected against the new year cannot be silently removed
+  if (rollover.feeAssignments.length > 0) {
+    const paid = await FeePayment.exists({ tenant: tenant._id, feeAssignment: { $in: rollover.feeAssignments } });
+    if (paid) {
+      throw createError('Payments were recorded against fees assigned by this rollover; reverse them before undoing');
+    }
+  }
+  
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    for (const record of rollover.students) {
+      const update = record.action === 'graduated'
+        ? { status: record.previousStatus || 'active', isActive: true }
+        : { class: record.fromClass, rollNumber: record.previousRollNumber };
+      
+      await Student.updateOne({ _id: record.student, tenant: tenant._id }, update, { session });
+    }
+    
+    if (rollover.feeAssignments.length > 0) {
+      await FeeAssignment.deleteMany({ _id: { $in: rollover.feeAssignments }, tenant: tenant._id }, { session });
+    }
+    
+    // Fee structures used since the rollover are deactivated rather than deleted
+    const keptFeeStructures = [];
+    for (const record of rollover.feeStructures) {
+      const used = await FeeAssignment.exists({ tenant: tenant._id, feeStructure: record.toStructure }).session(session);
+      if (used) {
+        await FeeStructure.updateOne({ _id: record.toStructure, tenant: tenant._id }, { isActive: false }, { session });
+        keptFeeStructures.push(record.toStructure);
+      } else {
+        await FeeStructure.deleteOne({ _id: record.toStructure, tenant: tenant._id }, { session });
+      }
+    }
+    
+    if (rollover.deactivatedClasses.length > 0) {
+      await Class.updateMany(
+        { _id: { $in: rollover.deactivatedClasses }, tenant: tenant._id },
+        { isActive: true },
+        { session }
+      );
+    }
+    
+    // Cloned classes are removed unless students were added to them since
+    const keptClasses = [];
+    for (const entry of rollover.classMap.filter(item => item.created)) {
+      const inUse = await Student.exists({ tenant: tenant._id, class: entry.toClass }).session(session);
+      if (inUse) {
+        keptClasses.push(entry.toClass);
+      } else {
+        await Class.deleteOne({ _id: entry.toClass, tenant: tenant._id }, { session });
+        await Timetable.deleteOne({ tenant: tenant._id, class: entry.toClass }, { session });
+      }
+    }
+    
+    rollover.status = 'undone';
+    rollover.undoneAt = now;
+    rollover.undoneBy = actor._id;
+    await rollover.save({ session });
+    
+    await session.commitTransaction();
+    return { rollover, keptClasses, keptFeeStructures };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  planRollover,
+  describePlan,
+  executeRollover,
+  undoRollover
+};
\ No newline at end of file